@@ -10,6 +10,153 @@ class SolarVisionAI {
         this.selectedZone = null;
         this.drawingZones = [];
         this.zoneCounter = 0;
+        this.loadProfile = null;
+        this.obstacles = [];
+        this.obstacleCounter = 0;
+        this.shadingCache = {};
+        this.showShadingHeatmap = false;
+        this.horizonProfile = null; // { source, name, points: [{ azimuth, elevation }] }
+        this.equipmentCatalog = this.getDefaultEquipmentCatalog(); // { modules, inverters }
+        this.defaultModuleId = 'generic-400-mono';
+        this.zoneHistory = { undo: [], redo: [], limit: 100 }; // Zone commands, see Zone History
+        this.zoneEditSnapshot = null; // Zone states captured when a geometry edit starts
+
+        // Building outlines around the site from an Overpass-compatible endpoint
+        this.defaultOverpassUrl = 'https://overpass-api.de/api/interpreter';
+        this.buildingSettings = {
+            url: this.defaultOverpassUrl,
+            radius: 60 // Metres around the site location
+        };
+        this.buildingFootprints = []; // [{ id, rings, tags, levels, height }]
+        this.buildingCache = []; // Fetched areas, newest first: [{ url, radius, lat, lon, footprints }]
+        this.buildingArea = null; // Cached area the shown footprints come from
+        this.buildingRequest = null; // AbortController of the request in flight
+        this.showBuildingFootprints = true;
+
+        // Snapping and squaring while drawing outlines
+        this.drawingAssist = {
+            snap: true, // Corners and edges of zones, obstacles and buildings
+            square: true, // Right angles and parallels to nearby edges
+            tolerance: 12, // Snap distance in screen pixels
+            angleTolerance: 5, // Degrees within which an edge is squared up
+            referenceRadius: 25 // Metres around the cursor searched for parallel edges
+        };
+        this.drawingAssistState = null;
+
+        // Base map tiles, shared by the map and the proposal snapshot
+        this.baseLayerUrls = {
+            street: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            satellite: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}'
+        };
+
+        // Address search; providers are registered in setupGeocoder
+        this.geocoderSettings = {
+            provider: 'nominatim', // 'nominatim', 'photon', 'custom' or 'gazetteer'
+            searchUrl: '', // Custom provider template with {query} and {limit}
+            reverseUrl: '' // Custom provider template with {lat} and {lon}
+        };
+        this.geocoderProviders = {};
+        this.geocoderCache = new Map(); // Least recently used first
+        this.geocoderCacheSize = 200;
+        this.geocoderQueue = {}; // Earliest time each provider may be called again
+        this.geocoderSearch = null; // { controller } of the search in flight
+        this.addressSearch = null; // Token of the searchAddress call that owns the Search button
+        this.geocoderDebounce = null;
+        this.gazetteer = []; // Offline places: [{ name, lat, lon, type, country, countryCode, aliases }]
+        this.addressSuggestions = { results: [], activeIndex: -1, heading: '' }; // Matches listed under the address input
+
+        // Installer branding printed on proposals
+        this.reportSettings = {
+            companyName: 'SolarVision AI',
+            contact: '', // Free text, one line per row
+            logo: null // PNG or JPEG data URL
+        };
+
+        // Saved projects (see Project Persistence); bump the version and add a migration on schema changes
+        this.projectSchemaVersion = 1;
+        this.currentProject = null;
+        this.autosaveTimer = null;
+        this.lastSavedSnapshot = null;
+
+        // Sales pipeline stages shown in the portfolio, in order
+        this.projectStatuses = {
+            lead: 'Lead',
+            quoted: 'Quoted',
+            sold: 'Sold',
+            installed: 'Installed'
+        };
+        this.portfolioFilter = {
+            query: '',
+            status: 'all', // 'all' or a projectStatuses key
+            sort: 'updated' // 'updated', 'name', 'kWp', 'yield', 'payback' or 'status'
+        };
+        this.portfolioMap = null;
+        this.portfolioMarkers = null;
+
+        // Default panel layout settings (metres) used for newly drawn zones
+        this.panelLayoutDefaults = {
+            panelLength: 1.72, // Long side of a standard 400W module (zones take theirs from the module)
+            panelWidth: 1.13, // Short side of a standard 400W module
+            setback: 0.5, // Clearance from the zone edge
+            rowGap: 0.3, // Gap between panel rows
+            columnGap: 0.02, // Gap between panels within a row
+            keepoutBuffer: 0, // Clearance kept around keepouts and roof holes
+            orientation: 'portrait'
+        };
+
+        // System-wide loss and inverter assumptions for the hourly simulation
+        this.simulationSettings = {
+            soilingLoss: 0.02, // Dirt and dust on the modules
+            wiringLoss: 0.02, // DC cabling resistance
+            mismatchLoss: 0.02, // Module-to-module variation
+            inverterModel: null, // Catalog inverter id; null means a custom or auto-sized inverter
+            inverterCount: 1,
+            inverterAcRating: null, // kW; null sizes the inverter at dcAcRatio
+            dcAcRatio: 1.15,
+            inverterEfficiency: 0.965, // Nominal (peak) inverter efficiency
+            albedo: 0.2
+        };
+
+        // Limits for the string sizing check against the chosen inverter
+        this.stringSettings = {
+            minDcAcRatio: 0.8,
+            maxDcAcRatio: 1.3,
+            recordLowTemperature: null, // °C; null derives it from the weather data
+            recordHighTemperature: null, // °C; null derives it from the weather data
+            temperatureMargin: 5 // °C beyond the typical-year extremes when deriving records
+        };
+
+        // User-editable financial assumptions (currency amounts in euro)
+        this.financialSettings = {
+            costPerKw: 1500, // Installed cost per kWp
+            tariffType: 'flat', // 'flat' or 'tou' (time-of-use)
+            importTariff: 0.30, // Flat price per kWh bought from the grid
+            peakTariff: 0.38, // Time-of-use peak price per kWh
+            offPeakTariff: 0.22, // Time-of-use off-peak price per kWh
+            peakStartHour: 7, // Local hour the peak period starts
+            peakEndHour: 21, // Local hour the peak period ends
+            exportTariff: 0.08, // Feed-in price per kWh exported
+            annualConsumption: 3500, // Household consumption in kWh/yr
+            selfConsumptionRatio: 0.35, // Share of production used on site
+            degradation: 0.005, // Yearly module output loss
+            omCostPerKw: 15, // Yearly operations & maintenance per kWp
+            inflation: 0.02, // Yearly escalation of tariffs and O&M
+            discountRate: 0.04,
+            lifetime: 25 // Years
+        };
+
+        // Home battery assumptions; dispatch runs only when enabled
+        this.batterySettings = {
+            enabled: false,
+            capacity: 10, // Nominal capacity in kWh
+            depthOfDischarge: 0.9, // Usable share of the nominal capacity
+            roundTripEfficiency: 0.9,
+            maxChargePower: 5, // kW
+            maxDischargePower: 5, // kW
+            costPerKwh: 600, // Installed cost per kWh of capacity
+            fixedCost: 1000, // Installation and battery inverter
+            sizingCriterion: 'payback' // 'payback' or 'selfSufficiency'
+        };
 
         // Initialize the application
         this.init();
@@ -20,10 +167,22 @@ class SolarVisionAI {
 
         // Setup event listeners
         this.setupNavigation();
+        this.setupGeocoder();
         this.setupSearchFunctionality();
         this.setupMapControls();
         this.setupAnalysisPanel();
+        this.setupZoneHistory();
+        this.setupDrawingAssist();
+        this.setupBuildingFootprints();
         this.setupModals();
+        this.setupFinancialControls();
+        this.setupLoadProfileControls();
+        this.setupBatteryControls();
+        this.setupEquipmentControls();
+        this.setupHorizonControls();
+        this.setupProjectControls();
+        this.setupPortfolio();
+        this.setupReportControls();
         this.initializeAnimations();
 
         console.log('✅ SolarVision AI initialized successfully!');
@@ -81,6 +240,8 @@ class SolarVisionAI {
                 }, 200);
             } else if (page === 'insights') {
                 setTimeout(() => this.initializeInsightsDashboard(), 100);
+            } else if (page === 'portfolio') {
+                setTimeout(() => this.showPortfolio(), 100);
             }
         }
     }
@@ -111,12 +272,12 @@ class SolarVisionAI {
             }).setView([50.8503, 4.3517], 6); // Default to Brussels, Europe
 
             // Add tile layers
-            this.streetLayer = L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            this.streetLayer = L.tileLayer(this.baseLayerUrls.street, {
                 attribution: '© OpenStreetMap contributors',
                 maxZoom: 19 // OpenStreetMap max zoom level
             });
 
-            this.satelliteLayer = L.tileLayer('https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}', {
+            this.satelliteLayer = L.tileLayer(this.baseLayerUrls.satellite, {
                 attribution: '© Esri, Maxar, GeoEye, Earthstar Geographics, CNES/Airbus DS, USDA, USGS, AeroGRID, IGN, and the GIS User Community',
                 maxZoom: 20 // Esri satellite imagery max zoom level
             });
@@ -126,12 +287,20 @@ class SolarVisionAI {
 
             // Initialize drawing functionality
             this.initializeDrawing();
+            this.setupLocationPicking();
+            this.initializeDrawingAssist();
+            this.initializeBuildingFootprints();
 
             // Initialize drawing zones array
             this.drawingZones = [];
             this.zoneCounter = 0;
 
             console.log('🗺️ Map initialized successfully with drawing capabilities');
+
+            // Pick up where the last session left off
+            if (this.pendingProjectId) {
+                this.openProject(this.pendingProjectId);
+            }
         } catch (error) {
             console.error('❌ Error initializing map:', error);
         }
@@ -142,6 +311,10 @@ class SolarVisionAI {
         this.drawnItems = new L.FeatureGroup();
         this.map.addLayer(this.drawnItems);
 
+        // Panel rectangles are kept in their own layer so they never get picked up by the edit toolbar
+        this.panelLayer = L.layerGroup();
+        this.map.addLayer(this.panelLayer);
+
         // Drawing control options
         this.drawControl = new L.Control.Draw({
             position: 'topleft',
@@ -167,6 +340,27 @@ class SolarVisionAI {
                         weight: 3
                     }
                 },
+                // Not a toolbar button; startObstacleDrawing reads these options
+                obstacle: {
+                    allowIntersection: false,
+                    shapeOptions: {
+                        color: '#475569',
+                        fillColor: '#64748b',
+                        fillOpacity: 0.45,
+                        weight: 2,
+                        dashArray: '6 4'
+                    }
+                },
+                keepout: {
+                    allowIntersection: false,
+                    shapeOptions: {
+                        color: '#dc2626',
+                        fillColor: '#dc2626',
+                        fillOpacity: 0.15,
+                        weight: 2,
+                        dashArray: '4 3'
+                    }
+                },
                 circle: false,
                 circlemarker: false,
                 marker: false,
@@ -189,6 +383,15 @@ class SolarVisionAI {
             this.onDrawEdited(e);
         });
 
+        // Both the toolbar and editZone go through an edit session; remember where it started
+        this.map.on(L.Draw.Event.EDITSTART, () => {
+            this.zoneEditSnapshot = new Map(this.drawingZones.map(zone => [zone, this.captureZoneState(zone)]));
+        });
+
+        this.map.on(L.Draw.Event.EDITSTOP, () => {
+            this.zoneEditSnapshot = null;
+        });
+
         this.map.on(L.Draw.Event.DELETED, (e) => {
             this.onDrawDeleted(e);
         });
@@ -204,6 +407,19 @@ class SolarVisionAI {
     }
 
     onDrawCreated(e) {
+        if (e.layerType === 'obstacle') {
+            this.onObstacleCreated(e);
+            return;
+        }
+        if (e.layerType === 'keepout') {
+            this.onKeepoutCreated(e);
+            return;
+        }
+        if (e.layerType === 'measure-distance' || e.layerType === 'measure-area') {
+            this.onMeasureCreated(e);
+            return;
+        }
+
         const layer = e.layer;
         const type = e.layerType;
 
@@ -214,40 +430,13 @@ class SolarVisionAI {
             this.stopDrawingMode();
         }, 100);
 
-        // Add unique ID to the layer
-        this.zoneCounter++;
-        const zoneId = `zone_${this.zoneCounter}`;
-        layer.zoneId = zoneId;
-
-        // Calculate area
-        const area = this.calculateArea(layer);
-
-        // Default panel count
-        const panelCount = 25;
-
-        // Create zone data
-        const zoneData = {
-            id: zoneId,
-            layer: layer,
-            type: type,
-            area: area,
-            panelCount: panelCount,
-            panelWattage: 400, // Default 400W panels
-            efficiency: 0.85 // System efficiency
-        };
-
-        // Store zone data
-        this.drawingZones.push(zoneData);
-
-        // Add to map
-        this.drawnItems.addLayer(layer);
-
-        // Setup zone click handler
-        layer.on('click', () => {
-            this.selectZone(zoneData);
-            // Update visual selection in list
-            document.querySelectorAll('.zone-item').forEach(item => item.classList.remove('selected'));
-            document.querySelector(`[data-zone-id="${zoneData.id}"]`)?.classList.add('selected');
+        const zoneData = this.createZone(layer, type);
+        const zoneId = zoneData.id;
+        const area = zoneData.area;
+        this.recordZoneCommand({
+            kind: 'add',
+            label: `Draw zone ${zoneId.split('_')[1]}`,
+            entries: [{ zone: zoneData, index: this.drawingZones.indexOf(zoneData) }]
         });
 
         // Add to zones list (disabled - no zonesItems element in HTML)
@@ -255,6 +444,9 @@ class SolarVisionAI {
 
         // Auto-select the new zone immediately after creation
         setTimeout(() => {
+            // Undone before the selection landed
+            if (!this.drawingZones.includes(zoneData)) return;
+
             console.log('🎯 Auto-selecting new zone:', zoneId);
 
             // First deselect all other zones
@@ -313,35 +505,153 @@ class SolarVisionAI {
         console.log(`🎯 Created solar zone: ${zoneId}, Area: ${area.toFixed(2)} m²`);
     }
 
+    createZone(layer, type, attributes = {}) {
+        // Shared by drawing and project restore so every zone gets the same data and handlers
+        let zoneId = attributes.id;
+        if (zoneId && !this.drawingZones.some(zone => zone.id === zoneId)) {
+            const number = parseInt(zoneId.replace('zone_', ''), 10);
+            if (!isNaN(number)) {
+                this.zoneCounter = Math.max(this.zoneCounter, number);
+            }
+        } else {
+            this.zoneCounter++;
+            zoneId = `zone_${this.zoneCounter}`;
+        }
+        // Default roof orientation faces the equator
+        const defaultAzimuth = this.currentLocation && this.currentLocation.lat < 0 ? 0 : 180;
+
+        // Create zone data
+        const zoneData = {
+            id: zoneId,
+            layer: layer,
+            type: type === 'rectangle' && !(layer instanceof L.Rectangle) ? 'polygon' : type, // Rectangles with keepouts load as polygons
+            area: 0,
+            planArea: 0,
+            tilt: attributes.tilt ?? 30, // Roof pitch in degrees from horizontal
+            azimuth: attributes.azimuth ?? defaultAzimuth, // Degrees clockwise from north (180 = south)
+            panelCount: 0,
+            moduleId: null, // Catalog module; null for zones imported with bare wattages
+            panelWattage: attributes.panelWattage ?? 400, // Default 400W panels
+            temperatureCoefficient: attributes.temperatureCoefficient ?? -0.0035, // Pmax change per °C above 25 °C
+            noct: attributes.noct ?? 45, // Nominal operating cell temperature (°C)
+            layout: { ...this.panelLayoutDefaults, ...attributes.layout },
+            building: attributes.building ?? null, // OSM footprint the outline came from: { id, levels, height, tags }
+            panels: [],
+            maxPanels: 0
+        };
+
+        // New zones use the default module; saved zones keep the specs they were stored with
+        const module = this.getModule(attributes.moduleId ?? (attributes.panelWattage === undefined ? this.defaultModuleId : null));
+        if (module && attributes.panelWattage === undefined) {
+            this.assignZoneModule(zoneData, module);
+        } else if (module) {
+            zoneData.moduleId = module.id;
+        }
+
+        // Calculate area (corrected for roof pitch)
+        this.updateZoneArea(zoneData);
+
+        // Store zone data
+        this.drawingZones.push(zoneData);
+
+        // Add to map
+        this.drawnItems.addLayer(layer);
+
+        // Fill the zone with as many panels as physically fit
+        this.applyZoneLayout(zoneData, true);
+
+        // Restored zones keep their saved count
+        if (attributes.panelCount !== undefined) {
+            zoneData.panelCount = Math.min(attributes.panelCount, zoneData.maxPanels);
+            this.renderZonePanels(zoneData);
+        }
+
+        this.bindZoneLayer(zoneData);
+
+        return zoneData;
+    }
+
+    bindZoneLayer(zoneData) {
+        zoneData.layer.zoneId = zoneData.id;
+
+        // Setup zone click handler
+        zoneData.layer.on('click', () => {
+            this.selectZone(zoneData);
+            // Update visual selection in list
+            document.querySelectorAll('.zone-item').forEach(item => item.classList.remove('selected'));
+            document.querySelector(`[data-zone-id="${zoneData.id}"]`)?.classList.add('selected');
+        });
+
+        // Bound once per layer, so a zone rebuilt with a new layer gets its info panel back
+        this.createZonePopup(zoneData.layer, zoneData);
+    }
+
     onDrawEdited(e) {
         const layers = e.layers;
+        const entries = [];
         layers.eachLayer((layer) => {
             // Find the zone data
             const zoneData = this.drawingZones.find(zone => zone.layer === layer);
             if (zoneData) {
                 // Recalculate area and panels
-                zoneData.area = this.calculateArea(layer);
-                zoneData.panelCount = this.calculatePanelCount(zoneData.area);
+                this.updateZoneArea(zoneData);
+                this.applyZoneLayout(zoneData);
 
-                // Update popup
-                this.createZonePopup(layer, zoneData);
+                const before = this.zoneEditSnapshot?.get(zoneData);
+                if (before) {
+                    entries.push({ zone: zoneData, before, after: this.captureZoneState(zoneData) });
+                }
 
                 console.log(`✏️ Edited solar zone: ${zoneData.id}, New area: ${zoneData.area.toFixed(2)} m²`);
             }
         });
 
+        if (entries.length > 0) {
+            this.recordZoneCommand({
+                kind: 'change',
+                label: entries.length === 1 ? `Edit zone ${entries[0].zone.id.split('_')[1]} outline` : `Edit ${entries.length} zone outlines`,
+                entries
+            });
+        }
+
+        // Moved zones or obstacles change where shade falls
+        this.refreshShadingHeatmap();
+
         // Update analysis panel
         this.updateZoneAnalysis();
     }
 
     onDrawDeleted(e) {
         const layers = e.layers;
+        const entries = [];
+        const indices = new Map(this.drawingZones.map((zone, index) => [zone, index]));
         layers.eachLayer((layer) => {
+            // Remove panel rectangles drawn for this zone
+            const zoneData = this.drawingZones.find(zone => zone.layer === layer);
+            if (zoneData) {
+                this.clearZonePanels(zoneData);
+                entries.push({ zone: zoneData, index: indices.get(zoneData) });
+            }
+
             // Remove from zones array
             this.drawingZones = this.drawingZones.filter(zone => zone.layer !== layer);
-            console.log(`🗑️ Deleted solar zone: ${layer.zoneId}`);
+            this.obstacles = this.obstacles.filter(obstacle => obstacle.layer !== layer);
+            console.log(`🗑️ Deleted ${layer.obstacleId ? 'obstacle' : 'solar zone'}: ${layer.obstacleId || layer.zoneId}`);
         });
 
+        if (entries.length > 0) {
+            this.recordZoneCommand({
+                kind: 'remove',
+                label: entries.length === 1 ? `Delete zone ${entries[0].zone.id.split('_')[1]}` : `Delete ${entries.length} zones`,
+                entries
+            });
+        }
+        if (this.selectedZone && !this.drawingZones.includes(this.selectedZone)) {
+            this.selectZone(null);
+        }
+
+        this.refreshShadingHeatmap();
+
         // Update analysis panel
         this.updateZoneAnalysis();
     }
@@ -350,25 +660,381 @@ class SolarVisionAI {
         let area = 0;
 
         if (layer instanceof L.Polygon || layer instanceof L.Rectangle) {
-            // Calculate area using Leaflet's built-in method
-            const latLngs = layer.getLatLngs()[0];
-            area = L.GeometryUtil.geodesicArea(latLngs);
+            // Calculate area using Leaflet's built-in method; holes are not roof
+            this.getPolygonRings(layer).forEach(([outer, ...holes]) => {
+                area += L.GeometryUtil.geodesicArea(outer);
+                holes.forEach(hole => {
+                    area -= L.GeometryUtil.geodesicArea(hole);
+                });
+            });
+        }
+
+        return Math.max(area, 0); // Returns area in square meters
+    }
+
+    updateZoneArea(zoneData) {
+        // Keepouts give up their own area plus the buffer band around them
+        const holes = this.getInnerRings(zoneData.layer);
+        const buffer = this.getKeepoutBuffer(zoneData);
+        const bufferArea = holes.reduce((sum, hole) => {
+            const origin = this.getRingOrigin(hole);
+            const points = hole.map(latLng => this.projectToLocal(latLng, origin));
+            const perimeter = points.reduce((total, point, index) => {
+                const next = points[(index + 1) % points.length];
+                return total + Math.hypot(next.x - point.x, next.y - point.y);
+            }, 0);
+            return sum + perimeter * buffer + Math.PI * buffer * buffer;
+        }, 0);
+        const holeArea = holes.reduce((sum, hole) => sum + L.GeometryUtil.geodesicArea(hole), 0);
+        const planArea = this.calculateArea(zoneData.layer);
+
+        // The map shows the roof in plan view; a pitched roof is larger than its footprint
+        zoneData.planArea = Math.max(planArea - bufferArea, 0);
+        zoneData.area = this.calculateSlopedArea(zoneData.planArea, zoneData.tilt);
+        zoneData.keepoutCount = holes.length;
+        zoneData.keepoutArea = this.calculateSlopedArea(holeArea + Math.min(bufferArea, planArea), zoneData.tilt);
+        return zoneData.area;
+    }
+
+    getKeepoutBuffer(zoneData) {
+        const buffer = parseFloat(zoneData.layout?.keepoutBuffer ?? this.panelLayoutDefaults.keepoutBuffer);
+        return isNaN(buffer) ? 0 : Math.max(buffer, 0);
+    }
+
+    calculateSlopedArea(planArea, tilt) {
+        const pitch = Math.min(Math.max(tilt || 0, 0), 80); // Guard against near-vertical division
+        return planArea / Math.cos(pitch * Math.PI / 180);
+    }
+
+    // Panel Layout Engine
+    applyZoneLayout(zoneData, fillZone = false) {
+        const wasFull = zoneData.panelCount >= zoneData.maxPanels;
+
+        zoneData.panels = this.layoutZonePanels(zoneData);
+        zoneData.maxPanels = zoneData.panels.length;
+
+        // Keep a user-reduced count, but never exceed what fits
+        if (fillZone || wasFull) {
+            zoneData.panelCount = zoneData.maxPanels;
+        } else {
+            zoneData.panelCount = Math.min(zoneData.panelCount, zoneData.maxPanels);
         }
 
-        return area; // Returns area in square meters
+        this.renderZonePanels(zoneData);
     }
 
-    calculatePanelCount(area) {
-        // Default panel count for new zones
-        return 25;
+    layoutZonePanels(zoneData) {
+        if (!zoneData.layer || !zoneData.layer.getLatLngs) return [];
+
+        const layout = { ...this.panelLayoutDefaults, ...zoneData.layout };
+        const latLngs = this.getOuterRing(zoneData.layer);
+        if (latLngs.length < 3) return [];
+
+        // Work in a local metric frame on the roof plane, aligned with the longest edge (usually the eave)
+        const origin = this.getRingOrigin(latLngs);
+        const slope = this.getRoofSlopeTransform(zoneData);
+        const points = latLngs.map(latLng => slope.toRoof(this.projectToLocal(latLng, origin)));
+        const angle = this.getDominantEdgeAngle(points);
+        const polygon = points.map(point => this.rotatePoint(point, -angle));
+        const holes = this.getInnerRings(zoneData.layer)
+            .map(ring => ring.map(latLng => this.rotatePoint(slope.toRoof(this.projectToLocal(latLng, origin)), -angle)));
+
+        // Portrait panels have their long side running up the roof, landscape along the row
+        const panelWidth = layout.orientation === 'landscape' ? layout.panelLength : layout.panelWidth;
+        const panelHeight = layout.orientation === 'landscape' ? layout.panelWidth : layout.panelLength;
+
+        const rectangles = this.packPanelRows(polygon, panelWidth, panelHeight, layout, holes);
+
+        return rectangles.map((rect, index) => {
+            const corners = [
+                { x: rect.x, y: rect.y },
+                { x: rect.x + panelWidth, y: rect.y },
+                { x: rect.x + panelWidth, y: rect.y + panelHeight },
+                { x: rect.x, y: rect.y + panelHeight }
+            ].map(corner => this.unprojectFromLocal(slope.toPlan(this.rotatePoint(corner, angle)), origin));
+
+            const center = this.unprojectFromLocal(
+                slope.toPlan(this.rotatePoint({ x: rect.x + panelWidth / 2, y: rect.y + panelHeight / 2 }, angle)),
+                origin
+            );
+
+            return {
+                id: `${zoneData.id}_panel_${index + 1}`,
+                row: rect.row,
+                column: rect.column,
+                corners: corners,
+                center: center
+            };
+        });
+    }
+
+    packPanelRows(polygon, panelWidth, panelHeight, layout, holes = []) {
+        const xs = polygon.map(point => point.x);
+        const ys = polygon.map(point => point.y);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+
+        const setback = Math.max(0, layout.setback || 0);
+        const keepoutBuffer = Math.max(0, layout.keepoutBuffer || 0);
+        const rowPitch = panelHeight + Math.max(0, layout.rowGap || 0);
+        const columnPitch = panelWidth + Math.max(0, layout.columnGap || 0);
+        const scanStep = 0.1; // Sliding resolution along a row (m)
+
+        // Try a few row offsets and keep the one that fits the most panels
+        let best = [];
+        const offsets = [0, 0.25, 0.5, 0.75];
+
+        offsets.forEach(offset => {
+            const rectangles = [];
+            let row = 0;
+
+            for (let y = minY + setback + offset * rowPitch; y + panelHeight <= maxY - setback + 1e-9; y += rowPitch) {
+                let column = 0;
+                let x = minX + setback;
+
+                while (x + panelWidth <= maxX - setback + 1e-9) {
+                    if (this.rectangleFitsPolygon(polygon, x, y, panelWidth, panelHeight, setback) &&
+                        this.rectangleClearsKeepouts(holes, x, y, panelWidth, panelHeight, keepoutBuffer)) {
+                        rectangles.push({ x, y, row, column });
+                        column++;
+                        x += columnPitch;
+                    } else {
+                        x += scanStep;
+                    }
+                }
+
+                if (column > 0) row++;
+            }
+
+            if (rectangles.length > best.length) {
+                best = rectangles;
+            }
+        });
+
+        return best;
+    }
+
+    rectangleFitsPolygon(polygon, x, y, width, height, setback) {
+        // Grow the panel by the setback so the clearance to every edge is respected
+        const minX = x - setback;
+        const minY = y - setback;
+        const maxX = x + width + setback;
+        const maxY = y + height + setback;
+
+        const corners = [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+
+        if (!corners.every(corner => this.pointInPolygon(corner, polygon))) {
+            return false;
+        }
+
+        // A concave polygon can poke into the rectangle without covering a corner
+        const vertexInside = polygon.some(point =>
+            point.x > minX && point.x < maxX && point.y > minY && point.y < maxY
+        );
+        if (vertexInside) return false;
+
+        for (let i = 0; i < polygon.length; i++) {
+            const a = polygon[i];
+            const b = polygon[(i + 1) % polygon.length];
+            for (let j = 0; j < corners.length; j++) {
+                if (this.segmentsIntersect(a, b, corners[j], corners[(j + 1) % corners.length])) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    rectangleClearsKeepouts(holes, x, y, width, height, buffer) {
+        // Same tests as the outer ring, inverted: the buffered panel must not touch any hole
+        const minX = x - buffer;
+        const minY = y - buffer;
+        const maxX = x + width + buffer;
+        const maxY = y + height + buffer;
+
+        const corners = [
+            { x: minX, y: minY },
+            { x: maxX, y: minY },
+            { x: maxX, y: maxY },
+            { x: minX, y: maxY }
+        ];
+
+        return holes.every(hole => {
+            if (hole.some(point => point.x > minX && point.x < maxX && point.y > minY && point.y < maxY)) return false;
+            if (corners.some(corner => this.pointInPolygon(corner, hole))) return false;
+
+            return !hole.some((a, i) => {
+                const b = hole[(i + 1) % hole.length];
+                return corners.some((corner, j) => this.segmentsIntersect(a, b, corner, corners[(j + 1) % corners.length]));
+            });
+        });
+    }
+
+    getRoofSlopeTransform(zoneData) {
+        // Stretch plan coordinates along the fall line so panel sizes are true roof-plane sizes
+        const toRad = Math.PI / 180;
+        const pitch = Math.min(Math.max(zoneData.tilt || 0, 0), 80) * toRad;
+        const azimuth = (zoneData.azimuth || 0) * toRad;
+        const dx = Math.sin(azimuth);
+        const dy = Math.cos(azimuth);
+        const stretch = 1 / Math.cos(pitch);
+
+        const scaleAlongSlope = (point, factor) => {
+            const along = point.x * dx + point.y * dy;
+            return {
+                x: point.x + along * (factor - 1) * dx,
+                y: point.y + along * (factor - 1) * dy
+            };
+        };
+
+        return {
+            toRoof: point => scaleAlongSlope(point, stretch),
+            toPlan: point => scaleAlongSlope(point, 1 / stretch)
+        };
+    }
+
+    renderZonePanels(zoneData) {
+        if (!this.panelLayer) return;
+
+        if (!zoneData.panelsLayer) {
+            zoneData.panelsLayer = L.layerGroup();
+            this.panelLayer.addLayer(zoneData.panelsLayer);
+        }
+
+        zoneData.panelsLayer.clearLayers();
+
+        // The heatmap colours each panel by its annual shading loss
+        const shading = this.showShadingHeatmap ? this.calculatePanelShading(zoneData) : null;
+
+        // Only the panels the user actually wants are drawn, filled in row order
+        (zoneData.panels || []).slice(0, zoneData.panelCount).forEach((panel, index) => {
+            const heatColor = shading ? this.getShadingHeatmapColor(shading.loss[index]) : null;
+            const rectangle = L.polygon(panel.corners, {
+                color: heatColor || '#1e3a8a',
+                weight: 1,
+                fillColor: heatColor || '#1e40af',
+                fillOpacity: 0.75,
+                interactive: false
+            });
+            zoneData.panelsLayer.addLayer(rectangle);
+        });
+    }
+
+    clearZonePanels(zoneData) {
+        if (zoneData.panelsLayer && this.panelLayer) {
+            this.panelLayer.removeLayer(zoneData.panelsLayer);
+        }
+        zoneData.panelsLayer = null;
+    }
+
+    // Geometry Helpers
+    getOuterRing(layer) {
+        let latLngs = layer.getLatLngs();
+
+        // Unwrap nested ring arrays down to the outer ring
+        while (Array.isArray(latLngs[0])) {
+            latLngs = latLngs[0];
+        }
+
+        return latLngs;
+    }
+
+    getPolygonRings(layer) {
+        // Leaflet nests rings as [outer, ...holes], one level deeper for multi-polygons
+        const latLngs = layer.getLatLngs();
+        if (!Array.isArray(latLngs[0])) return [[latLngs]];
+        if (!Array.isArray(latLngs[0][0])) return [latLngs];
+        return latLngs;
+    }
+
+    getInnerRings(layer) {
+        return this.getPolygonRings(layer)[0].slice(1);
+    }
+
+    getRingOrigin(latLngs) {
+        const lat = latLngs.reduce((sum, latLng) => sum + latLng.lat, 0) / latLngs.length;
+        const lng = latLngs.reduce((sum, latLng) => sum + latLng.lng, 0) / latLngs.length;
+        return { lat, lng };
+    }
+
+    projectToLocal(latLng, origin) {
+        // Equirectangular projection, accurate to a few cm at roof scale
+        const earthRadius = 6378137;
+        const toRad = Math.PI / 180;
+        return {
+            x: (latLng.lng - origin.lng) * toRad * earthRadius * Math.cos(origin.lat * toRad),
+            y: (latLng.lat - origin.lat) * toRad * earthRadius
+        };
     }
 
-    calculateMaxRecommendedPanels(area) {
-        // Standard solar panel dimensions: 2m x 1m = 2 m²
-        const panelArea = 2; // m²
-        const spacingFactor = 0.7; // Account for spacing, inverters, walkways
+    unprojectFromLocal(point, origin) {
+        const earthRadius = 6378137;
+        const toDeg = 180 / Math.PI;
+        return L.latLng(
+            origin.lat + (point.y / earthRadius) * toDeg,
+            origin.lng + (point.x / (earthRadius * Math.cos(origin.lat * Math.PI / 180))) * toDeg
+        );
+    }
+
+    rotatePoint(point, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        return {
+            x: point.x * cos - point.y * sin,
+            y: point.x * sin + point.y * cos
+        };
+    }
+
+    getDominantEdgeAngle(points) {
+        let longest = 0;
+        let angle = 0;
+
+        points.forEach((point, i) => {
+            const next = points[(i + 1) % points.length];
+            const length = Math.hypot(next.x - point.x, next.y - point.y);
+            if (length > longest) {
+                longest = length;
+                angle = Math.atan2(next.y - point.y, next.x - point.x);
+            }
+        });
+
+        return angle;
+    }
+
+    pointInPolygon(point, polygon) {
+        let inside = false;
+
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+
+        return inside;
+    }
+
+    segmentsIntersect(p1, p2, p3, p4) {
+        const cross = (a, b, c) => (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
 
-        return Math.floor((area * spacingFactor) / panelArea);
+        const d1 = cross(p3, p4, p1);
+        const d2 = cross(p3, p4, p2);
+        const d3 = cross(p1, p2, p3);
+        const d4 = cross(p1, p2, p4);
+
+        // Proper crossings only; touching endpoints are handled by the containment checks
+        return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+            ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
     }
 
     enableDrawingMode() {
@@ -399,6 +1065,14 @@ class SolarVisionAI {
                 <i class="fas fa-square"></i>
                 <span>Draw Rectangle</span>
             </button>
+            <button class="drawing-mode-option" data-mode="obstacle">
+                <i class="fas fa-building"></i>
+                <span>Draw Obstacle</span>
+            </button>
+            <button class="drawing-mode-option" data-mode="keepout">
+                <i class="fas fa-ban"></i>
+                <span>Draw Keepout</span>
+            </button>
         `;
 
         // Position dropdown under the button (accounting for scroll)
@@ -432,6 +1106,16 @@ class SolarVisionAI {
             this.hideDrawingModeDropdown();
         });
 
+        dropdown.querySelector('[data-mode="obstacle"]').addEventListener('click', () => {
+            this.startObstacleDrawing();
+            this.hideDrawingModeDropdown();
+        });
+
+        dropdown.querySelector('[data-mode="keepout"]').addEventListener('click', () => {
+            this.startKeepoutDrawing();
+            this.hideDrawingModeDropdown();
+        });
+
         // Close dropdown when clicking outside
         setTimeout(() => {
             document.addEventListener('click', this.handleDropdownOutsideClick.bind(this), { once: true });
@@ -549,29 +1233,113 @@ class SolarVisionAI {
         const controlsDiv = document.getElementById('selectedZoneControls');
         const selectedZoneName = document.getElementById('selectedZoneName');
         const zonePanelCount = document.getElementById('zonePanelCount');
-        const zonePanelCountValue = document.getElementById('zonePanelCountValue');
 
         if (this.selectedZone) {
             controlsDiv.style.display = 'block';
             selectedZoneName.textContent = `Zone ${this.selectedZone.id.split('_')[1]}`;
-            zonePanelCount.value = this.selectedZone.panelCount;
 
-            const maxRecommended = this.calculateMaxRecommendedPanels(this.selectedZone.area);
-            let displayText = `${this.selectedZone.panelCount} panels`;
+            // Slider range follows the number of panels that actually fit
+            zonePanelCount.min = 0;
+            zonePanelCount.max = this.selectedZone.maxPanels;
+            zonePanelCount.value = this.selectedZone.panelCount;
 
-            // Show warning if too many panels
-            if (this.selectedZone.panelCount > maxRecommended) {
-                displayText += ` (⚠️ Recommended max: ${maxRecommended})`;
-                zonePanelCountValue.style.color = '#f59e0b';
-            } else {
-                zonePanelCountValue.style.color = '#6366f1';
-            }
+            this.updateZoneRoofControls();
+            this.updateZoneModuleControls();
+            this.updateZoneLayoutControls();
+            this.updateZoneKeepoutControls();
 
-            zonePanelCountValue.textContent = displayText;
+            this.updateZonePanelCountLabel();
             this.updateSelectedZoneStats();
         } else {
             controlsDiv.style.display = 'none';
         }
+
+        this.renderEdgeLabels();
+    }
+
+    updateZoneRoofControls() {
+        if (!this.selectedZone) return;
+
+        const pitchSlider = document.getElementById('zoneRoofPitch');
+        const pitchValue = document.getElementById('zoneRoofPitchValue');
+        const azimuthSlider = document.getElementById('zoneRoofAzimuth');
+        const azimuthValue = document.getElementById('zoneRoofAzimuthValue');
+
+        if (pitchSlider) pitchSlider.value = this.selectedZone.tilt;
+        if (pitchValue) pitchValue.textContent = `${this.selectedZone.tilt}°`;
+        if (azimuthSlider) azimuthSlider.value = this.selectedZone.azimuth;
+        if (azimuthValue) azimuthValue.textContent = this.formatAzimuth(this.selectedZone.azimuth);
+    }
+
+    onZoneRoofChanged() {
+        if (!this.selectedZone) return;
+
+        const pitch = parseInt(document.getElementById('zoneRoofPitch')?.value);
+        const azimuth = parseInt(document.getElementById('zoneRoofAzimuth')?.value);
+        const before = this.captureZoneState(this.selectedZone);
+
+        this.selectedZone.tilt = isNaN(pitch) ? 0 : pitch;
+        this.selectedZone.azimuth = isNaN(azimuth) ? 180 : azimuth;
+
+        // Pitch changes the true roof area and therefore the panel fit
+        this.updateZoneArea(this.selectedZone);
+        this.applyZoneLayout(this.selectedZone);
+        this.recordZoneChange(`Change zone ${this.selectedZone.id.split('_')[1]} roof`, this.selectedZone, before,
+            `roof:${this.selectedZone.id}`);
+        this.updateSelectedZoneControls();
+        this.updateZoneAnalysis();
+    }
+
+    formatAzimuth(azimuth) {
+        const directions = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        const direction = directions[Math.round(((azimuth % 360) + 360) % 360 / 45) % 8];
+        return `${Math.round(azimuth)}° (${direction})`;
+    }
+
+    updateZoneLayoutControls() {
+        if (!this.selectedZone) return;
+
+        const layout = { ...this.panelLayoutDefaults, ...this.selectedZone.layout };
+        const orientationSelect = document.getElementById('zoneLayoutOrientation');
+        const setbackInput = document.getElementById('zoneLayoutSetback');
+        const rowGapInput = document.getElementById('zoneLayoutRowGap');
+        const keepoutBufferInput = document.getElementById('zoneLayoutKeepoutBuffer');
+
+        if (orientationSelect) orientationSelect.value = layout.orientation;
+        if (setbackInput) setbackInput.value = layout.setback;
+        if (rowGapInput) rowGapInput.value = layout.rowGap;
+        if (keepoutBufferInput) keepoutBufferInput.value = layout.keepoutBuffer;
+    }
+
+    onZoneLayoutChanged() {
+        if (!this.selectedZone) return;
+
+        const orientationSelect = document.getElementById('zoneLayoutOrientation');
+        const setbackInput = document.getElementById('zoneLayoutSetback');
+        const rowGapInput = document.getElementById('zoneLayoutRowGap');
+
+        const setback = parseFloat(setbackInput?.value);
+        const rowGap = parseFloat(rowGapInput?.value);
+        const keepoutBuffer = parseFloat(document.getElementById('zoneLayoutKeepoutBuffer')?.value);
+        const before = this.captureZoneState(this.selectedZone);
+
+        this.selectedZone.layout = {
+            ...this.panelLayoutDefaults,
+            ...this.selectedZone.layout,
+            orientation: orientationSelect?.value === 'landscape' ? 'landscape' : 'portrait',
+            setback: isNaN(setback) ? this.panelLayoutDefaults.setback : Math.max(0, setback),
+            rowGap: isNaN(rowGap) ? this.panelLayoutDefaults.rowGap : Math.max(0, rowGap),
+            keepoutBuffer: isNaN(keepoutBuffer) ? this.panelLayoutDefaults.keepoutBuffer : Math.max(0, keepoutBuffer)
+        };
+
+        // The buffer band comes off the usable area
+        this.updateZoneArea(this.selectedZone);
+        this.applyZoneLayout(this.selectedZone);
+        this.recordZoneChange(`Change zone ${this.selectedZone.id.split('_')[1]} layout`, this.selectedZone, before);
+        this.updateSelectedZoneControls();
+        this.updateZoneAnalysis();
+
+        console.log(`📐 Re-laid out ${this.selectedZone.id}: ${this.selectedZone.maxPanels} panels fit`);
     }
 
     updateSelectedZoneStats() {
@@ -585,6 +1353,13 @@ class SolarVisionAI {
         document.getElementById('selectedZonePower').textContent = `${systemSize.toFixed(1)} kW`;
         document.getElementById('selectedZoneOutput').textContent = `${energyOutput.toFixed(0)} kWh`;
         document.getElementById('selectedZoneSavings').textContent = `${efficiencyScore}% efficiency`;
+
+        const shadingEl = document.getElementById('selectedZoneShading');
+        if (shadingEl) {
+            shadingEl.textContent = this.obstacles.length > 0
+                ? `${(this.calculateZoneShading(this.selectedZone).loss * 100).toFixed(1)}%`
+                : 'No obstacles';
+        }
     }
 
     updateActionButtons() {
@@ -744,37 +1519,31 @@ class SolarVisionAI {
     }
 
     calculateEnergyOutput(zoneData) {
-        // Calculate system size in kW
-        const systemSize = (zoneData.panelCount * zoneData.panelWattage) / 1000; // kW
-
-        // Peak sun hours vary by European location:
-        // Southern Europe (Spain, Italy): 4.5-5.5 hours
-        // Central Europe (Germany, France): 3.5-4.5 hours  
-        // Northern Europe (Netherlands, UK): 2.5-3.5 hours
-        let peakSunHours = 4.2; // Conservative European average
-
-        // Use real sunlight data if available from weather API
-        if (this.sunlightData && this.sunlightData.daily) {
-            peakSunHours = this.sunlightData.daily;
-        }
+        return this.calculateZoneYield(zoneData).annual;
+    }
 
-        // Performance ratio accounts for all real-world losses:
-        // - Inverter efficiency: ~95-98%
-        // - System losses (wiring, dust, temperature): ~10-15%
-        // - Shading and mismatch losses: ~5-10%
-        // - Overall performance ratio: ~85% is realistic for well-designed systems
-        const performanceRatio = zoneData.efficiency || 0.85;
+    calculateZoneYield(zoneData) {
+        // Every panel in the UI reads zone numbers from the same hourly simulation
+        const simulation = this.drawingZones.includes(zoneData)
+            ? this.runSimulation()
+            : this.simulateHourlyProduction([zoneData], this.getWeatherSeries(), this.simulationSettings);
+        const zoneResult = simulation.zones[zoneData.id];
 
-        // Standard solar energy calculation formula
-        // Annual Energy (kWh) = System Size (kW) × Peak Sun Hours × 365 days × Performance Ratio
-        const annualOutput = systemSize * peakSunHours * 365 * performanceRatio;
+        const poa = this.calculatePlaneOfArrayInsolation(zoneData.tilt || 0, zoneData.azimuth ?? 180);
 
-        return annualOutput;
+        return {
+            annual: zoneResult.annual,
+            monthly: zoneResult.monthly,
+            hourly: zoneResult.hourlyAc,
+            poaAnnual: poa.annual,
+            specificYield: zoneResult.kWp > 0 ? zoneResult.annual / zoneResult.kWp : 0 // kWh per kWp
+        };
     }
 
     calculateEfficiencyScore(annualOutput, systemSize) {
         // Calculate efficiency score based on energy output per kW installed
         // Good systems produce 1000-1500 kWh per kW installed annually
+        if (!systemSize) return 0;
         const outputPerKW = annualOutput / systemSize;
 
         // Convert to efficiency percentage (1200 kWh/kW = 100% efficiency)
@@ -783,14 +1552,38 @@ class SolarVisionAI {
         return Math.round(efficiencyScore);
     }
 
-    calculateMonthlyOutput(annualOutput) {
-        // Simply return monthly energy output in kWh
-        return annualOutput / 12;
+    calculateMonthlyOutput(zoneData = null) {
+        // Monthly AC energy (kWh) from the hourly simulation, January first
+        if (zoneData) {
+            return this.calculateZoneYield(zoneData).monthly;
+        }
+        return this.runSimulation().monthly;
+    }
+
+    getMonthlyIrradianceFactors() {
+        // Each month's mean daily horizontal insolation relative to the annual mean
+        const series = this.getWeatherSeries();
+        const totals = new Array(12).fill(0);
+        const hours = new Array(12).fill(0);
+
+        for (let i = 0; i < series.length; i++) {
+            totals[series.month[i]] += series.ghi[i];
+            hours[series.month[i]]++;
+        }
+
+        const dailyMeans = totals.map((total, month) => (hours[month] > 0 ? (total / hours[month]) * 24 : 0));
+        const annualMean = dailyMeans.reduce((sum, value) => sum + value, 0) / 12;
+
+        return dailyMeans.map(value => (annualMean > 0 ? value / annualMean : 1));
     }
 
     updateZoneAnalysis() {
+        // Every analysis refresh follows a change worth saving
+        this.scheduleAutosave();
+
         if (this.drawingZones.length === 0) {
             this.hideZoneAnalysis();
+            this.renderMonthlyProductionChart();
             return;
         }
 
@@ -798,18 +1591,17 @@ class SolarVisionAI {
         let totalArea = 0;
         let totalPanels = 0;
         let totalPower = 0;
-        let totalAnnualOutput = 0;
-        let totalMonthlySavings = 0;
 
         this.drawingZones.forEach(zone => {
             totalArea += zone.area;
             totalPanels += zone.panelCount;
             totalPower += (zone.panelCount * zone.panelWattage) / 1000;
-
-            const energyOutput = this.calculateEnergyOutput(zone);
-            totalAnnualOutput += energyOutput;
         });
 
+        // System output comes from the hourly simulation, after inverter clipping
+        const simulation = this.runSimulation();
+        const totalAnnualOutput = simulation.annual;
+
         // Calculate overall system efficiency
         const overallEfficiency = totalPower > 0 ? this.calculateEfficiencyScore(totalAnnualOutput, totalPower) : 0;
 
@@ -820,8 +1612,16 @@ class SolarVisionAI {
             totalPanels: totalPanels,
             totalPower: totalPower,
             totalAnnualOutput: totalAnnualOutput,
-            overallEfficiency: overallEfficiency
+            overallEfficiency: overallEfficiency,
+            inverterAcRating: simulation.inverterAcRating,
+            clippingLoss: simulation.clippingLoss,
+            selfConsumption: this.loadProfile
+                ? this.calculateSelfConsumption(simulation.hourly, this.loadProfile.hourly)
+                : null,
+            simulation: simulation
         });
+
+        this.renderMonthlyProductionChart();
     }
 
     editZone(zoneId) {
@@ -853,10 +1653,11 @@ class SolarVisionAI {
             this.currentEditHandler.disable();
             this.currentEditHandler = null;
 
-            // Recalculate area for the edited zone
+            // Recalculate area and panel fit for the edited zone
             if (this.currentEditingZone) {
-                this.currentEditingZone.area = this.calculateArea(this.currentEditingZone.layer);
-                this.updateSelectedZoneStats();
+                this.updateZoneArea(this.currentEditingZone);
+                this.applyZoneLayout(this.currentEditingZone);
+                this.updateSelectedZoneControls();
                 this.updateZoneAnalysis();
             }
 
@@ -878,7 +1679,8 @@ class SolarVisionAI {
             this.currentEditingZone.layer.redraw();
 
             // Update the area calculation with original geometry
-            this.currentEditingZone.area = this.calculateArea(this.currentEditingZone.layer);
+            this.updateZoneArea(this.currentEditingZone);
+            this.applyZoneLayout(this.currentEditingZone);
 
             // Refresh the layer on the map
             this.drawnItems.removeLayer(this.currentEditingZone.layer);
@@ -903,9 +1705,15 @@ class SolarVisionAI {
         const zoneIndex = this.drawingZones.findIndex(zone => zone.id === zoneId);
         if (zoneIndex !== -1) {
             const zoneData = this.drawingZones[zoneIndex];
+            this.recordZoneCommand({
+                kind: 'remove',
+                label: `Delete zone ${zoneId.split('_')[1]}`,
+                entries: [{ zone: zoneData, index: zoneIndex }]
+            });
 
             // Remove from map
             this.drawnItems.removeLayer(zoneData.layer);
+            this.clearZonePanels(zoneData);
 
             // Remove from array
             this.drawingZones.splice(zoneIndex, 1);
@@ -935,871 +1743,7879 @@ class SolarVisionAI {
         }
     }
 
-    // Search Functionality
-    setupSearchFunctionality() {
-        const addressInput = document.getElementById('addressInput');
-        const searchBtn = document.getElementById('searchBtn');
+    // Zone History
+    // Every zone mutation is recorded as a command: 'add' and 'remove' keep the zone object
+    // itself (layer, handlers and all) so undo reattaches it; 'change' keeps before/after snapshots
+    captureZoneState(zone) {
+        const copyLatLngs = latLngs => latLngs.map(item => (Array.isArray(item) ? copyLatLngs(item) : L.latLng(item.lat, item.lng)));
+        return {
+            latLngs: copyLatLngs(zone.layer.getLatLngs()),
+            tilt: zone.tilt,
+            azimuth: zone.azimuth,
+            panelCount: zone.panelCount,
+            moduleId: zone.moduleId,
+            panelWattage: zone.panelWattage,
+            temperatureCoefficient: zone.temperatureCoefficient,
+            noct: zone.noct,
+            layout: { ...zone.layout }
+        };
+    }
 
-        if (searchBtn) {
-            searchBtn.addEventListener('click', () => {
-                const address = addressInput.value.trim();
-                if (address) {
-                    this.searchAddress(address);
-                }
-            });
+    applyZoneState(zone, state) {
+        const { latLngs, panelCount, layout, ...attributes } = state;
+        const copyLatLngs = items => items.map(item => (Array.isArray(item) ? copyLatLngs(item) : L.latLng(item.lat, item.lng)));
+
+        zone.layer.setLatLngs(copyLatLngs(latLngs));
+        Object.assign(zone, attributes);
+        zone.layout = { ...layout };
+
+        this.updateZoneArea(zone);
+        this.applyZoneLayout(zone);
+        zone.panelCount = Math.min(panelCount, zone.maxPanels);
+        this.renderZonePanels(zone);
+    }
+
+    zoneStatesEqual(a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    }
+
+    recordZoneCommand(command) {
+        // Project restores rebuild zones; that is not something to undo
+        if (this.restoringProject) return;
+
+        this.zoneHistory.undo.push({ ...command, time: Date.now() });
+        if (this.zoneHistory.undo.length > this.zoneHistory.limit) {
+            this.zoneHistory.undo.shift();
         }
+        this.zoneHistory.redo = [];
+        this.updateHistoryButtons();
+    }
 
-        if (addressInput) {
-            addressInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    const address = addressInput.value.trim();
-                    if (address) {
-                        this.searchAddress(address);
-                    }
-                }
-            });
+    recordZoneChange(label, zone, before, mergeKey = null) {
+        const after = this.captureZoneState(zone);
+        if (this.zoneStatesEqual(before, after) || this.restoringProject) return;
+
+        // Slider drags arrive as a stream of inputs; fold them into one step
+        const last = this.zoneHistory.undo[this.zoneHistory.undo.length - 1];
+        if (mergeKey && last && last.mergeKey === mergeKey && Date.now() - last.time < 1000) {
+            last.entries[0].after = after;
+            last.time = Date.now();
+            this.zoneHistory.redo = [];
+            this.updateHistoryButtons();
+            return;
         }
+
+        this.recordZoneCommand({ kind: 'change', label, mergeKey, entries: [{ zone, before, after }] });
     }
 
-    async searchAddress(address) {
-        try {
-            console.log('🔍 Searching for location:', address);
+    undoZoneChange() {
+        this.stepZoneHistory('undo');
+    }
 
-            // Show loading state
-            const searchBtn = document.getElementById('searchBtn');
-            searchBtn.innerHTML = '<span>Searching...</span>';
-            searchBtn.disabled = true;
+    redoZoneChange() {
+        this.stepZoneHistory('redo');
+    }
 
-            // Try multiple search strategies for maximum flexibility
-            let location = null;
-            let searchResults = [];
+    stepZoneHistory(direction) {
+        const command = this.zoneHistory[direction].pop();
+        if (!command) return;
 
-            // Strategy 1: Global search (no country restrictions)
-            try {
-                const globalUrl = `https://nominatim.openstreetmap.org/search?` +
-                    `format=json&` +
-                    `q=${encodeURIComponent(address)}&` +
-                    `limit=10&` +
-                    `addressdetails=1&` +
-                    `accept-language=en`;
-
-                const response = await fetch(globalUrl, {
-                    headers: {
-                        'User-Agent': 'SolarVision-AI/1.0'
-                    }
-                });
+        // Vertex handles of an open edit session would point at stale geometry
+        if (this.zoneEditSnapshot) {
+            this.zoneHistory[direction].push(command);
+            this.showMessage('Finish or cancel the zone edit first.', 'warning');
+            return;
+        }
 
-                if (response.ok) {
-                    const data = await response.json();
-                    if (data && data.length > 0) {
-                        searchResults = data;
-                    }
-                }
-            } catch (error) {
-                console.warn('Global search failed:', error);
-            }
+        const undoing = direction === 'undo';
+        if (command.kind === 'change') {
+            command.entries.forEach(entry => this.applyZoneState(entry.zone, undoing ? entry.before : entry.after));
+        } else if ((command.kind === 'add') === undoing) {
+            command.entries.forEach(entry => this.detachZone(entry.zone));
+        } else {
+            // Reinsert in the original order so zone numbering in lists and exports is unchanged
+            [...command.entries]
+                .sort((a, b) => a.index - b.index)
+                .forEach(entry => this.attachZone(entry.zone, entry.index));
+        }
 
-            // Strategy 2: If no results, try with common European countries
-            if (searchResults.length === 0) {
-                const countries = ['Belgium', 'Netherlands', 'Germany', 'France', 'Spain', 'Italy'];
+        this.zoneHistory[undoing ? 'redo' : 'undo'].push(command);
 
-                for (const country of countries) {
-                    try {
-                        const countryUrl = `https://nominatim.openstreetmap.org/search?` +
-                            `format=json&` +
-                            `q=${encodeURIComponent(address + ', ' + country)}&` +
-                            `limit=5`;
-
-                        const response = await fetch(countryUrl);
-                        if (response.ok) {
-                            const data = await response.json();
-                            if (data && data.length > 0) {
-                                searchResults = data;
-                                break; // Found results, stop searching
-                            }
-                        }
-                    } catch (error) {
-                        console.warn(`Search with ${country} failed:`, error);
-                    }
-                }
-            }
+        // Select what the step touched, or fall back to the first remaining zone
+        const touched = command.entries.map(entry => entry.zone).find(zone => this.drawingZones.includes(zone));
+        const selected = this.drawingZones.includes(this.selectedZone) ? this.selectedZone : null;
+        this.selectZone(touched || selected || this.drawingZones[0] || null);
 
-            // Strategy 3: Fuzzy search - try partial matches
-            if (searchResults.length === 0) {
-                try {
-                    const fuzzyUrl = `https://nominatim.openstreetmap.org/search?` +
-                        `format=json&` +
-                        `q=${encodeURIComponent(address)}&` +
-                        `limit=20&` +
-                        `dedupe=0`;
-
-                    const response = await fetch(fuzzyUrl);
-                    if (response.ok) {
-                        const data = await response.json();
-                        if (data && data.length > 0) {
-                            searchResults = data;
-                        }
-                    }
-                } catch (error) {
-                    console.warn('Fuzzy search failed:', error);
-                }
-            }
+        this.refreshShadingHeatmap();
+        this.updateZoneAnalysis();
+        this.updateHistoryButtons();
+        this.showMessage(`${undoing ? 'Undid' : 'Redid'}: ${command.label}`, 'info');
+    }
 
-            // Select the best result
-            if (searchResults.length > 0) {
-                // Prioritize results with house numbers, then cities, then any result
-                location = searchResults.find(item => item.address && item.address.house_number) ||
-                    searchResults.find(item => item.type === 'city' || item.type === 'town' || item.type === 'village') ||
-                    searchResults[0];
-            }
+    detachZone(zone) {
+        const index = this.drawingZones.indexOf(zone);
+        if (index === -1) return;
 
-            if (location) {
-                const lat = parseFloat(location.lat);
-                const lon = parseFloat(location.lon);
+        this.drawnItems.removeLayer(zone.layer);
+        this.clearZonePanels(zone);
+        this.drawingZones.splice(index, 1);
+        if (this.selectedZone === zone) {
+            this.selectedZone = null;
+        }
+    }
 
-                // Validate coordinates
-                if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
-                    throw new Error('Invalid coordinates received');
-                }
+    attachZone(zone, index) {
+        if (this.drawingZones.includes(zone)) return;
 
-                // Determine appropriate zoom level based on result type
-                let zoomLevel = 19; // Default for specific addresses
-                if (location.type === 'city' || location.type === 'town') {
-                    zoomLevel = 14;
-                } else if (location.type === 'village' || location.type === 'hamlet') {
-                    zoomLevel = 16;
-                } else if (location.type === 'suburb' || location.type === 'neighbourhood') {
-                    zoomLevel = 17;
-                }
+        this.drawingZones.splice(Math.min(index, this.drawingZones.length), 0, zone);
+        this.drawnItems.addLayer(zone.layer);
+        this.renderZonePanels(zone);
+    }
 
-                // Ensure map is initialized and ready
-                if (!this.map) {
-                    // Initialize map if not already done
-                    this.initializeMap();
-                    // Wait for map to be ready
-                    await new Promise(resolve => setTimeout(resolve, 800));
-                }
+    clearZoneHistory() {
+        this.zoneHistory.undo = [];
+        this.zoneHistory.redo = [];
+        this.updateHistoryButtons();
+    }
 
-                // Wait a bit more for map to be fully ready
-                if (this.map && !this.map.getContainer()) {
-                    await new Promise(resolve => setTimeout(resolve, 300));
-                }
+    updateHistoryButtons() {
+        [['undo', 'undoZoneBtn', 'Undo', 'Ctrl+Z'], ['redo', 'redoZoneBtn', 'Redo', 'Ctrl+Shift+Z']].forEach(([stack, id, verb, keys]) => {
+            const button = document.getElementById(id);
+            if (!button) return;
 
-                // Update map view directly without animation
-                try {
-                    if (this.map && this.map.setView) {
-                        this.map.setView([lat, lon], zoomLevel);
-                    } else {
-                        console.warn('Map not ready for setView, retrying...');
-                        setTimeout(() => {
-                            if (this.map && this.map.setView) {
-                                this.map.setView([lat, lon], zoomLevel);
-                            }
-                        }, 500);
-                    }
-                } catch (mapError) {
-                    console.error('Error setting map view:', mapError);
-                    // Try again with a delay
-                    setTimeout(() => {
-                        if (this.map && this.map.setView) {
-                            this.map.setView([lat, lon], zoomLevel);
-                        }
-                    }, 500);
-                }
+            const command = this.zoneHistory[stack][this.zoneHistory[stack].length - 1];
+            button.disabled = !command;
+            button.title = command ? `${verb} ${command.label.toLowerCase()} (${keys})` : `${verb} (${keys})`;
+        });
+    }
 
-                // Store location data
-                this.currentLocation = {
-                    lat: lat,
-                    lon: lon,
-                    address: location.display_name || address,
-                    type: location.type
-                };
+    setupZoneHistory() {
+        document.getElementById('undoZoneBtn')?.addEventListener('click', () => this.undoZoneChange());
+        document.getElementById('redoZoneBtn')?.addEventListener('click', () => this.redoZoneChange());
 
-                // Fetch sunlight data for this location
-                await this.fetchSunlightData(lat, lon);
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.altKey || this.currentPage !== 'analyzer') return;
 
-                // Show zone analysis panel for drawing
-                this.showZoneAnalysisPanel();
+            // Text fields keep their own undo
+            const target = e.target;
+            if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) return;
 
-                console.log('✅ Location found:', location.display_name);
-            } else {
-                // If no results found, show user-friendly message
-                console.log('No exact location found for:', address);
-                this.showMessage(`Location "${address}" could not be found. Please try a different address or be more specific (e.g., include city, country).`, 'warning');
-            }
-        } catch (error) {
-            console.error('❌ Search error:', error);
-            // Only show error messages for actual network errors
-            if (error.name === 'TypeError' && error.message.includes('fetch')) {
-                this.showMessage(`Unable to connect to search service. Please check your internet connection.`, 'error');
-            } else if (error.message && error.message.includes('initialize map')) {
-                // Map initialization error already handled above
-                return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) {
+                e.preventDefault();
+                this.undoZoneChange();
+            } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+                e.preventDefault();
+                this.redoZoneChange();
             }
-            // Don't show any message for other cases (like no results found)
-        } finally {
-            // Reset button state
-            const searchBtn = document.getElementById('searchBtn');
-            searchBtn.innerHTML = '<span>Search</span>';
-            searchBtn.disabled = false;
-        }
+        });
+
+        this.updateHistoryButtons();
     }
 
-    async fetchSunlightData(lat, lon) {
-        try {
-            console.log('☀️ Fetching sunlight data for location...');
+    // Solar Irradiance Model
+    getWeatherSeries() {
+        const lat = this.currentLocation ? this.currentLocation.lat : 50.8503;
+        const lon = this.currentLocation ? this.currentLocation.lon : 4.3517;
 
-            // Using Open-Meteo API (free weather API)
-            const response = await fetch(
-                `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&daily=sunshine_duration&timezone=auto&past_days=30&forecast_days=7`
-            );
+        // Peak sun hours vary by European location:
+        // Southern Europe (Spain, Italy): 4.5-5.5 hours
+        // Central Europe (Germany, France): 3.5-4.5 hours
+        // Northern Europe (Netherlands, UK): 2.5-3.5 hours
+        let dailyInsolation = 4.2; // Conservative European average (kWh/m²/day on the horizontal)
+
+        // Use real sunlight data if available from weather API
+        if (this.sunlightData && this.sunlightData.daily) {
+            dailyInsolation = this.sunlightData.daily;
+        }
 
-            if (!response.ok) {
-                throw new Error('Weather API request failed');
+        // Measured or uploaded irradiance always wins over the synthetic year
+        if (this.irradianceSeries) {
+            if (this.weatherSeries !== this.irradianceSeries) {
+                this.weatherSeries = this.irradianceSeries;
+                this.poaCache = {};
             }
+            return this.weatherSeries;
+        }
 
-            const data = await response.json();
+        const key = `synthetic|${lat.toFixed(4)}|${lon.toFixed(4)}|${dailyInsolation}`;
+        if (!this.weatherSeries || this.weatherSeries.key !== key) {
+            this.weatherSeries = this.buildSyntheticWeatherSeries(lat, lon, dailyInsolation);
+            this.weatherSeries.key = key;
+            this.poaCache = {};
+        }
 
-            if (data.daily && data.daily.sunshine_duration) {
-                const sunlightHours = data.daily.sunshine_duration;
-                const dates = data.daily.time;
+        return this.weatherSeries;
+    }
 
-                // Convert seconds to hours if needed and validate data
-                const processedHours = sunlightHours.map(seconds => {
-                    if (seconds === null || seconds === undefined) return null;
-                    // If the value is very large, it might be in seconds, convert to hours
-                    if (seconds > 24) {
-                        return seconds / 3600; // Convert seconds to hours
-                    }
-                    return seconds;
-                });
+    buildSyntheticWeatherSeries(lat, lon, dailyInsolation) {
+        // Clear-sky hourly year scaled so horizontal insolation matches the site average
+        const year = 2023; // Any non-leap year works for a typical year
+        const series = this.createHourlySeries(year, lat, lon);
 
-                // Calculate averages
-                const dailyAverage = this.calculateDailyAverage(processedHours);
-                const weeklyTotal = this.calculateWeeklyTotal(processedHours);
-                const monthlyAverage = this.calculateMonthlyAverage(processedHours);
-                const yearlyEstimate = this.calculateYearlyEstimate(processedHours);
-
-                // Store sunlight data
-                this.sunlightData = {
-                    daily: dailyAverage,
-                    weekly: weeklyTotal,
-                    monthly: monthlyAverage,
-                    yearly: yearlyEstimate,
-                    rawData: sunlightHours,
-                    dates: dates,
-                    location: { lat, lon }
-                };
+        let clearSkyTotal = 0;
+        const clearSky = series.sunZenith.map(zenith => {
+            const ghi = this.calculateClearSkyGhi(zenith);
+            clearSkyTotal += ghi;
+            return ghi;
+        });
 
-                // Update UI with sunlight data
-                this.displaySunlightData();
+        const targetTotal = dailyInsolation * 365 * 1000; // Wh/m²
+        const scale = clearSkyTotal > 0 ? targetTotal / clearSkyTotal : 0;
 
-                console.log('✅ Sunlight data fetched successfully');
-            }
-        } catch (error) {
-            console.error('❌ Error fetching sunlight data:', error);
-            // Use fallback data based on latitude
-            this.sunlightData = this.getFallbackSunlightData(lat);
-            this.displaySunlightData();
+        for (let i = 0; i < series.length; i++) {
+            const ghi = clearSky[i] * scale;
+            const split = this.decomposeGlobalIrradiance(ghi, series.sunZenith[i], series.extraterrestrial[i]);
+            series.ghi[i] = ghi;
+            series.dni[i] = split.dni;
+            series.dhi[i] = split.dhi;
         }
-    }
 
-    calculateDailyAverage(sunlightHours) {
-        const validHours = sunlightHours.filter(h => h !== null && h !== undefined);
-        const average = validHours.reduce((sum, hours) => sum + hours, 0) / validHours.length;
-        return Math.round(average * 10) / 10; // Round to 1 decimal
+        series.source = 'synthetic';
+        return this.fillMissingTemperatures(series);
     }
 
-    calculateWeeklyTotal(sunlightHours) {
-        const dailyAvg = this.calculateDailyAverage(sunlightHours);
-        return Math.round(dailyAvg * 7 * 10) / 10;
-    }
+    createHourlySeries(year, lat, lon) {
+        const hours = 8760;
+        const series = {
+            year: year,
+            location: { lat, lon },
+            length: hours,
+            time: new Array(hours),
+            month: new Array(hours),
+            ghi: new Array(hours).fill(0),
+            dni: new Array(hours).fill(0),
+            dhi: new Array(hours).fill(0),
+            temperature: new Array(hours).fill(null),
+            sunZenith: new Array(hours),
+            sunAzimuth: new Array(hours),
+            extraterrestrial: new Array(hours)
+        };
 
-    calculateMonthlyAverage(sunlightHours) {
-        const dailyAvg = this.calculateDailyAverage(sunlightHours);
-        return Math.round(dailyAvg * 30 * 10) / 10;
-    }
+        const start = Date.UTC(year, 0, 1);
+        for (let i = 0; i < hours; i++) {
+            // Evaluate the sun at the middle of each hour
+            const time = start + i * 3600000;
+            const date = new Date(time + 1800000);
+            const sun = this.calculateSolarPosition(date, lat, lon);
+            const dayOfYear = Math.floor(i / 24) + 1;
+
+            series.time[i] = time;
+            series.month[i] = date.getUTCMonth();
+            series.sunZenith[i] = 90 - sun.elevation;
+            series.sunAzimuth[i] = sun.azimuth;
+            series.extraterrestrial[i] = 1367 * (1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365));
+        }
 
-    calculateYearlyEstimate(sunlightHours) {
-        const dailyAvg = this.calculateDailyAverage(sunlightHours);
-        return Math.round(dailyAvg * 365);
+        return series;
     }
 
-    getFallbackSunlightData(lat) {
-        // Estimate based on latitude (rough approximation)
-        let dailyAverage;
+    calculateSolarPosition(date, lat, lon) {
+        const toRad = Math.PI / 180;
+        const ephemeris = this.calculateSolarEphemeris(date);
+        const declination = ephemeris.declination * toRad;
 
-        if (Math.abs(lat) < 23.5) { // Tropical
-            dailyAverage = 6.5;
-        } else if (Math.abs(lat) < 40) { // Subtropical
-            dailyAverage = 5.8;
-        } else if (Math.abs(lat) < 60) { // Temperate
-            dailyAverage = 4.5;
-        } else { // Polar
-            dailyAverage = 3.2;
-        }
+        // Local hour angle from Greenwich mean sidereal time
+        const gmst = ((18.697374558 + 24.06570982441908 * ephemeris.n) % 24) * 15;
+        const hourAngle = (gmst + lon) * toRad - ephemeris.rightAscension * toRad;
+
+        const latRad = lat * toRad;
+        const sinElevation = Math.sin(latRad) * Math.sin(declination) +
+            Math.cos(latRad) * Math.cos(declination) * Math.cos(hourAngle);
+        const elevation = Math.asin(Math.max(-1, Math.min(1, sinElevation)));
+
+        // Azimuth measured clockwise from north
+        const azimuth = Math.atan2(
+            Math.sin(hourAngle),
+            Math.cos(hourAngle) * Math.sin(latRad) - Math.tan(declination) * Math.cos(latRad)
+        ) / toRad + 180;
 
         return {
-            daily: dailyAverage,
-            weekly: Math.round(dailyAverage * 7 * 10) / 10,
-            monthly: Math.round(dailyAverage * 30 * 10) / 10,
-            yearly: Math.round(dailyAverage * 365),
-            source: 'estimated'
+            elevation: elevation / toRad,
+            azimuth: (azimuth + 360) % 360,
+            declination: ephemeris.declination
         };
     }
 
-    displaySunlightData() {
-        if (!this.sunlightData) return;
+    calculateSolarEphemeris(date) {
+        // Low-precision solar ephemeris (accurate to ~0.01° until 2050)
+        const toRad = Math.PI / 180;
+        const n = date.getTime() / 86400000 + 2440587.5 - 2451545.0; // Days since J2000
 
-        // Calculate additional solar metrics
-        const solarMetrics = this.calculateSolarMetrics(this.sunlightData);
+        const meanLongitude = (280.460 + 0.9856474 * n) % 360;
+        const meanAnomaly = ((357.528 + 0.9856003 * n) % 360) * toRad;
+        const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * toRad;
+        const obliquity = (23.439 - 0.0000004 * n) * toRad;
 
-        // Update sunlight display in the UI
-        const sunlightPanel = document.getElementById('sunlightPanel');
-        if (sunlightPanel) {
-            sunlightPanel.style.display = 'block';
+        const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+        const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
 
-            // Update basic sunlight data
-            document.getElementById('sunlightDaily').textContent = `${this.sunlightData.daily}h`;
-            document.getElementById('sunlightWeekly').textContent = `${this.sunlightData.weekly}h`;
-            document.getElementById('sunlightMonthly').textContent = `${this.sunlightData.monthly}h`;
-            document.getElementById('sunlightYearly').textContent = `${this.sunlightData.yearly}h`;
+        // Equation of time: apparent minus mean solar time, in minutes
+        const difference = ((meanLongitude - rightAscension / toRad) % 360 + 540) % 360 - 180;
 
-            // Add enhanced solar analysis
-            this.updateSolarAnalysisDisplay(solarMetrics);
+        return {
+            n: n,
+            rightAscension: rightAscension / toRad,
+            declination: declination / toRad,
+            equationOfTime: difference * 4
+        };
+    }
 
-            // Update display with default period (12 months)
-            const sunlightPeriod = document.getElementById('sunlightPeriod');
-            const selectedPeriod = sunlightPeriod ? sunlightPeriod.value : '12months';
-            this.updateSunlightDisplay(selectedPeriod);
+    calculateSunTimes(date, lat, lon) {
+        const toRad = Math.PI / 180;
+        const dayStart = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+        // Solar noon, refined once with the equation of time at noon itself
+        let solarNoon = dayStart + (12 - lon / 15) * 3600000;
+        let ephemeris = this.calculateSolarEphemeris(new Date(solarNoon));
+        solarNoon = dayStart + (12 - lon / 15 - ephemeris.equationOfTime / 60) * 3600000;
+        ephemeris = this.calculateSolarEphemeris(new Date(solarNoon));
+
+        // Sunrise and sunset are when the upper limb touches the horizon, including refraction
+        const declination = ephemeris.declination * toRad;
+        const cosHourAngle = (Math.sin(-0.833 * toRad) - Math.sin(lat * toRad) * Math.sin(declination)) /
+            (Math.cos(lat * toRad) * Math.cos(declination));
+
+        if (cosHourAngle <= -1 || cosHourAngle >= 1) {
+            return {
+                solarNoon: new Date(solarNoon),
+                sunrise: null,
+                sunset: null,
+                dayLength: cosHourAngle <= -1 ? 24 : 0,
+                polar: cosHourAngle <= -1 ? 'day' : 'night'
+            };
         }
+
+        const halfDay = Math.acos(cosHourAngle) / toRad / 15; // Hours
+        return {
+            solarNoon: new Date(solarNoon),
+            sunrise: new Date(solarNoon - halfDay * 3600000),
+            sunset: new Date(solarNoon + halfDay * 3600000),
+            dayLength: halfDay * 2,
+            polar: null
+        };
     }
 
-    calculateSolarMetrics(sunlightData) {
-        const dailyHours = sunlightData.daily;
+    calculateClearSkyGhi(zenith) {
+        // Haurwitz clear-sky model (W/m²)
+        const cosZenith = Math.cos(zenith * Math.PI / 180);
+        if (cosZenith <= 0) return 0;
+        return 1098 * cosZenith * Math.exp(-0.057 / cosZenith);
+    }
 
-        // Calculate solar potential rating
-        let solarPotential = 'Poor';
-        let potentialColor = '#ef4444';
-        if (dailyHours >= 5.5) {
-            solarPotential = 'Excellent';
-            potentialColor = '#10b981';
-        } else if (dailyHours >= 4.5) {
-            solarPotential = 'Very Good';
-            potentialColor = '#059669';
-        } else if (dailyHours >= 3.5) {
-            solarPotential = 'Good';
-            potentialColor = '#f59e0b';
-        } else if (dailyHours >= 2.5) {
-            solarPotential = 'Fair';
-            potentialColor = '#f97316';
+    decomposeGlobalIrradiance(ghi, zenith, extraterrestrial) {
+        // Erbs correlation splits global horizontal into beam and diffuse
+        const cosZenith = Math.cos(zenith * Math.PI / 180);
+        if (ghi <= 0 || cosZenith < 0.065) {
+            return { dni: 0, dhi: Math.max(ghi, 0) };
         }
 
-        // Calculate optimal panel tilt based on latitude
-        const optimalTilt = this.currentLocation ? Math.abs(this.currentLocation.lat) : 35;
+        const clearnessIndex = Math.min(ghi / (extraterrestrial * cosZenith), 1);
+        let diffuseFraction;
+        if (clearnessIndex <= 0.22) {
+            diffuseFraction = 1 - 0.09 * clearnessIndex;
+        } else if (clearnessIndex <= 0.8) {
+            diffuseFraction = 0.9511 - 0.1604 * clearnessIndex + 4.388 * clearnessIndex ** 2 -
+                16.638 * clearnessIndex ** 3 + 12.336 * clearnessIndex ** 4;
+        } else {
+            diffuseFraction = 0.165;
+        }
 
-        // Calculate seasonal variation
-        const winterHours = dailyHours * 0.6; // Winter typically 40% less
-        const summerHours = dailyHours * 1.4; // Summer typically 40% more
+        const dhi = ghi * diffuseFraction;
+        return { dni: (ghi - dhi) / cosZenith, dhi: dhi };
+    }
+
+    calculatePlaneOfArrayIrradiance(ghi, dni, dhi, sunZenith, sunAzimuth, tilt, azimuth, extraterrestrial, albedo = 0.2) {
+        const toRad = Math.PI / 180;
+        const beta = tilt * toRad;
+        const cosZenith = Math.cos(sunZenith * toRad);
 
-        // Calculate energy production potential per kW
-        const annualProductionPerKW = dailyHours * 365 * 0.85; // 85% system efficiency
+        // Angle of incidence between the sun and the panel normal
+        const cosIncidence = cosZenith * Math.cos(beta) +
+            Math.sin(sunZenith * toRad) * Math.sin(beta) * Math.cos((sunAzimuth - azimuth) * toRad);
+
+        const beam = cosZenith > 0 ? dni * Math.max(cosIncidence, 0) : 0;
+
+        // Hay-Davies sky diffuse: circumsolar part follows the beam, the rest is isotropic
+        const anisotropy = extraterrestrial > 0 ? Math.min(dni / extraterrestrial, 1) : 0;
+        const beamRatio = Math.max(cosIncidence, 0) / Math.max(cosZenith, 0.087);
+        const diffuse = dhi * (anisotropy * beamRatio + (1 - anisotropy) * (1 + Math.cos(beta)) / 2);
+
+        const ground = ghi * albedo * (1 - Math.cos(beta)) / 2;
 
         return {
-            solarPotential,
-            potentialColor,
-            optimalTilt: Math.round(optimalTilt),
-            winterHours: winterHours.toFixed(1),
-            summerHours: Math.min(summerHours, 12).toFixed(1), // Cap at 12 hours
-            annualProductionPerKW: Math.round(annualProductionPerKW),
-            peakSeason: summerHours > 8 ? 'Summer' : 'Spring/Fall',
-            recommendedOrientation: 'South-facing'
+            beam: beam,
+            diffuse: diffuse,
+            ground: ground,
+            total: beam + diffuse + ground
         };
     }
 
-    updateSolarAnalysisDisplay(metrics) {
-        // Create or update enhanced solar analysis section
-        let analysisSection = document.querySelector('.enhanced-solar-analysis');
-        if (!analysisSection) {
-            analysisSection = document.createElement('div');
-            analysisSection.className = 'enhanced-solar-analysis';
+    calculatePlaneOfArrayInsolation(tilt, azimuth) {
+        const series = this.getWeatherSeries();
+        const key = `${tilt}|${azimuth}`;
 
-            const sunlightPanel = document.getElementById('sunlightPanel');
-            if (sunlightPanel) {
-                sunlightPanel.appendChild(analysisSection);
-            }
+        if (this.poaCache[key]) {
+            return this.poaCache[key];
         }
 
-        analysisSection.innerHTML = `
-            <div class="solar-analysis-header">
-                <h4><i class="fas fa-chart-line"></i> Solar Analysis for Panel Setup</h4>
-            </div>
-            <div class="solar-metrics-grid">
-                <div class="solar-metric-card">
-                    <div class="metric-header">
-                        <i class="fas fa-star" style="color: ${metrics.potentialColor}"></i>
-                        <span class="metric-title">Solar Potential</span>
+        const hourly = new Array(series.length).fill(0);
+        const hourlyBeam = new Array(series.length).fill(0);
+        const monthly = new Array(12).fill(0);
+        for (let i = 0; i < series.length; i++) {
+            if (series.ghi[i] <= 0) continue;
+
+            // Behind the horizon only diffuse light is left
+            const blocked = this.isSunBelowHorizon(series, i);
+            const poa = this.calculatePlaneOfArrayIrradiance(
+                blocked ? series.dhi[i] : series.ghi[i], blocked ? 0 : series.dni[i], series.dhi[i],
+                series.sunZenith[i], series.sunAzimuth[i],
+                tilt, azimuth, series.extraterrestrial[i],
+                this.simulationSettings.albedo
+            );
+            hourly[i] = poa.total;
+            hourlyBeam[i] = poa.beam; // Kept apart because only the beam is blocked by shade
+            monthly[series.month[i]] += poa.total / 1000; // Wh → kWh per hour step
+        }
+
+        const result = {
+            hourly: hourly,
+            hourlyBeam: hourlyBeam,
+            monthly: monthly,
+            annual: monthly.reduce((sum, value) => sum + value, 0)
+        };
+
+        this.poaCache[key] = result;
+        return result;
+    }
+
+    estimateAmbientTemperature(lat, lon, time) {
+        // Latitude-based climate normal with seasonal and daily swings, used when data has no temperature
+        const date = new Date(time);
+        const dayOfYear = Math.floor((time - Date.UTC(date.getUTCFullYear(), 0, 1)) / 86400000) + 1;
+        const absLat = Math.abs(lat);
+
+        const annualMean = 28 - 0.35 * absLat;
+        const seasonalAmplitude = 2 + 0.2 * absLat;
+        const warmestDay = lat >= 0 ? 200 : 17;
+        const solarHour = (date.getUTCHours() + 0.5 + lon / 15 + 24) % 24;
+
+        return annualMean +
+            seasonalAmplitude * Math.cos(2 * Math.PI * (dayOfYear - warmestDay) / 365) +
+            4 * Math.cos(2 * Math.PI * (solarHour - 15) / 24);
+    }
+
+    fillMissingTemperatures(series) {
+        for (let i = 0; i < series.length; i++) {
+            if (series.temperature[i] === null || series.temperature[i] === undefined) {
+                series.temperature[i] = this.estimateAmbientTemperature(series.location.lat, series.location.lon, series.time[i]);
+            }
+        }
+        return series;
+    }
+
+    // Hourly Simulation Engine
+    runSimulation() {
+        const series = this.getWeatherSeries();
+        const zoneKeys = this.drawingZones.map(zone => [
+            zone.id, zone.panelCount, zone.panelWattage, zone.tilt, zone.azimuth,
+            zone.temperatureCoefficient, zone.noct
+        ].join(':'));
+        // Obstacles make the result depend on where each panel sits
+        const shadingKeys = this.obstacles.length > 0 ? this.drawingZones.map(zone => this.getZoneShadingKey(zone)) : [];
+        const horizonKey = this.horizonProfile ? JSON.stringify(this.horizonProfile.points) : '';
+        const key = [series.key, JSON.stringify(this.simulationSettings), horizonKey, ...zoneKeys, ...shadingKeys].join('|');
+
+        if (this.simulationCache && this.simulationCache.key === key) {
+            return this.simulationCache.result;
+        }
+
+        const result = this.simulateHourlyProduction(this.drawingZones, series, this.simulationSettings);
+        this.simulationCache = { key, result };
+        return result;
+    }
+
+    simulateHourlyProduction(zones, series, settings) {
+        const hours = series.length;
+        const systemDc = new Array(hours).fill(0);
+        const dcDerate = (1 - settings.soilingLoss) * (1 - settings.wiringLoss) * (1 - settings.mismatchLoss);
+
+        const zoneResults = {};
+        let totalKwp = 0;
+
+        zones.forEach(zone => {
+            const kWp = (zone.panelCount * zone.panelWattage) / 1000;
+            const insolation = this.calculatePlaneOfArrayInsolation(zone.tilt || 0, zone.azimuth ?? 180);
+            // Only zones with an outline have panel positions to shade
+            const shading = this.obstacles.length > 0 && zone.layer ? this.calculateZoneShading(zone) : null;
+            const poa = shading
+                ? insolation.hourly.map((total, i) => total - insolation.hourlyBeam[i] * shading.hourlyShadedFraction[i])
+                : insolation.hourly;
+            const temperatureCoefficient = zone.temperatureCoefficient ?? -0.0035;
+            const noct = zone.noct ?? 45;
+            const hourlyDc = new Array(hours).fill(0);
+
+            for (let i = 0; i < hours; i++) {
+                if (poa[i] <= 0 || kWp === 0) continue;
+
+                // NOCT cell temperature model: cells heat up linearly with irradiance
+                const cellTemperature = series.temperature[i] + ((noct - 20) / 800) * poa[i];
+                const temperatureFactor = 1 + temperatureCoefficient * (cellTemperature - 25);
+
+                hourlyDc[i] = Math.max(kWp * (poa[i] / 1000) * temperatureFactor * dcDerate, 0);
+                systemDc[i] += hourlyDc[i];
+            }
+
+            totalKwp += kWp;
+            zoneResults[zone.id] = { kWp, hourlyDc, shadingLoss: shading ? shading.loss : 0 };
+        });
+
+        // All zones feed one inverter, so clipping applies to the combined DC power
+        const acRating = settings.inverterAcRating || totalKwp / settings.dcAcRatio;
+        const systemAc = new Array(hours).fill(0);
+        const monthly = new Array(12).fill(0);
+        let dcAnnual = 0;
+        let clippingLoss = 0;
+
+        for (let i = 0; i < hours; i++) {
+            if (systemDc[i] <= 0) continue;
+            const inverter = this.calculateInverterOutput(systemDc[i], acRating, settings.inverterEfficiency);
+            systemAc[i] = inverter.ac;
+            clippingLoss += inverter.clipped;
+            dcAnnual += systemDc[i];
+            monthly[series.month[i]] += systemAc[i];
+        }
+
+        // Split the inverter output back to zones by their share of DC power
+        Object.values(zoneResults).forEach(zoneResult => {
+            zoneResult.hourlyAc = zoneResult.hourlyDc.map((dc, i) => (dc > 0 ? systemAc[i] * dc / systemDc[i] : 0));
+            zoneResult.monthly = new Array(12).fill(0);
+            zoneResult.hourlyAc.forEach((ac, i) => {
+                zoneResult.monthly[series.month[i]] += ac;
+            });
+            zoneResult.annual = zoneResult.monthly.reduce((sum, value) => sum + value, 0);
+            zoneResult.dcAnnual = zoneResult.hourlyDc.reduce((sum, value) => sum + value, 0);
+        });
+
+        return {
+            hourly: systemAc,
+            monthly: monthly,
+            annual: monthly.reduce((sum, value) => sum + value, 0),
+            dcAnnual: dcAnnual,
+            clippingLoss: clippingLoss,
+            kWp: totalKwp,
+            inverterAcRating: acRating,
+            zones: zoneResults
+        };
+    }
+
+    calculateOptimalTilt() {
+        const series = this.getWeatherSeries();
+        const horizonKey = this.horizonProfile ? JSON.stringify(this.horizonProfile.points) : '';
+        const key = [series.key, JSON.stringify(this.simulationSettings), horizonKey].join('|');
+
+        if (this.optimalTiltCache && this.optimalTiltCache.key === key) {
+            return this.optimalTiltCache.tilt;
+        }
+
+        // Coarse 5° scan, then refine to the nearest degree around the best step
+        const yieldAt = {};
+        const evaluate = tilt => {
+            if (yieldAt[tilt] === undefined) {
+                yieldAt[tilt] = this.calculateReferenceSpecificYield(tilt);
+            }
+            return yieldAt[tilt];
+        };
+        const best = tilts => tilts.reduce((winner, tilt) => (evaluate(tilt) > evaluate(winner) ? tilt : winner));
+
+        const coarse = best(Array.from({ length: 15 }, (_, i) => i * 5));
+        const fine = best(Array.from({ length: 9 }, (_, i) => coarse - 4 + i).filter(tilt => tilt >= 0 && tilt <= 70));
+
+        this.optimalTiltCache = { key, tilt: fine };
+        return fine;
+    }
+
+    calculateReferenceSpecificYield(tilt) {
+        // 1 kWp equator-facing array under the current weather and loss settings
+        const referenceZone = {
+            id: 'reference',
+            panelCount: 1,
+            panelWattage: 1000,
+            tilt: tilt,
+            azimuth: this.currentLocation && this.currentLocation.lat < 0 ? 0 : 180
+        };
+
+        return this.simulateHourlyProduction([referenceZone], this.getWeatherSeries(), this.simulationSettings).annual;
+    }
+
+    calculateInverterOutput(dcPower, acRating, nominalEfficiency) {
+        if (dcPower <= 0 || acRating <= 0) return { ac: 0, clipped: 0 };
+
+        // PVWatts part-load efficiency curve, scaled to the inverter's nominal efficiency
+        const dcRating = acRating / nominalEfficiency;
+        const load = dcPower / dcRating;
+        const efficiency = (nominalEfficiency / 0.9637) * (-0.0162 * load - 0.0059 / load + 0.9858);
+        const ac = Math.max(dcPower * efficiency, 0);
+
+        // Anything above the AC nameplate is clipped
+        return {
+            ac: Math.min(ac, acRating),
+            clipped: Math.max(ac - acRating, 0)
+        };
+    }
+
+    // Equipment Catalog
+    getDefaultEquipmentCatalog() {
+        // Typical datasheet values for common residential equipment classes; import a catalog for exact models
+        return {
+            modules: [
+                {
+                    id: 'generic-400-mono', manufacturer: 'Generic', model: '400 W mono PERC',
+                    wattage: 400, length: 1.72, width: 1.13, efficiency: 0.206,
+                    temperatureCoefficient: -0.0035, vocTemperatureCoefficient: -0.0028, noct: 45,
+                    voc: 37.1, isc: 13.8, vmp: 30.8, imp: 13.0, price: 110
+                },
+                {
+                    id: 'generic-430-topcon', manufacturer: 'Generic', model: '430 W n-type TOPCon',
+                    wattage: 430, length: 1.72, width: 1.13, efficiency: 0.221,
+                    temperatureCoefficient: -0.0030, vocTemperatureCoefficient: -0.0025, noct: 43,
+                    voc: 38.9, isc: 14.0, vmp: 32.4, imp: 13.3, price: 130
+                },
+                {
+                    id: 'generic-375-black', manufacturer: 'Generic', model: '375 W all-black',
+                    wattage: 375, length: 1.76, width: 1.04, efficiency: 0.205,
+                    temperatureCoefficient: -0.0034, vocTemperatureCoefficient: -0.0027, noct: 45,
+                    voc: 41.2, isc: 11.5, vmp: 34.1, imp: 11.0, price: 120
+                },
+                {
+                    id: 'generic-500-large', manufacturer: 'Generic', model: '500 W large format',
+                    wattage: 500, length: 2.09, width: 1.13, efficiency: 0.211,
+                    temperatureCoefficient: -0.0034, vocTemperatureCoefficient: -0.0026, noct: 45,
+                    voc: 45.6, isc: 13.9, vmp: 38.2, imp: 13.1, price: 140
+                }
+            ],
+            inverters: [
+                {
+                    id: 'generic-3k-1p', manufacturer: 'Generic', model: '3 kW single-phase',
+                    acRating: 3, mpptCount: 2, mpptMinVoltage: 90, mpptMaxVoltage: 520,
+                    maxDcVoltage: 600, maxInputCurrent: 13, efficiency: 0.97, price: 750
+                },
+                {
+                    id: 'generic-5k-1p', manufacturer: 'Generic', model: '5 kW single-phase',
+                    acRating: 5, mpptCount: 2, mpptMinVoltage: 90, mpptMaxVoltage: 520,
+                    maxDcVoltage: 600, maxInputCurrent: 16, efficiency: 0.972, price: 1000
+                },
+                {
+                    id: 'generic-8k-3p', manufacturer: 'Generic', model: '8 kW three-phase',
+                    acRating: 8, mpptCount: 2, mpptMinVoltage: 160, mpptMaxVoltage: 850,
+                    maxDcVoltage: 1000, maxInputCurrent: 16, efficiency: 0.978, price: 1400
+                },
+                {
+                    id: 'generic-10k-3p', manufacturer: 'Generic', model: '10 kW three-phase',
+                    acRating: 10, mpptCount: 2, mpptMinVoltage: 160, mpptMaxVoltage: 850,
+                    maxDcVoltage: 1000, maxInputCurrent: 26, efficiency: 0.98, price: 1700
+                }
+            ]
+        };
+    }
+
+    setupEquipmentControls() {
+        // Imported catalog entries are kept across sessions on top of the bundled defaults
+        try {
+            const stored = JSON.parse(this.readStorage('solarvision.catalog') || 'null');
+            if (stored) {
+                this.mergeEquipmentCatalog(stored);
+            }
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable equipment catalog:', error);
+        }
+
+        const moduleSelect = document.getElementById('zoneModuleSelect');
+        if (moduleSelect) {
+            moduleSelect.addEventListener('change', () => {
+                if (this.selectedZone && moduleSelect.value) {
+                    this.changeZoneModule(this.selectedZone, moduleSelect.value);
+                }
+            });
+        }
+
+        const inverterSelect = document.getElementById('inverterModelSelect');
+        const inverterCount = document.getElementById('inverterCount');
+        [inverterSelect, inverterCount].forEach(input => {
+            if (!input) return;
+            input.addEventListener('change', () => {
+                const count = parseInt(inverterCount?.value, 10);
+                this.setInverterModel(inverterSelect?.value || null, count > 0 ? count : 1);
+            });
+        });
+
+        // String sizing limits; empty record temperatures fall back to the weather data
+        const stringInputs = {
+            stringMinDcAc: 'minDcAcRatio',
+            stringMaxDcAc: 'maxDcAcRatio',
+            stringRecordLow: 'recordLowTemperature',
+            stringRecordHigh: 'recordHighTemperature'
+        };
+
+        Object.entries(stringInputs).forEach(([id, setting]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (setting === 'recordLowTemperature' || setting === 'recordHighTemperature') {
+                    this.stringSettings[setting] = isNaN(value) ? null : value;
+                } else if (value > 0) {
+                    this.stringSettings[setting] = value;
+                }
+
+                this.updateSelectedZoneControls();
+                this.updateZoneAnalysis();
+            });
+        });
+
+        const catalogFile = document.getElementById('catalogFileInput');
+        if (catalogFile) {
+            catalogFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importEquipmentCatalog(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        const resetBtn = document.getElementById('catalogResetBtn');
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                this.resetEquipmentCatalog();
+            });
+        }
+
+        this.updateEquipmentControls();
+    }
+
+    async importEquipmentCatalog(file) {
+        try {
+            const text = await file.text();
+            const catalog = this.parseEquipmentCatalog(text);
+            this.mergeEquipmentCatalog(catalog);
+            this.saveImportedEquipment(catalog);
+            this.updateEquipmentControls();
+            this.updateSelectedZoneControls();
+
+            const skipped = catalog.skipped ? `, skipped ${catalog.skipped} incomplete rows` : '';
+            this.showMessage(`Imported ${catalog.modules.length} modules and ${catalog.inverters.length} inverters from ${file.name}${skipped}`, 'success');
+        } catch (error) {
+            console.error('❌ Error importing equipment catalog:', error);
+            this.showMessage(`Could not read equipment catalog: ${error.message}`, 'error');
+        }
+    }
+
+    parseEquipmentCatalog(text) {
+        let records;
+
+        if (/^\s*[[{]/.test(text)) {
+            // JSON is either { modules: [...], inverters: [...] } or a flat list with a "type" field
+            const data = JSON.parse(text);
+            records = Array.isArray(data)
+                ? data
+                : [
+                    ...(data.modules || []).map(record => ({ ...record, type: 'module' })),
+                    ...(data.inverters || []).map(record => ({ ...record, type: 'inverter' }))
+                ];
+        } else {
+            const lines = text.replace(/\r/g, '').split('\n').filter(line => line.trim());
+            if (lines.length < 2) {
+                throw new Error('expected a header row and at least one product');
+            }
+            const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+            const header = lines[0].split(delimiter).map(c => c.trim().replace(/"/g, ''));
+            records = lines.slice(1).map(line => {
+                const fields = line.split(delimiter).map(f => f.trim().replace(/"/g, ''));
+                return Object.fromEntries(header.map((name, i) => [name, fields[i] ?? '']));
+            });
+        }
+
+        const catalog = { modules: [], inverters: [], skipped: 0 };
+        records.forEach(record => {
+            const fields = this.mapEquipmentFields(record);
+            // Rows without a type column are told apart by their AC rating
+            const type = String(fields.type || (fields.acRating !== undefined ? 'inverter' : 'module')).toLowerCase();
+
+            try {
+                if (/inverter/.test(type)) {
+                    catalog.inverters.push(this.normalizeInverter(fields));
+                } else {
+                    catalog.modules.push(this.normalizeModule(fields));
+                }
+            } catch (error) {
+                catalog.skipped++;
+            }
+        });
+
+        if (catalog.modules.length === 0 && catalog.inverters.length === 0) {
+            throw new Error('no complete module or inverter entries found');
+        }
+        return catalog;
+    }
+
+    mapEquipmentFields(record) {
+        // Datasheet exports name the same value many ways; compare names without units, case or punctuation
+        const fieldAliases = {
+            type: ['type', 'category', 'kind'],
+            id: ['id', 'sku', 'partnumber'],
+            manufacturer: ['manufacturer', 'brand', 'make', 'vendor'],
+            model: ['model', 'name', 'modelname'],
+            wattage: ['wattage', 'wp', 'pmax', 'power', 'ratedpower', 'stcpower'],
+            length: ['length', 'lengthm', 'lengthmm', 'height'],
+            width: ['width', 'widthm', 'widthmm'],
+            efficiency: ['efficiency', 'moduleefficiency', 'eff', 'maxefficiency', 'euroefficiency'],
+            temperatureCoefficient: ['temperaturecoefficient', 'tempcoefficientpmax', 'gammapmax', 'gamma', 'tcpmax'],
+            vocTemperatureCoefficient: ['voctemperaturecoefficient', 'tempcoefficientvoc', 'betavoc', 'beta', 'tcvoc'],
+            noct: ['noct', 'nmot'],
+            voc: ['voc', 'opencircuitvoltage'],
+            isc: ['isc', 'shortcircuitcurrent'],
+            vmp: ['vmp', 'vmpp', 'voltageatmaxpower'],
+            imp: ['imp', 'impp', 'currentatmaxpower'],
+            acRating: ['acrating', 'acpower', 'ratedacpower', 'pac', 'ackw', 'acratingkw'],
+            mpptCount: ['mpptcount', 'mppts', 'mppt', 'numberofmppt'],
+            mpptMinVoltage: ['mpptminvoltage', 'mpptmin', 'vmpptmin', 'mpptvoltagemin'],
+            mpptMaxVoltage: ['mpptmaxvoltage', 'mpptmax', 'vmpptmax', 'mpptvoltagemax'],
+            maxDcVoltage: ['maxdcvoltage', 'maxinputvoltage', 'vdcmax', 'maxvoltage'],
+            maxInputCurrent: ['maxinputcurrent', 'maxcurrentpermppt', 'idcmax', 'maxcurrent'],
+            price: ['price', 'cost', 'unitprice']
+        };
+
+        const keyed = {};
+        Object.entries(record || {}).forEach(([name, value]) => {
+            keyed[String(name).toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9]/g, '')] = value;
+        });
+
+        const fields = {};
+        Object.entries(fieldAliases).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => keyed[name] !== undefined && keyed[name] !== '');
+            if (alias) {
+                fields[field] = keyed[alias];
+            }
+        });
+        return fields;
+    }
+
+    normalizeModule(fields) {
+        const number = value => parseFloat(String(value ?? '').replace(',', '.'));
+        // Datasheets give millimetres and percentages; the model works in metres and fractions
+        const metres = value => (value > 10 ? value / 1000 : value);
+        const fraction = (value, limit) => Math.round((Math.abs(value) > limit ? value / 100 : value) * 1e6) / 1e6;
+
+        const wattage = number(fields.wattage);
+        const length = metres(number(fields.length));
+        const width = metres(number(fields.width));
+        if (!(wattage > 0) || !(length > 0) || !(width > 0)) {
+            throw new Error('module needs wattage, length and width');
+        }
+
+        const optional = (value, convert = v => v) => {
+            const parsed = number(value);
+            return isNaN(parsed) ? null : convert(parsed);
+        };
+        const efficiency = optional(fields.efficiency, value => fraction(value, 1));
+        const manufacturer = String(fields.manufacturer || 'Custom').trim();
+        const model = String(fields.model || `${wattage} W module`).trim();
+
+        return {
+            id: String(fields.id || `${manufacturer}-${model}`).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            manufacturer,
+            model,
+            wattage,
+            // Long side first, as the layout engine expects
+            length: Math.max(length, width),
+            width: Math.min(length, width),
+            efficiency: efficiency ?? wattage / (length * width * 1000),
+            temperatureCoefficient: optional(fields.temperatureCoefficient, value => fraction(value, 0.05)) ?? -0.0035,
+            vocTemperatureCoefficient: optional(fields.vocTemperatureCoefficient, value => fraction(value, 0.05)) ?? -0.0028,
+            noct: optional(fields.noct) ?? 45,
+            voc: optional(fields.voc),
+            isc: optional(fields.isc),
+            vmp: optional(fields.vmp),
+            imp: optional(fields.imp),
+            price: optional(fields.price)
+        };
+    }
+
+    normalizeInverter(fields) {
+        const number = value => parseFloat(String(value ?? '').replace(',', '.'));
+        const optional = (value, convert = v => v) => {
+            const parsed = number(value);
+            return isNaN(parsed) ? null : convert(parsed);
+        };
+
+        // AC ratings above 100 are watts
+        let acRating = number(fields.acRating);
+        if (acRating > 100) acRating /= 1000;
+        if (!(acRating > 0)) {
+            throw new Error('inverter needs an AC rating');
+        }
+
+        const manufacturer = String(fields.manufacturer || 'Custom').trim();
+        const model = String(fields.model || `${acRating} kW inverter`).trim();
+        const efficiency = optional(fields.efficiency, value => (value > 1 ? value / 100 : value));
+
+        return {
+            id: String(fields.id || `${manufacturer}-${model}`).toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+            manufacturer,
+            model,
+            acRating,
+            mpptCount: Math.max(Math.round(optional(fields.mpptCount) ?? 1), 1),
+            mpptMinVoltage: optional(fields.mpptMinVoltage),
+            mpptMaxVoltage: optional(fields.mpptMaxVoltage),
+            maxDcVoltage: optional(fields.maxDcVoltage),
+            maxInputCurrent: optional(fields.maxInputCurrent),
+            efficiency: efficiency ?? 0.965,
+            price: optional(fields.price)
+        };
+    }
+
+    mergeEquipmentCatalog(catalog) {
+        // Entries replace same-id entries so a re-import updates prices and specs
+        ['modules', 'inverters'].forEach(kind => {
+            (catalog[kind] || []).forEach(item => {
+                const list = this.equipmentCatalog[kind];
+                const index = list.findIndex(existing => existing.id === item.id);
+                if (index === -1) {
+                    list.push({ ...item });
+                } else {
+                    list[index] = { ...item };
+                }
+            });
+        });
+    }
+
+    saveImportedEquipment(catalog) {
+        const storage = this.getProjectStorage();
+        if (!storage) return;
+
+        let stored = { modules: [], inverters: [] };
+        try {
+            stored = JSON.parse(storage.getItem('solarvision.catalog') || 'null') || stored;
+        } catch (error) {
+            // Start over from an unreadable entry
+        }
+
+        ['modules', 'inverters'].forEach(kind => {
+            const ids = new Set(catalog[kind].map(item => item.id));
+            stored[kind] = [...(stored[kind] || []).filter(item => !ids.has(item.id)), ...catalog[kind]];
+        });
+
+        try {
+            storage.setItem('solarvision.catalog', JSON.stringify(stored));
+        } catch (error) {
+            console.error('❌ Error saving equipment catalog:', error);
+        }
+    }
+
+    resetEquipmentCatalog() {
+        this.getProjectStorage()?.removeItem('solarvision.catalog');
+
+        // Equipment still used by the open project stays available
+        const catalog = this.getDefaultEquipmentCatalog();
+        const inUse = {
+            modules: this.drawingZones.map(zone => this.getModule(zone.moduleId)).filter(Boolean),
+            inverters: [this.getInverter(this.simulationSettings.inverterModel)].filter(Boolean)
+        };
+        this.equipmentCatalog = catalog;
+        this.mergeEquipmentCatalog(inUse);
+
+        this.updateEquipmentControls();
+        this.updateSelectedZoneControls();
+        this.showMessage('Equipment catalog reset to the bundled defaults', 'info');
+    }
+
+    getModule(moduleId) {
+        return this.equipmentCatalog.modules.find(module => module.id === moduleId) || null;
+    }
+
+    getInverter(inverterId) {
+        return this.equipmentCatalog.inverters.find(inverter => inverter.id === inverterId) || null;
+    }
+
+    formatEquipmentName(item) {
+        return item.manufacturer && item.manufacturer !== 'Generic' ? `${item.manufacturer} ${item.model}` : item.model;
+    }
+
+    assignZoneModule(zoneData, module) {
+        // The zone keeps its own copy of the specs the layout and simulation read
+        zoneData.moduleId = module.id;
+        zoneData.panelWattage = module.wattage;
+        zoneData.temperatureCoefficient = module.temperatureCoefficient;
+        zoneData.noct = module.noct;
+        zoneData.layout = { ...zoneData.layout, panelLength: module.length, panelWidth: module.width };
+    }
+
+    changeZoneModule(zoneData, moduleId) {
+        const module = this.getModule(moduleId);
+        if (!module || zoneData.moduleId === moduleId) return;
+
+        const before = this.captureZoneState(zoneData);
+        this.assignZoneModule(zoneData, module);
+
+        // A different footprint changes how many panels fit
+        this.shadingCache = {};
+        this.applyZoneLayout(zoneData);
+        this.recordZoneChange(`Change zone ${zoneData.id.split('_')[1]} module`, zoneData, before);
+        this.updateSelectedZoneControls();
+        this.updateZoneAnalysis();
+
+        console.log(`🔁 ${zoneData.id} now uses ${this.formatEquipmentName(module)}: ${zoneData.maxPanels} panels fit`);
+    }
+
+    setInverterModel(inverterId, count = 1) {
+        const inverter = this.getInverter(inverterId);
+        this.simulationSettings.inverterModel = inverter ? inverter.id : null;
+        this.simulationSettings.inverterCount = count;
+
+        // A chosen model fixes the AC rating and efficiency; "Auto" goes back to DC/AC sizing
+        if (inverter) {
+            this.simulationSettings.inverterAcRating = inverter.acRating * count;
+            this.simulationSettings.inverterEfficiency = inverter.efficiency;
+        } else {
+            this.simulationSettings.inverterAcRating = null;
+        }
+
+        this.syncSettingsInputs();
+        this.updateSelectedZoneControls();
+        this.updateZoneAnalysis();
+    }
+
+    updateEquipmentControls() {
+        const { modules, inverters } = this.equipmentCatalog;
+
+        const inverterSelect = document.getElementById('inverterModelSelect');
+        if (inverterSelect) {
+            inverterSelect.innerHTML = '<option value="">Auto (size from DC/AC ratio)</option>' +
+                inverters.map(inverter => `
+                    <option value="${this.escapeHtml(inverter.id)}">${this.escapeHtml(this.formatEquipmentName(inverter))} · ${inverter.acRating} kW</option>
+                `).join('');
+            inverterSelect.value = this.simulationSettings.inverterModel || '';
+        }
+
+        const inverterCount = document.getElementById('inverterCount');
+        if (inverterCount) {
+            inverterCount.value = this.simulationSettings.inverterCount || 1;
+            inverterCount.disabled = !this.simulationSettings.inverterModel;
+        }
+
+        const status = document.getElementById('catalogStatus');
+        if (status) {
+            status.textContent = `${modules.length} modules · ${inverters.length} inverters`;
+        }
+
+        const list = document.getElementById('catalogList');
+        if (list) {
+            const price = value => (value === null || value === undefined ? '–' : `€${Math.round(value)}`);
+            list.innerHTML = `
+                <div class="catalog-group">Modules</div>
+                ${modules.map(module => `
+                    <div class="catalog-item">
+                        <span class="catalog-name">${this.escapeHtml(this.formatEquipmentName(module))}</span>
+                        <span class="catalog-specs">${module.wattage} Wp · ${module.length.toFixed(2)} × ${module.width.toFixed(2)} m · ${(module.efficiency * 100).toFixed(1)}% · ${price(module.price)}</span>
                     </div>
-                    <div class="metric-value" style="color: ${metrics.potentialColor}">${metrics.solarPotential}</div>
-                    <div class="metric-detail">${metrics.annualProductionPerKW} kWh/kW annually</div>
-                </div>
-                
-                <div class="solar-metric-card">
-                    <div class="metric-header">
-                        <i class="fas fa-angle-up"></i>
-                        <span class="metric-title">Optimal Tilt</span>
+                `).join('')}
+                <div class="catalog-group">Inverters</div>
+                ${inverters.map(inverter => `
+                    <div class="catalog-item">
+                        <span class="catalog-name">${this.escapeHtml(this.formatEquipmentName(inverter))}</span>
+                        <span class="catalog-specs">${inverter.acRating} kW · ${inverter.mpptCount} MPPT${inverter.mpptMinVoltage ? ` ${inverter.mpptMinVoltage}–${inverter.mpptMaxVoltage} V` : ''} · ${(inverter.efficiency * 100).toFixed(1)}% · ${price(inverter.price)}</span>
                     </div>
-                    <div class="metric-value">${metrics.optimalTilt}°</div>
-                    <div class="metric-detail">Best angle for your latitude</div>
+                `).join('')}
+            `;
+        }
+    }
+
+    updateZoneModuleControls() {
+        if (!this.selectedZone) return;
+
+        const zone = this.selectedZone;
+        const moduleSelect = document.getElementById('zoneModuleSelect');
+        const specs = document.getElementById('zoneModuleSpecs');
+        const module = this.getModule(zone.moduleId);
+
+        if (moduleSelect) {
+            // Zones imported with bare wattages have no catalog entry until one is picked
+            const custom = module ? '' : `<option value="">Custom ${zone.panelWattage} W</option>`;
+            moduleSelect.innerHTML = custom + this.equipmentCatalog.modules.map(item => `
+                <option value="${this.escapeHtml(item.id)}">${this.escapeHtml(this.formatEquipmentName(item))}</option>
+            `).join('');
+            moduleSelect.value = module ? module.id : '';
+        }
+
+        if (specs) {
+            const layout = { ...this.panelLayoutDefaults, ...zone.layout };
+            const efficiency = zone.panelWattage / (layout.panelLength * layout.panelWidth * 1000);
+            specs.textContent = `${zone.panelWattage} Wp · ${layout.panelLength.toFixed(2)} × ${layout.panelWidth.toFixed(2)} m · ` +
+                `${((module ? module.efficiency : efficiency) * 100).toFixed(1)}% · ${(zone.temperatureCoefficient * 100).toFixed(2)}%/°C`;
+        }
+    }
+
+    calculateEquipmentCost() {
+        // Hardware only; installation is part of the financial model's cost per kWp
+        const modules = this.drawingZones.reduce((sum, zone) => {
+            const module = this.getModule(zone.moduleId);
+            return sum + (module && module.price ? module.price * zone.panelCount : 0);
+        }, 0);
+        const inverter = this.getInverter(this.simulationSettings.inverterModel);
+        const inverters = inverter && inverter.price ? inverter.price * (this.simulationSettings.inverterCount || 1) : 0;
+
+        return { modules, inverters, total: modules + inverters };
+    }
+
+    // String Sizing
+    getDesignTemperatures() {
+        const settings = this.stringSettings;
+        const series = this.getWeatherSeries();
+
+        let coldest = Infinity;
+        let hottest = -Infinity;
+        series.temperature.forEach(value => {
+            if (value === null || value === undefined) return;
+            coldest = Math.min(coldest, value);
+            hottest = Math.max(hottest, value);
+        });
+        if (coldest === Infinity) {
+            coldest = -10;
+            hottest = 35;
+        }
+
+        // A typical year smooths out the extremes, so widen it unless the installer knows the records
+        return {
+            low: settings.recordLowTemperature ?? Math.floor(coldest - settings.temperatureMargin),
+            high: settings.recordHighTemperature ?? Math.ceil(hottest + settings.temperatureMargin),
+            derived: settings.recordLowTemperature === null || settings.recordHighTemperature === null
+        };
+    }
+
+    calculateStringDesign() {
+        const settings = this.stringSettings;
+        const inverter = this.getInverter(this.simulationSettings.inverterModel);
+        const inverterCount = this.simulationSettings.inverterCount || 1;
+        const totalKwp = this.drawingZones.reduce((sum, zone) => sum + (zone.panelCount * zone.panelWattage) / 1000, 0);
+
+        const design = {
+            inverter,
+            inverterCount,
+            temperatures: this.getDesignTemperatures(),
+            zones: {},
+            mpptsAvailable: inverter ? inverter.mpptCount * inverterCount : 0,
+            mpptsUsed: 0,
+            dcAcRatio: inverter ? totalKwp / (inverter.acRating * inverterCount) : null,
+            warnings: []
+        };
+
+        // Auto-sized inverters have no datasheet to check against
+        if (!inverter || totalKwp === 0) return design;
+
+        if (design.dcAcRatio > settings.maxDcAcRatio) {
+            design.warnings.push(`DC/AC ratio ${design.dcAcRatio.toFixed(2)} is above ${settings.maxDcAcRatio.toFixed(2)}: expect heavy clipping`);
+        } else if (design.dcAcRatio < settings.minDcAcRatio) {
+            design.warnings.push(`DC/AC ratio ${design.dcAcRatio.toFixed(2)} is below ${settings.minDcAcRatio.toFixed(2)}: the inverter is oversized`);
+        }
+
+        // Each zone gets its own MPPT(s): strings of different orientation must not share a tracker
+        this.drawingZones.filter(zone => zone.panelCount > 0).forEach(zone => {
+            const zoneDesign = this.sizeZoneStrings(zone, inverter, design.temperatures);
+            design.zones[zone.id] = zoneDesign;
+            design.mpptsUsed += zoneDesign.mppts;
+        });
+
+        if (design.mpptsUsed > design.mpptsAvailable) {
+            design.warnings.push(`Design needs ${design.mpptsUsed} MPPT inputs but ${inverterCount > 1 ? `${inverterCount} inverters have` : 'the inverter has'} ${design.mpptsAvailable}`);
+        }
+
+        return design;
+    }
+
+    sizeZoneStrings(zone, inverter, temperatures) {
+        const panelCount = zone.panelCount;
+        const module = this.getModule(zone.moduleId);
+        const result = {
+            groups: [], // [{ count, length }] strings of equal length
+            strings: 0,
+            mppts: 0,
+            unstrung: panelCount,
+            vocCold: null,
+            vmpCold: null,
+            vmpHot: null,
+            warnings: []
+        };
+
+        if (!module || !module.voc || !module.vmp) {
+            result.warnings.push('Module datasheet has no Voc/Vmp, so string voltages are not checked');
+            return result;
+        }
+
+        // Open-circuit voltage peaks on a cold sunny morning; MPP voltage sags with a hot cell at full sun
+        const cellHigh = temperatures.high + ((zone.noct - 20) / 800) * 1000;
+        const vocCold = module.voc * (1 + module.vocTemperatureCoefficient * (temperatures.low - 25));
+        // Vmp follows the power coefficient closely enough for sizing
+        const vmpCold = module.vmp * (1 + module.temperatureCoefficient * (temperatures.low - 25));
+        const vmpHot = module.vmp * (1 + module.temperatureCoefficient * (cellHigh - 25));
+
+        const limits = [];
+        if (inverter.maxDcVoltage) limits.push(Math.floor(inverter.maxDcVoltage / vocCold));
+        if (inverter.mpptMaxVoltage) limits.push(Math.floor(inverter.mpptMaxVoltage / vmpCold));
+        const maxLength = limits.length > 0 ? Math.min(...limits) : panelCount;
+        const minLength = inverter.mpptMinVoltage ? Math.ceil(inverter.mpptMinVoltage / vmpHot) : 1;
+        const maxParallel = inverter.maxInputCurrent && module.imp
+            ? Math.floor(inverter.maxInputCurrent / module.imp)
+            : Infinity;
+
+        if (maxParallel < 1) {
+            result.warnings.push(`Module current ${module.imp} A exceeds the ${inverter.maxInputCurrent} A MPPT input`);
+            return result;
+        }
+        if (minLength > maxLength) {
+            result.warnings.push(`No string length keeps ${this.formatEquipmentName(module)} inside the ${inverter.mpptMinVoltage}–${inverter.mpptMaxVoltage} V MPPT window`);
+            return result;
+        }
+        if (panelCount < minLength) {
+            result.warnings.push(`${panelCount} panels are too few for one string (min ${minLength} at ${temperatures.high} °C)`);
+            return result;
+        }
+
+        // Strings sharing an MPPT must be equally long, so split into at most two lengths on separate
+        // trackers; prefer connecting every panel, then the fewest MPPTs, then the fewest strings
+        const trackers = count => (count > 0 ? Math.ceil(count / maxParallel) : 0);
+        let best = null;
+        for (let strings = 1; strings <= Math.floor(panelCount / minLength); strings++) {
+            const length = Math.min(Math.floor(panelCount / strings), maxLength);
+            const longer = length < maxLength ? Math.min(panelCount - strings * length, strings) : 0;
+            const candidate = {
+                groups: [{ count: longer, length: length + 1 }, { count: strings - longer, length }].filter(group => group.count > 0),
+                strings,
+                mppts: trackers(longer) + trackers(strings - longer),
+                unstrung: panelCount - strings * length - longer
+            };
+
+            if (!best || candidate.unstrung < best.unstrung ||
+                (candidate.unstrung === best.unstrung && candidate.mppts < best.mppts)) {
+                best = candidate;
+            }
+        }
+
+        const longest = best.groups[0].length;
+        const shortest = best.groups[best.groups.length - 1].length;
+        result.groups = best.groups;
+        result.strings = best.strings;
+        result.mppts = best.mppts;
+        result.unstrung = best.unstrung;
+        result.vocCold = vocCold * longest;
+        result.vmpCold = vmpCold * longest;
+        result.vmpHot = vmpHot * shortest;
+
+        if (best.unstrung > 0) {
+            result.warnings.push(`${best.unstrung} panel${best.unstrung === 1 ? ' does' : 's do'} not fit a string of ${minLength}–${maxLength}; ` +
+                `${panelCount - best.unstrung} wire cleanly`);
+        }
+
+        return result;
+    }
+
+    getZoneStringWarnings(zone) {
+        const design = this.calculateStringDesign();
+        return [...(design.zones[zone.id]?.warnings || []), ...design.warnings];
+    }
+
+    updateZonePanelCountLabel() {
+        const zonePanelCountValue = document.getElementById('zonePanelCountValue');
+        if (!this.selectedZone || !zonePanelCountValue) return;
+
+        // The slider stops at the panels that fit, so only string sizing can raise a warning
+        const warnings = this.getZoneStringWarnings(this.selectedZone);
+        zonePanelCountValue.style.color = warnings.length > 0 ? '#f59e0b' : '#6366f1';
+        zonePanelCountValue.textContent = `${this.selectedZone.panelCount} panels`;
+
+        const warningList = document.getElementById('zoneStringWarnings');
+        if (warningList) {
+            warningList.innerHTML = warnings.map(warning => `<li>⚠️ ${this.escapeHtml(warning)}</li>`).join('');
+            warningList.style.display = warnings.length > 0 ? 'block' : 'none';
+        }
+    }
+
+    renderStringDesign() {
+        const summary = document.getElementById('stringDesignSummary');
+        if (!summary) return;
+
+        const design = this.calculateStringDesign();
+        if (!design.inverter) {
+            summary.innerHTML = '<p class="string-design-empty">Pick an inverter model to size strings.</p>';
+            return;
+        }
+
+        const { low, high } = design.temperatures;
+        const rows = this.drawingZones.filter(zone => design.zones[zone.id]).map(zone => {
+            const zoneDesign = design.zones[zone.id];
+            const wiring = zoneDesign.strings > 0
+                ? `${zoneDesign.groups.map(group => `${group.count} × ${group.length}`).join(' + ')} on ${zoneDesign.mppts} MPPT · ` +
+                    `Voc ${Math.round(zoneDesign.vocCold)} V, Vmp ${Math.round(zoneDesign.vmpHot)}–${Math.round(zoneDesign.vmpCold)} V`
+                : 'Not strung';
+            return `
+                <div class="string-design-row${zoneDesign.warnings.length > 0 ? ' warning' : ''}">
+                    <span>Zone ${zone.id.split('_')[1]}</span>
+                    <span>${wiring}</span>
+                </div>
+            `;
+        }).join('');
+
+        summary.innerHTML = `
+            <div class="string-design-meta">
+                ${this.escapeHtml(this.formatEquipmentName(design.inverter))}${design.inverterCount > 1 ? ` × ${design.inverterCount}` : ''} ·
+                DC/AC ${design.dcAcRatio.toFixed(2)} · MPPT ${design.mpptsUsed}/${design.mpptsAvailable} · ${low} °C to ${high} °C
+            </div>
+            ${rows}
+            ${design.warnings.map(warning => `<div class="string-design-row warning"><span>⚠️ ${this.escapeHtml(warning)}</span></div>`).join('')}
+        `;
+    }
+
+    // Drawing Assist
+    // Polygon tools (zones, keepouts, obstacles and the measure tool) snap to nearby outlines and
+    // square up edges. Leaflet Draw has no hook for this, so the active handler's addVertex is
+    // wrapped for as long as it is drawing.
+    setupDrawingAssist() {
+        const snapToggle = document.getElementById('drawingAssistSnap');
+        const squareToggle = document.getElementById('drawingAssistSquare');
+        if (snapToggle) {
+            snapToggle.checked = this.drawingAssist.snap;
+            snapToggle.addEventListener('change', () => {
+                this.drawingAssist.snap = snapToggle.checked;
+            });
+        }
+        if (squareToggle) {
+            squareToggle.checked = this.drawingAssist.square;
+            squareToggle.addEventListener('change', () => {
+                this.drawingAssist.square = squareToggle.checked;
+            });
+        }
+
+        ['drawingAssistLength', 'drawingAssistAngle'].forEach(id => {
+            document.getElementById(id)?.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.placeTypedVertex();
+                } else if (e.key === 'Escape') {
+                    this.stopDrawingMode();
+                }
+            });
+        });
+
+        document.querySelectorAll('[data-measure]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.startMeasuring(button.dataset.measure);
+            });
+        });
+    }
+
+    initializeDrawingAssist() {
+        this.assistLayer = L.layerGroup().addTo(this.map);
+        this.measureLayer = L.featureGroup().addTo(this.map);
+        this.edgeLabelLayer = L.layerGroup().addTo(this.map);
+
+        // Our own start methods assign currentDrawer only after enable() fires DRAWSTART
+        this.map.on(L.Draw.Event.DRAWSTART, (e) => {
+            setTimeout(() => this.startDrawingAssist(e.layerType), 0);
+        });
+        this.map.on(L.Draw.Event.DRAWSTOP, () => {
+            this.stopDrawingAssist();
+        });
+
+        // Keep edge lengths live while vertices are dragged
+        this.map.on(`${L.Draw.Event.EDITVERTEX} ${L.Draw.Event.EDITMOVE} ${L.Draw.Event.EDITSTOP}`, () => {
+            this.renderEdgeLabels();
+        });
+    }
+
+    getActiveDrawHandler() {
+        if (this.currentDrawer && this.currentDrawer.enabled()) {
+            return this.currentDrawer;
+        }
+        const toolbar = Object.values(this.drawControl?._toolbars || {}).find(item => item._activeMode);
+        return toolbar ? toolbar._activeMode.handler : null;
+    }
+
+    startDrawingAssist(layerType) {
+        const handler = this.getActiveDrawHandler();
+        if (!handler || !(handler instanceof L.Draw.Polyline) || this.drawingAssistState?.handler === handler) return;
+
+        const state = {
+            handler,
+            layerType,
+            addVertex: handler.addVertex.bind(handler),
+            cursor: null,
+            snap: null,
+            free: false
+        };
+        this.drawingAssistState = state;
+
+        handler.addVertex = (latLng) => {
+            const constrained = this.constrainDrawingPoint(latLng);
+            // Snapping back onto the first corner closes the outline
+            if (constrained.closes) {
+                handler.completeShape();
+                return;
+            }
+            state.addVertex(constrained.latLng);
+            this.updateDrawingAssistPanel();
+        };
+
+        state.onMove = (e) => {
+            state.cursor = e.latlng;
+            state.free = Boolean(e.originalEvent?.altKey);
+            state.snap = this.constrainDrawingPoint(e.latlng);
+            this.renderSnapIndicator(state.snap);
+            this.updateDrawingAssistPanel();
+        };
+        this.map.on('mousemove', state.onMove);
+        // Leaflet Draw covers the map with a marker that swallows mouse moves
+        handler._mouseMarker?.on('mousemove', state.onMove);
+
+        const panel = document.getElementById('drawingAssist');
+        if (panel) {
+            panel.style.display = 'flex';
+        }
+        this.updateDrawingAssistPanel();
+    }
+
+    stopDrawingAssist() {
+        const state = this.drawingAssistState;
+        if (!state) return;
+
+        // The prototype method takes over again if the toolbar reuses this handler
+        delete state.handler.addVertex;
+        this.map.off('mousemove', state.onMove);
+        state.handler._mouseMarker?.off('mousemove', state.onMove);
+        this.assistLayer?.clearLayers();
+        this.drawingAssistState = null;
+
+        const panel = document.getElementById('drawingAssist');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    getMetersPerPixel(latLng) {
+        const point = this.map.latLngToContainerPoint(latLng);
+        const neighbour = this.projectToLocal(this.map.containerPointToLatLng([point.x + 1, point.y]), latLng);
+        return Math.hypot(neighbour.x, neighbour.y);
+    }
+
+    getSnapRings(center, radius) {
+        const rings = [];
+        this.drawingZones.forEach(zone => this.getPolygonRings(zone.layer).forEach(polygon => rings.push(...polygon)));
+        this.obstacles.forEach(obstacle => rings.push(this.getOuterRing(obstacle.layer)));
+        (this.buildingFootprints || []).forEach(building => rings.push(...building.rings));
+
+        // Keep outlines whose bounding box comes within the radius
+        return rings.filter(ring => {
+            const points = ring.map(latLng => this.projectToLocal(latLng, center));
+            const dx = Math.max(Math.min(...points.map(p => p.x)), 0, -Math.max(...points.map(p => p.x)));
+            const dy = Math.max(Math.min(...points.map(p => p.y)), 0, -Math.max(...points.map(p => p.y)));
+            return Math.hypot(dx, dy) <= radius;
+        });
+    }
+
+    constrainDrawingPoint(latLng) {
+        const state = this.drawingAssistState;
+        const result = { latLng, kind: null, closes: false };
+        if (!state || state.free || !this.map) return result;
+
+        // Everything is measured in metres around the cursor, which sits at the origin
+        const toLocal = point => this.projectToLocal(point, latLng);
+        const fromLocal = point => this.unprojectFromLocal(point, latLng);
+        const vertices = (state.handler._markers || []).map(marker => marker.getLatLng());
+        const tolerance = this.drawingAssist.tolerance * this.getMetersPerPixel(latLng);
+        const rings = this.getSnapRings(latLng, Math.max(tolerance, this.drawingAssist.referenceRadius));
+        const edges = rings.flatMap(ring => ring.map((a, i) => [toLocal(a), toLocal(ring[(i + 1) % ring.length])]));
+
+        let edge = null;
+        if (this.drawingAssist.snap) {
+            if (vertices.length >= 3 && state.layerType !== 'measure-distance') {
+                const first = toLocal(vertices[0]);
+                if (Math.hypot(first.x, first.y) <= tolerance) {
+                    return { latLng: vertices[0], kind: 'vertex', closes: true };
+                }
+            }
+
+            // Corners of other outlines win over edges
+            let nearest = null;
+            rings.flat().concat(vertices.slice(0, -1)).forEach(vertex => {
+                const point = toLocal(vertex);
+                const distance = Math.hypot(point.x, point.y);
+                if (distance <= tolerance && (!nearest || distance < nearest.distance)) {
+                    nearest = { vertex, distance };
+                }
+            });
+            if (nearest) {
+                return { latLng: L.latLng(nearest.vertex.lat, nearest.vertex.lng), kind: 'vertex', closes: false };
+            }
+
+            edges.forEach(([a, b]) => {
+                const point = this.closestPointOnSegment({ x: 0, y: 0 }, a, b);
+                const distance = Math.hypot(point.x, point.y);
+                if (distance <= tolerance && (!edge || distance < edge.distance)) {
+                    edge = { a, b, point, distance };
+                }
+            });
+        }
+
+        if (this.drawingAssist.square && vertices.length >= 1) {
+            const last = toLocal(vertices[vertices.length - 1]);
+            const cursor = { x: -last.x, y: -last.y };
+            const length = Math.hypot(cursor.x, cursor.y);
+
+            // Candidate directions: along and across the previous edge, the first edge and nearby outline edges
+            const references = [];
+            const addReference = (a, b) => {
+                const size = Math.hypot(b.x - a.x, b.y - a.y);
+                if (size > 0.01) {
+                    references.push({ x: (b.x - a.x) / size, y: (b.y - a.y) / size });
+                }
+            };
+            if (vertices.length >= 2) addReference(toLocal(vertices[vertices.length - 2]), last);
+            if (vertices.length >= 3) addReference(toLocal(vertices[0]), toLocal(vertices[1]));
+            edges.forEach(([a, b]) => {
+                const point = this.closestPointOnSegment({ x: 0, y: 0 }, a, b);
+                if (Math.hypot(point.x, point.y) <= this.drawingAssist.referenceRadius) addReference(a, b);
+            });
+
+            let best = null;
+            if (length > 0) {
+                references.forEach(reference => {
+                    [reference, { x: -reference.y, y: reference.x }].forEach((direction, index) => {
+                        const cosine = Math.abs(cursor.x * direction.x + cursor.y * direction.y) / length;
+                        const angle = Math.acos(Math.min(cosine, 1)) * 180 / Math.PI;
+                        if (angle <= this.drawingAssist.angleTolerance && (!best || angle < best.angle)) {
+                            best = { direction, angle, kind: index === 0 ? 'parallel' : 'square' };
+                        }
+                    });
+                });
+            }
+
+            if (best) {
+                const { direction } = best;
+                if (edge) {
+                    // Where the squared line crosses the edge under the cursor, both constraints hold
+                    const crossing = this.intersectLines(last, direction, edge.a, edge.b);
+                    if (crossing && Math.hypot(crossing.x, crossing.y) <= tolerance) {
+                        return { latLng: fromLocal(crossing), kind: 'edge', closes: false };
+                    }
+                } else {
+                    const along = cursor.x * direction.x + cursor.y * direction.y;
+                    return {
+                        latLng: fromLocal({ x: last.x + direction.x * along, y: last.y + direction.y * along }),
+                        kind: best.kind,
+                        closes: false
+                    };
+                }
+            }
+        }
+
+        return edge ? { latLng: fromLocal(edge.point), kind: 'edge', closes: false } : result;
+    }
+
+    closestPointOnSegment(point, a, b) {
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSquared = dx * dx + dy * dy;
+        const t = lengthSquared > 0
+            ? Math.min(Math.max(((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSquared, 0), 1)
+            : 0;
+        return { x: a.x + t * dx, y: a.y + t * dy };
+    }
+
+    intersectLines(origin, direction, a, b) {
+        // Line through origin along direction against the infinite line through a and b
+        const ex = b.x - a.x;
+        const ey = b.y - a.y;
+        const denominator = direction.x * ey - direction.y * ex;
+        if (Math.abs(denominator) < 1e-9) return null;
+
+        const t = ((a.x - origin.x) * ey - (a.y - origin.y) * ex) / denominator;
+        return { x: origin.x + direction.x * t, y: origin.y + direction.y * t };
+    }
+
+    renderSnapIndicator(snap) {
+        if (!this.assistLayer) return;
+        this.assistLayer.clearLayers();
+        if (!snap || !snap.kind) return;
+
+        const colors = { vertex: '#16a34a', edge: '#0ea5e9', square: '#f59e0b', parallel: '#f59e0b' };
+        L.circleMarker(snap.latLng, {
+            radius: snap.kind === 'vertex' ? 7 : 5,
+            color: colors[snap.kind],
+            weight: 2,
+            fillOpacity: 0.2,
+            interactive: false
+        }).addTo(this.assistLayer);
+    }
+
+    placeTypedVertex() {
+        const state = this.drawingAssistState;
+        const lengthInput = document.getElementById('drawingAssistLength');
+        const angleInput = document.getElementById('drawingAssistAngle');
+        if (!state || !lengthInput) return;
+
+        const length = parseFloat(lengthInput.value);
+        const angle = parseFloat(angleInput?.value);
+        const vertices = (state.handler._markers || []).map(marker => marker.getLatLng());
+        if (!(length > 0)) return;
+        if (vertices.length === 0) {
+            this.showMessage('Click the first corner on the map, then type the edge lengths.', 'info');
+            return;
+        }
+
+        // Bearings run clockwise from north; a typed angle turns clockwise from the previous edge
+        const last = vertices[vertices.length - 1];
+        const bearingTo = point => {
+            const local = this.projectToLocal(point, last);
+            return Math.hypot(local.x, local.y) > 0 ? Math.atan2(local.x, local.y) : null;
+        };
+        const previous = vertices.length >= 2 ? bearingTo(vertices[vertices.length - 2]) : null;
+        const previousBearing = previous !== null ? previous + Math.PI : null;
+
+        let bearing = null;
+        if (!isNaN(angle)) {
+            bearing = (previousBearing ?? 0) + angle * Math.PI / 180;
+        } else if (state.cursor) {
+            bearing = bearingTo(state.snap?.latLng || state.cursor);
+        }
+        bearing = bearing ?? previousBearing;
+        if (bearing === null) {
+            this.showMessage('Type an angle or point the cursor the way the edge should run.', 'info');
+            return;
+        }
+
+        state.addVertex(this.unprojectFromLocal({ x: length * Math.sin(bearing), y: length * Math.cos(bearing) }, last));
+        lengthInput.value = '';
+        if (angleInput) angleInput.value = '';
+        lengthInput.focus();
+        this.updateDrawingAssistPanel();
+    }
+
+    updateDrawingAssistPanel() {
+        const state = this.drawingAssistState;
+        const status = document.getElementById('drawingAssistStatus');
+        if (!state || !status) return;
+
+        const vertices = (state.handler._markers || []).map(marker => marker.getLatLng());
+        const current = state.snap?.latLng || state.cursor;
+        const distance = (a, b) => {
+            const point = this.projectToLocal(b, a);
+            return Math.hypot(point.x, point.y);
+        };
+
+        if (vertices.length === 0) {
+            status.textContent = 'Click to place the first corner';
+            return;
+        }
+
+        const parts = [];
+        if (current) {
+            const last = vertices[vertices.length - 1];
+            parts.push(`Edge ${distance(last, current).toFixed(2)} m`);
+
+            if (vertices.length >= 2) {
+                const before = this.projectToLocal(vertices[vertices.length - 2], last);
+                const next = this.projectToLocal(current, last);
+                const turn = (Math.atan2(next.x, next.y) - Math.atan2(-before.x, -before.y)) * 180 / Math.PI;
+                parts.push(`turn ${(((turn % 360) + 540) % 360 - 180).toFixed(1)}°`);
+            }
+        }
+
+        if (state.layerType?.startsWith('measure')) {
+            const path = current ? [...vertices, current] : vertices;
+            const total = path.slice(1).reduce((sum, point, index) => sum + distance(path[index], point), 0);
+            parts.push(`total ${total.toFixed(2)} m`);
+            if (state.layerType === 'measure-area' && path.length >= 3) {
+                parts.push(`area ${L.GeometryUtil.geodesicArea(path).toFixed(1)} m²`);
+            }
+        }
+
+        const snapLabels = { vertex: 'on corner', edge: 'on edge', square: 'right angle', parallel: 'parallel' };
+        if (state.snap?.kind) {
+            parts.push(snapLabels[state.snap.kind]);
+        }
+        status.textContent = parts.join(' · ');
+    }
+
+    startMeasuring(mode) {
+        if (!this.map || !this.drawControl) return;
+        this.stopDrawingMode();
+
+        const options = {
+            shapeOptions: { color: '#0f766e', fillColor: '#14b8a6', fillOpacity: 0.2, weight: 2, dashArray: '5 4' },
+            showLength: false
+        };
+        const measurer = mode === 'area' ? new L.Draw.Polygon(this.map, options) : new L.Draw.Polyline(this.map, options);
+        measurer.type = mode === 'area' ? 'measure-area' : 'measure-distance';
+        measurer.enable();
+        this.currentDrawer = measurer;
+    }
+
+    onMeasureCreated(e) {
+        setTimeout(() => {
+            this.stopDrawingMode();
+        }, 100);
+
+        const layer = e.layer;
+        const ring = this.getOuterRing(layer);
+        const lengths = ring.map((point, index) => {
+            const next = ring[(index + 1) % ring.length];
+            const local = this.projectToLocal(next, point);
+            return Math.hypot(local.x, local.y);
+        });
+
+        // Polylines do not close; polygons report their perimeter and area
+        const text = e.layerType === 'measure-area'
+            ? `${L.GeometryUtil.geodesicArea(ring).toFixed(1)} m² · perimeter ${lengths.reduce((sum, value) => sum + value, 0).toFixed(2)} m`
+            : `${lengths.slice(0, -1).reduce((sum, value) => sum + value, 0).toFixed(2)} m`;
+
+        layer.bindTooltip(text, { permanent: true, direction: 'center', className: 'measure-tooltip' });
+        layer.on('click', () => {
+            this.measureLayer.removeLayer(layer);
+        });
+        this.measureLayer.addLayer(layer);
+        this.showMessage(`Measured ${text}. Click a measurement to remove it.`, 'info');
+    }
+
+    renderEdgeLabels() {
+        if (!this.edgeLabelLayer) return;
+        this.edgeLabelLayer.clearLayers();
+
+        const zone = this.selectedZone;
+        if (!zone || !this.drawingZones.includes(zone)) return;
+
+        // Plan lengths of the outline and any keepout holes, at each edge's midpoint
+        this.getPolygonRings(zone.layer)[0].forEach(ring => {
+            ring.forEach((a, index) => {
+                const b = ring[(index + 1) % ring.length];
+                const local = this.projectToLocal(b, a);
+                const length = Math.hypot(local.x, local.y);
+                if (length < 0.05) return;
+
+                L.marker(L.latLng((a.lat + b.lat) / 2, (a.lng + b.lng) / 2), {
+                    interactive: false,
+                    keyboard: false,
+                    icon: L.divIcon({ className: 'edge-length-label', html: `<span>${length.toFixed(2)} m</span>`, iconSize: [0, 0] })
+                }).addTo(this.edgeLabelLayer);
+            });
+        });
+    }
+
+    // Keepouts
+    // Skylights, vents and plant on a roof are stored as holes in the zone polygon, so area,
+    // GeoJSON export, saved projects and undo all carry them without extra bookkeeping
+    startKeepoutDrawing() {
+        if (this.map && this.drawControl) {
+            const keepoutDrawer = new L.Draw.Polygon(this.map, this.drawControl.options.draw.keepout);
+            keepoutDrawer.type = 'keepout';
+            keepoutDrawer.enable();
+            this.currentDrawer = keepoutDrawer;
+        }
+    }
+
+    onKeepoutCreated(e) {
+        setTimeout(() => {
+            this.stopDrawingMode();
+        }, 100);
+
+        // The keepout belongs to the zone around it; the selected zone wins where zones overlap
+        const ring = this.getOuterRing(e.layer);
+        const candidates = this.selectedZone
+            ? [this.selectedZone, ...this.drawingZones.filter(zone => zone !== this.selectedZone)]
+            : this.drawingZones;
+        const zone = candidates.find(candidate => {
+            const outer = this.getOuterRing(candidate.layer).map(latLng => ({ x: latLng.lng, y: latLng.lat }));
+            return ring.every(latLng => this.pointInPolygon({ x: latLng.lng, y: latLng.lat }, outer));
+        });
+
+        if (!zone) {
+            this.showMessage('Draw keepouts completely inside a solar zone.', 'warning');
+            return;
+        }
+
+        const before = this.captureZoneState(zone);
+        if (zone.type === 'rectangle') {
+            this.convertZoneToPolygon(zone);
+        }
+        zone.layer.setLatLngs([...this.getPolygonRings(zone.layer)[0], ring]);
+
+        this.updateZoneArea(zone);
+        this.applyZoneLayout(zone);
+        this.recordZoneChange(`Add keepout to zone ${zone.id.split('_')[1]}`, zone, before);
+        this.selectZone(zone);
+        this.updateZoneAnalysis();
+
+        console.log(`🚫 Added keepout to ${zone.id}: ${zone.keepoutArea.toFixed(1)} m² excluded`);
+    }
+
+    convertZoneToPolygon(zone) {
+        // Rectangle edits rebuild the outline from its bounds and would drop the holes
+        const polygon = L.polygon(zone.layer.getLatLngs(), { ...zone.layer.options });
+        this.drawnItems.removeLayer(zone.layer);
+        zone.layer = polygon;
+        zone.type = 'polygon';
+        this.drawnItems.addLayer(polygon);
+        this.bindZoneLayer(zone);
+    }
+
+    removeZoneKeepouts(zone) {
+        if (!zone || this.getInnerRings(zone.layer).length === 0) return;
+
+        const before = this.captureZoneState(zone);
+        zone.layer.setLatLngs([this.getPolygonRings(zone.layer)[0][0]]);
+
+        this.updateZoneArea(zone);
+        this.applyZoneLayout(zone);
+        this.recordZoneChange(`Remove keepouts from zone ${zone.id.split('_')[1]}`, zone, before);
+        this.updateSelectedZoneControls();
+        this.updateZoneAnalysis();
+    }
+
+    updateZoneKeepoutControls() {
+        const summary = document.getElementById('zoneKeepoutSummary');
+        const removeBtn = document.getElementById('zoneKeepoutRemove');
+        if (!this.selectedZone) return;
+
+        const count = this.selectedZone.keepoutCount || 0;
+        if (summary) {
+            summary.textContent = count > 0
+                ? `${count} keepout${count !== 1 ? 's' : ''}, ${this.selectedZone.keepoutArea.toFixed(1)} m² excluded`
+                : 'None - use Draw Zone → Draw Keepout';
+        }
+        if (removeBtn) {
+            removeBtn.disabled = count === 0;
+        }
+    }
+
+    // Obstacles & Shading
+    startObstacleDrawing() {
+        if (this.map && this.drawControl) {
+            const obstacleDrawer = new L.Draw.Polygon(this.map, this.drawControl.options.draw.obstacle);
+            // Leaflet Draw reports the handler type as the layerType of the CREATED event
+            obstacleDrawer.type = 'obstacle';
+            obstacleDrawer.enable();
+            this.currentDrawer = obstacleDrawer;
+        }
+    }
+
+    onObstacleCreated(e) {
+        setTimeout(() => {
+            this.stopDrawingMode();
+        }, 100);
+
+        const obstacle = this.createObstacle(e.layer);
+        obstacle.layer.openPopup();
+
+        this.onObstaclesChanged();
+        console.log(`🏠 Created obstacle: ${obstacle.id}`);
+    }
+
+    createObstacle(layer, attributes = {}) {
+        let obstacleId = attributes.id;
+        if (obstacleId && !this.obstacles.some(obstacle => obstacle.id === obstacleId)) {
+            const number = parseInt(obstacleId.replace('obstacle_', ''), 10);
+            if (!isNaN(number)) {
+                this.obstacleCounter = Math.max(this.obstacleCounter, number);
+            }
+        } else {
+            this.obstacleCounter++;
+            obstacleId = `obstacle_${this.obstacleCounter}`;
+        }
+
+        const obstacle = {
+            id: obstacleId,
+            layer: layer,
+            height: attributes.height ?? 2 // Metres above the roof eave
+        };
+
+        layer.obstacleId = obstacleId;
+        layer.setStyle(this.drawControl.options.draw.obstacle.shapeOptions);
+
+        this.obstacles.push(obstacle);
+        this.drawnItems.addLayer(layer);
+        this.bindObstaclePopup(obstacle);
+
+        return obstacle;
+    }
+
+    bindObstaclePopup(obstacle) {
+        const content = document.createElement('div');
+        content.className = 'obstacle-popup';
+        content.innerHTML = `
+            <label>Height above roof eave (m)</label>
+            <input type="number" class="select-input" min="0" max="100" step="0.1" value="${obstacle.height}">
+            <button type="button" class="obstacle-delete-btn">
+                <i class="fas fa-trash"></i>
+                <span>Remove obstacle</span>
+            </button>
+        `;
+
+        content.querySelector('input').addEventListener('change', (e) => {
+            const height = parseFloat(e.target.value);
+            if (isNaN(height)) return;
+            obstacle.height = Math.max(height, 0);
+            this.onObstaclesChanged();
+        });
+
+        content.querySelector('.obstacle-delete-btn').addEventListener('click', () => {
+            this.deleteObstacle(obstacle.id);
+        });
+
+        obstacle.layer.bindPopup(content);
+    }
+
+    deleteObstacle(obstacleId) {
+        const obstacle = this.obstacles.find(item => item.id === obstacleId);
+        if (!obstacle) return;
+
+        this.drawnItems.removeLayer(obstacle.layer);
+        this.obstacles = this.obstacles.filter(item => item !== obstacle);
+        this.onObstaclesChanged();
+    }
+
+    clearAllObstacles() {
+        this.obstacles.forEach(obstacle => {
+            this.drawnItems?.removeLayer(obstacle.layer);
+        });
+        this.obstacles = [];
+        this.obstacleCounter = 0;
+    }
+
+    onObstaclesChanged() {
+        this.refreshShadingHeatmap();
+        this.updateSelectedZoneStats();
+        this.updateZoneAnalysis();
+    }
+
+    getObstaclesKey() {
+        return this.obstacles.map(obstacle => `${obstacle.height}:` +
+            this.getOuterRing(obstacle.layer).map(p => `${p.lat.toFixed(7)},${p.lng.toFixed(7)}`).join(' ')
+        ).join(';');
+    }
+
+    getZoneShadingKey(zoneData) {
+        const panels = (zoneData.panels || []).map(panel => `${panel.center.lat.toFixed(7)},${panel.center.lng.toFixed(7)}`);
+        return [zoneData.tilt, zoneData.azimuth, panels.join(' '), this.getObstaclesKey()].join('|');
+    }
+
+    calculatePanelShading(zoneData) {
+        const series = this.getWeatherSeries();
+        const panels = zoneData.panels || [];
+        const key = `${series.key}|${this.getZoneShadingKey(zoneData)}`;
+
+        const cached = this.shadingCache[zoneData.id];
+        if (cached && cached.key === key) {
+            return cached.result;
+        }
+
+        const result = {
+            loss: panels.map(() => 0), // Share of each panel's annual POA irradiance lost to shade
+            shadedHours: panels.map(() => [])
+        };
+
+        if (this.obstacles.length > 0 && panels.length > 0) {
+            const poa = this.calculatePlaneOfArrayInsolation(zoneData.tilt || 0, zoneData.azimuth ?? 180);
+            const toRad = Math.PI / 180;
+
+            // One local frame for the zone and its obstacles
+            const ring = this.getOuterRing(zoneData.layer);
+            const origin = this.getRingOrigin(ring);
+            const obstacles = this.obstacles.map(obstacle => {
+                const points = this.getOuterRing(obstacle.layer).map(latLng => this.projectToLocal(latLng, origin));
+                const center = {
+                    x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                    y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+                };
+                const radius = Math.max(...points.map(p => Math.hypot(p.x - center.x, p.y - center.y)));
+                return { points, center, radius, height: obstacle.height };
+            });
+
+            // Panel heights rise up the roof from the eave, the most downslope point of the zone
+            const downslope = { x: Math.sin((zoneData.azimuth ?? 180) * toRad), y: Math.cos((zoneData.azimuth ?? 180) * toRad) };
+            const along = p => p.x * downslope.x + p.y * downslope.y;
+            const eave = Math.max(...ring.map(latLng => along(this.projectToLocal(latLng, origin))));
+            const rise = Math.tan(Math.min(zoneData.tilt || 0, 80) * toRad);
+            const points = panels.map(panel => {
+                const point = this.projectToLocal(panel.center, origin);
+                return { x: point.x, y: point.y, z: (eave - along(point)) * rise };
+            });
+
+            const beamLost = panels.map(() => 0);
+            for (let i = 0; i < series.length; i++) {
+                if (poa.hourlyBeam[i] <= 0) continue;
+
+                const elevation = 90 - series.sunZenith[i];
+                if (elevation <= 0) continue;
+
+                const toSun = { x: Math.sin(series.sunAzimuth[i] * toRad), y: Math.cos(series.sunAzimuth[i] * toRad) };
+                const cotElevation = 1 / Math.tan(elevation * toRad);
+
+                points.forEach((point, p) => {
+                    if (obstacles.some(obstacle => this.isPointInShadow(point, obstacle, toSun, cotElevation))) {
+                        result.shadedHours[p].push(i);
+                        beamLost[p] += poa.hourlyBeam[i];
+                    }
+                });
+            }
+
+            // Diffuse and ground-reflected light still reach a shaded panel
+            const annualPoa = poa.annual * 1000;
+            result.loss = beamLost.map(lost => (annualPoa > 0 ? lost / annualPoa : 0));
+        }
+
+        this.shadingCache[zoneData.id] = { key, result };
+        return result;
+    }
+
+    isPointInShadow(point, obstacle, toSun, cotElevation) {
+        // Horizontal distance towards the sun at which the ray has risen above the obstacle top
+        const reach = Math.min((obstacle.height - point.z) * cotElevation, 500);
+        if (reach <= 0) return false;
+
+        const distance = Math.hypot(obstacle.center.x - point.x, obstacle.center.y - point.y);
+        if (distance - obstacle.radius > reach) return false;
+
+        // The point is inside the hour's shadow footprint when that run crosses the obstacle outline
+        if (this.pointInPolygon(point, obstacle.points)) return true;
+
+        const end = { x: point.x + toSun.x * reach, y: point.y + toSun.y * reach };
+        return obstacle.points.some((a, i) =>
+            this.segmentsIntersect(point, end, a, obstacle.points[(i + 1) % obstacle.points.length]));
+    }
+
+    calculateZoneShading(zoneData) {
+        const series = this.getWeatherSeries();
+        const panelShading = this.calculatePanelShading(zoneData);
+        const installed = Math.min(zoneData.panelCount, panelShading.loss.length);
+        const hourlyShadedFraction = new Array(series.length).fill(0);
+
+        // Installed panels fill in row order, matching renderZonePanels
+        let loss = 0;
+        for (let p = 0; p < installed; p++) {
+            panelShading.shadedHours[p].forEach(i => {
+                hourlyShadedFraction[i] += 1 / installed;
+            });
+            loss += panelShading.loss[p] / installed;
+        }
+
+        return { hourlyShadedFraction, loss };
+    }
+
+    toggleShadingHeatmap() {
+        this.showShadingHeatmap = !this.showShadingHeatmap;
+
+        document.getElementById('shadingHeatmapToggle')?.classList.toggle('active', this.showShadingHeatmap);
+        const legend = document.getElementById('shadingLegend');
+        if (legend) {
+            legend.style.display = this.showShadingHeatmap ? 'flex' : 'none';
+        }
+
+        if (this.showShadingHeatmap && this.obstacles.length === 0) {
+            this.showMessage('Draw an obstacle (Draw Zone → Draw Obstacle) to see where shade falls.', 'info');
+        }
+
+        this.refreshShadingHeatmap();
+    }
+
+    refreshShadingHeatmap() {
+        this.drawingZones.forEach(zone => {
+            this.renderZonePanels(zone);
+        });
+    }
+
+    getShadingHeatmapColor(loss) {
+        // Green when unshaded through amber to red at 25% loss or more
+        const hue = 140 * (1 - Math.min(loss / 0.25, 1));
+        return `hsl(${Math.round(hue)}, 80%, 45%)`;
+    }
+
+    // Horizon Profile
+    setupHorizonControls() {
+        const horizonInput = document.getElementById('horizonInput');
+        const applyBtn = document.getElementById('horizonApplyBtn');
+        const clearBtn = document.getElementById('horizonClearBtn');
+        const horizonFile = document.getElementById('horizonFileInput');
+
+        if (applyBtn && horizonInput) {
+            applyBtn.addEventListener('click', () => {
+                try {
+                    const points = this.parseHorizonText(horizonInput.value);
+                    this.setHorizonProfile({ source: 'manual', name: 'Manual horizon', points });
+                } catch (error) {
+                    this.showMessage(`Could not read the horizon: ${error.message}`, 'error');
+                }
+            });
+        }
+
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => {
+                this.setHorizonProfile(null);
+            });
+        }
+
+        if (horizonFile) {
+            horizonFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadHorizonFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+    }
+
+    async loadHorizonFile(file) {
+        try {
+            const text = await file.text();
+            const points = this.parseHorizonText(text);
+            this.setHorizonProfile({ source: 'file', name: file.name, points });
+            this.showMessage(`Loaded horizon profile from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('❌ Error loading horizon file:', error);
+            this.showMessage(`Could not read horizon file: ${error.message}`, 'error');
+        }
+    }
+
+    parseHorizonText(text) {
+        const rows = [];
+        let southBased = false;
+
+        if (/^\s*\{/.test(text)) {
+            // PVGIS JSON output (printhorizon with outputformat=json)
+            const data = JSON.parse(text);
+            const profile = data.outputs?.horizon_profile || [];
+            profile.forEach(point => rows.push({ azimuth: point.A, elevation: point.H_hor }));
+            southBased = true;
+        } else {
+            let azimuthColumn = 0;
+            let elevationColumn = 1;
+
+            text.replace(/\r/g, '').split('\n').forEach(line => {
+                const cells = line.trim().split(/[\s,;]+/).filter(Boolean);
+                if (cells.length < 2) return;
+
+                // PVGIS tables use "A" (azimuth from south) and "H_hor"; other headers name the columns
+                if (cells.includes('A') && cells.includes('H_hor')) {
+                    azimuthColumn = cells.indexOf('A');
+                    elevationColumn = cells.indexOf('H_hor');
+                    southBased = true;
+                    return;
+                }
+                const header = cells.map(cell => cell.toLowerCase());
+                if (header.some(cell => /azi/.test(cell))) {
+                    azimuthColumn = header.findIndex(cell => /azi/.test(cell));
+                    elevationColumn = header.findIndex(cell => /elev|height|alt|h_hor/.test(cell));
+                    if (elevationColumn === -1) elevationColumn = azimuthColumn === 0 ? 1 : 0;
+                    return;
+                }
+
+                // Preamble lines ("Latitude (decimal degrees): 45.0") start with text and are skipped
+                const azimuth = Number(cells[azimuthColumn]);
+                const elevation = Number(cells[elevationColumn]);
+                if (!isNaN(azimuth) && !isNaN(elevation)) {
+                    rows.push({ azimuth, elevation });
+                }
+            });
+
+            // Without a PVGIS header, negative azimuths mean the south-based convention (e.g. PVsyst)
+            if (!southBased && rows.some(row => row.azimuth < 0)) {
+                southBased = true;
+            }
+        }
+
+        if (rows.length < 3) {
+            throw new Error('expected at least three azimuth/elevation pairs');
+        }
+
+        // Store compass azimuths (clockwise from north), one point per azimuth
+        const byAzimuth = new Map();
+        rows.forEach(row => {
+            const azimuth = Math.round((((southBased ? row.azimuth + 180 : row.azimuth) % 360) + 360) % 360 * 10) / 10;
+            byAzimuth.set(azimuth, Math.min(Math.max(row.elevation, 0), 90));
+        });
+
+        return Array.from(byAzimuth, ([azimuth, elevation]) => ({ azimuth, elevation }))
+            .sort((a, b) => a.azimuth - b.azimuth);
+    }
+
+    setHorizonProfile(profile) {
+        this.horizonProfile = profile;
+
+        // Every plane-of-array result depends on the horizon
+        this.poaCache = {};
+        this.simulationCache = null;
+        this.shadingCache = {};
+
+        this.updateHorizonControls();
+        this.displaySunlightData();
+        this.refreshShadingHeatmap();
+        this.updateSelectedZoneStats();
+        this.updateZoneAnalysis();
+    }
+
+    updateHorizonControls() {
+        const status = document.getElementById('horizonStatus');
+        if (status) {
+            status.textContent = this.horizonProfile
+                ? `${this.horizonProfile.name} · ${this.horizonProfile.points.length} points`
+                : 'Flat horizon';
+        }
+
+        const horizonInput = document.getElementById('horizonInput');
+        if (horizonInput) {
+            horizonInput.value = this.horizonProfile
+                ? this.horizonProfile.points.map(point => `${point.azimuth}, ${point.elevation}`).join('\n')
+                : '';
+        }
+    }
+
+    getHorizonElevation(azimuth) {
+        const points = this.horizonProfile ? this.horizonProfile.points : null;
+        if (!points || points.length === 0) return 0;
+
+        // Linear interpolation between neighbouring points, wrapping through north
+        let upper = points.findIndex(point => point.azimuth >= azimuth);
+        if (upper === -1) upper = 0;
+        const lower = (upper - 1 + points.length) % points.length;
+
+        const span = (points[upper].azimuth - points[lower].azimuth + 360) % 360;
+        if (span === 0) return points[upper].elevation;
+
+        const offset = (azimuth - points[lower].azimuth + 360) % 360;
+        return points[lower].elevation + (points[upper].elevation - points[lower].elevation) * (offset / span);
+    }
+
+    isSunBelowHorizon(series, index) {
+        return this.horizonProfile !== null &&
+            90 - series.sunZenith[index] < this.getHorizonElevation(series.sunAzimuth[index]);
+    }
+
+    calculateHorizonLoss() {
+        if (!this.horizonProfile) return 0;
+
+        // Share of the year's direct sunlight (on a horizontal surface) hidden behind the horizon
+        const series = this.getWeatherSeries();
+        let total = 0;
+        let blocked = 0;
+        for (let i = 0; i < series.length; i++) {
+            if (series.dni[i] <= 0 || series.sunZenith[i] >= 90) continue;
+            const beam = series.dni[i] * Math.cos(series.sunZenith[i] * Math.PI / 180);
+            total += beam;
+            if (this.isSunBelowHorizon(series, i)) {
+                blocked += beam;
+            }
+        }
+        return total > 0 ? blocked / total : 0;
+    }
+
+    renderSunPathChart() {
+        const container = document.getElementById('sunPathChart');
+        if (!container) return;
+        if (!this.currentLocation) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const { lat, lon } = this.currentLocation;
+        const width = 360;
+        const height = 180;
+        const left = 22;
+        const right = 6;
+        const top = 8;
+        const bottom = height - 18;
+        const offsetHours = Math.round(lon / 15); // Same local clock as getLocalHour
+
+        // Centre the chart on the equator-facing direction
+        const centre = lat < 0 ? 0 : 180;
+        const x = azimuth => left + ((((azimuth - centre + 540) % 360)) / 360) * (width - left - right);
+        const y = elevation => bottom - (Math.max(elevation, 0) / 90) * (bottom - top);
+
+        let grid = '';
+        [0, 30, 60, 90].forEach(elevation => {
+            grid += `<line x1="${left}" y1="${y(elevation).toFixed(1)}" x2="${width - right}" y2="${y(elevation).toFixed(1)}" class="grid" />` +
+                `<text x="${left - 4}" y="${(y(elevation) + 3).toFixed(1)}" text-anchor="end">${elevation}°</text>`;
+        });
+        [['N', 0], ['E', 90], ['S', 180], ['W', 270]].forEach(([label, azimuth]) => {
+            const position = x(azimuth).toFixed(1);
+            grid += `<line x1="${position}" y1="${top}" x2="${position}" y2="${bottom}" class="grid" />` +
+                `<text x="${position}" y="${height - 4}" text-anchor="middle">${label}</text>`;
+        });
+
+        // Solstices and equinoxes of this year, plus the day picked below the chart
+        const selected = this.getSunPathSelection();
+        const year = new Date().getUTCFullYear();
+        const days = [
+            { label: 'Jun 21', time: Date.UTC(year, 5, 21), color: '#f59e0b' },
+            { label: 'Mar 20', time: Date.UTC(year, 2, 20), color: '#10b981' },
+            { label: 'Sep 22', time: Date.UTC(year, 8, 22), color: '#06b6d4', dashed: true },
+            { label: 'Dec 21', time: Date.UTC(year, 11, 21), color: '#6366f1' },
+            { label: selected.isToday ? 'Today' : 'Selected day', time: selected.day, color: '#f43f5e' }
+        ];
+
+        // Day paths sampled every 10 minutes of local clock time, with a marker on each hour
+        const paths = days.map(day => {
+            const start = day.time - offsetHours * 3600000;
+            let d = '';
+            let markers = '';
+            let previousX = null;
+            for (let minute = 0; minute <= 1440; minute += 10) {
+                const sun = this.calculateSolarPosition(new Date(start + minute * 60000), lat, lon);
+                if (sun.elevation <= 0) {
+                    previousX = null;
+                    continue;
+                }
+                const px = x(sun.azimuth);
+                const py = y(sun.elevation);
+                // Start a new segment after the sun dips or where the path wraps around the chart edge
+                const command = previousX === null || Math.abs(px - previousX) > width / 2 ? 'M' : 'L';
+                d += `${command}${px.toFixed(1)},${py.toFixed(1)} `;
+                previousX = px;
+
+                if (minute % 60 === 0) {
+                    markers += `<circle cx="${px.toFixed(1)}" cy="${py.toFixed(1)}" r="2.5" fill="${day.color}">` +
+                        `<title>${day.label} ${String(minute / 60).padStart(2, '0')}:00 · ` +
+                        `azimuth ${sun.azimuth.toFixed(0)}° · elevation ${sun.elevation.toFixed(0)}°</title></circle>`;
+                }
+            }
+            return `<path d="${d.trim()}" fill="none" stroke="${day.color}" stroke-width="2"${day.dashed ? ' stroke-dasharray="4 3"' : ''}>` +
+                `<title>${day.label}</title></path>${markers}`;
+        }).join('');
+
+        let horizon = '';
+        if (this.horizonProfile) {
+            const outline = [];
+            for (let step = 0; step <= 360; step += 2) {
+                const azimuth = (centre - 180 + step + 360) % 360;
+                outline.push(`${(left + (step / 360) * (width - left - right)).toFixed(1)},${y(this.getHorizonElevation(azimuth)).toFixed(1)}`);
+            }
+            horizon = `<polygon class="horizon" points="${left},${bottom} ${outline.join(' ')} ${width - right},${bottom}"><title>${this.horizonProfile.name}</title></polygon>`;
+        }
+
+        // The sun at the picked date and time
+        const sun = this.calculateSolarPosition(new Date(selected.day + (selected.minute - offsetHours * 60) * 60000), lat, lon);
+        const sunMarker = sun.elevation > 0
+            ? `<circle class="sun-marker" cx="${x(sun.azimuth).toFixed(1)}" cy="${y(sun.elevation).toFixed(1)}" r="6" />`
+            : '';
+
+        const horizonLoss = this.calculateHorizonLoss();
+        const summary = this.horizonProfile
+            ? `Horizon blocks ${(horizonLoss * 100).toFixed(1)}% of direct sun`
+            : 'Flat horizon';
+
+        container.innerHTML = `
+            <div class="monthly-chart-header">
+                <h5><i class="fas fa-sun"></i> Sun Path</h5>
+                <span>${summary}</span>
+            </div>
+            <svg class="sun-path-chart" viewBox="0 0 ${width} ${height}">${grid}${horizon}${paths}${sunMarker}</svg>
+            <div class="chart-legend">${days.map(day =>
+                `<span><i style="background: ${day.color}"></i>${day.label}</span>`).join('')}${this.horizonProfile
+                ? '<span><i class="horizon-swatch"></i>Horizon</span>' : ''}</div>
+        `;
+
+        this.updateSunPathReadout(selected, sun, offsetHours);
+    }
+
+    getSunPathSelection() {
+        const dateInput = document.getElementById('sunPathDate');
+        const timeInput = document.getElementById('sunPathTime');
+        const now = new Date();
+        const today = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+
+        // The inputs hold a calendar date and minutes on the site's local clock
+        const picked = dateInput && dateInput.value ? Date.parse(`${dateInput.value}T00:00:00Z`) : NaN;
+        const day = isNaN(picked) ? today : picked;
+        const minute = timeInput ? parseInt(timeInput.value, 10) || 0 : 720;
+
+        if (dateInput && !dateInput.value) {
+            dateInput.value = new Date(day).toISOString().slice(0, 10);
+        }
+
+        return { day, minute, isToday: day === today };
+    }
+
+    updateSunPathReadout(selected, sun, offsetHours) {
+        const { lat, lon } = this.currentLocation;
+        const clock = time => {
+            const local = new Date(time.getTime() + offsetHours * 3600000);
+            return `${String(local.getUTCHours()).padStart(2, '0')}:${String(local.getUTCMinutes()).padStart(2, '0')}`;
+        };
+        const zone = `UTC${offsetHours >= 0 ? '+' : '−'}${Math.abs(offsetHours)}`;
+
+        const readout = document.getElementById('sunPathReadout');
+        if (readout) {
+            const time = `${String(Math.floor(selected.minute / 60)).padStart(2, '0')}:${String(selected.minute % 60).padStart(2, '0')}`;
+            readout.textContent = sun.elevation > 0
+                ? `${time} ${zone} · azimuth ${this.formatAzimuth(sun.azimuth)} · elevation ${sun.elevation.toFixed(1)}°`
+                : `${time} ${zone} · sun below the horizon`;
+        }
+
+        const sunTimesEl = document.getElementById('sunTimes');
+        if (sunTimesEl) {
+            const times = this.calculateSunTimes(new Date(selected.day), lat, lon);
+            const dayLength = `${Math.floor(times.dayLength)}h ${String(Math.round((times.dayLength % 1) * 60)).padStart(2, '0')}m`;
+            sunTimesEl.innerHTML = times.polar
+                ? `<span>${times.polar === 'day' ? 'Midnight sun' : 'Polar night'}</span><span>Solar noon ${clock(times.solarNoon)}</span>`
+                : `<span><i class="fas fa-arrow-up"></i> Sunrise ${clock(times.sunrise)}</span>` +
+                `<span><i class="fas fa-sun"></i> Solar noon ${clock(times.solarNoon)}</span>` +
+                `<span><i class="fas fa-arrow-down"></i> Sunset ${clock(times.sunset)}</span>` +
+                `<span><i class="fas fa-hourglass-half"></i> Day length ${dayLength}</span>`;
+        }
+    }
+
+    // Geocoding
+    setupGeocoder() {
+        try {
+            Object.assign(this.geocoderSettings, JSON.parse(this.readStorage('solarvision.geocoder') || '{}'));
+            const gazetteer = JSON.parse(this.readStorage('solarvision.gazetteer') || '[]');
+            this.gazetteer = Array.isArray(gazetteer) ? gazetteer : [];
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable geocoder settings:', error);
+        }
+
+        this.registerGeocoderProvider(this.createNominatimProvider());
+        this.registerGeocoderProvider(this.createPhotonProvider());
+        this.registerGeocoderProvider(this.createTemplateProvider());
+        this.registerGeocoderProvider(this.createGazetteerProvider());
+        this.setupGeocoderControls();
+    }
+
+    // Providers share one interface and resolve to normalized results (see normalizeNominatimResult):
+    // { id, name, minInterval (ms between requests), autocomplete (allows as-you-type queries),
+    //   search(query, { limit, signal }), reverse(lat, lon, { signal }) }
+    registerGeocoderProvider(provider) {
+        if (!provider || !provider.id || typeof provider.search !== 'function') {
+            throw new Error('Geocoder providers need an id and a search function');
+        }
+        this.geocoderProviders[provider.id] = { name: provider.id, minInterval: 0, autocomplete: true, ...provider };
+        this.clearGeocoderCache(provider.id);
+    }
+
+    setGeocoderProvider(providerId) {
+        if (!this.geocoderProviders[providerId]) {
+            throw new Error(`Unknown geocoder provider "${providerId}"`);
+        }
+        this.geocoderSettings.provider = providerId;
+        this.saveGeocoderSettings();
+    }
+
+    getGeocoderProvider() {
+        return this.geocoderProviders[this.geocoderSettings.provider] || this.geocoderProviders.nominatim;
+    }
+
+    saveGeocoderSettings() {
+        try {
+            this.getProjectStorage()?.setItem('solarvision.geocoder', JSON.stringify(this.geocoderSettings));
+        } catch (error) {
+            console.error('❌ Error saving geocoder settings:', error);
+        }
+    }
+
+    clearGeocoderCache(providerId = null) {
+        if (!providerId) {
+            this.geocoderCache.clear();
+            return;
+        }
+        Array.from(this.geocoderCache.keys())
+            .filter(key => key.startsWith(`${providerId}|`))
+            .forEach(key => this.geocoderCache.delete(key));
+    }
+
+    async geocode(query, options = {}) {
+        const provider = this.getGeocoderProvider();
+        const limit = options.limit || 10;
+        const key = `${provider.id}|search|${limit}|${query.trim().toLowerCase().replace(/\s+/g, ' ')}`;
+
+        return this.runGeocoderRequest(provider, key, options.signal,
+            () => provider.search(query.trim(), { limit, signal: options.signal }),
+            gazetteer => gazetteer.search(query.trim(), { limit }));
+    }
+
+    async reverseGeocode(lat, lon, options = {}) {
+        const provider = this.getGeocoderProvider();
+        if (typeof provider.reverse !== 'function') return null;
+
+        // About 10 m of rounding lets a nudged pin reuse the cached name
+        const key = `${provider.id}|reverse|${lat.toFixed(4)}|${lon.toFixed(4)}`;
+        return this.runGeocoderRequest(provider, key, options.signal,
+            () => provider.reverse(lat, lon, { signal: options.signal }),
+            gazetteer => gazetteer.reverse(lat, lon, {}));
+    }
+
+    async runGeocoderRequest(provider, key, signal, request, fallback) {
+        if (this.geocoderCache.has(key)) {
+            // Re-insert so the cache evicts the least recently used entry first
+            const cached = this.geocoderCache.get(key);
+            this.geocoderCache.delete(key);
+            this.geocoderCache.set(key, cached);
+            return cached;
+        }
+
+        // Requests to one provider are spaced by its minimum interval (Nominatim allows 1 per second)
+        const now = Date.now();
+        const startAt = Math.max(now, this.geocoderQueue[provider.id] || 0);
+        this.geocoderQueue[provider.id] = startAt + provider.minInterval;
+        if (startAt > now) {
+            await this.waitForGeocoder(startAt - now, signal);
+        }
+
+        let result;
+        try {
+            result = await request();
+        } catch (error) {
+            // Without a network the gazetteer can still answer searches for known places
+            const gazetteer = this.geocoderProviders.gazetteer;
+            if (error.name === 'AbortError' || provider === gazetteer || !gazetteer || this.gazetteer.length === 0) {
+                throw error;
+            }
+            console.warn(`⚠️ ${provider.name} failed, using the local gazetteer:`, error);
+            return fallback(gazetteer);
+        }
+
+        this.geocoderCache.set(key, result);
+        if (this.geocoderCache.size > this.geocoderCacheSize) {
+            this.geocoderCache.delete(this.geocoderCache.keys().next().value);
+        }
+        return result;
+    }
+
+    waitForGeocoder(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('Search cancelled', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', abort);
+                resolve();
+            }, delay);
+            if (signal) {
+                if (signal.aborted) abort();
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    searchLocations(query, options = {}) {
+        // A new search makes the previous one stale, so stop waiting for it
+        if (this.geocoderSearch) {
+            this.geocoderSearch.controller.abort();
+        }
+        const controller = new AbortController();
+        const search = { controller };
+        this.geocoderSearch = search;
+
+        return this.geocode(query, { ...options, signal: controller.signal }).finally(() => {
+            if (this.geocoderSearch === search) {
+                this.geocoderSearch = null;
+            }
+        });
+    }
+
+    searchLocationsDebounced(query, delay = 300) {
+        // Superseded calls resolve to null instead of hitting the provider
+        this.cancelDebouncedSearch();
+
+        return new Promise((resolve, reject) => {
+            const pending = { resolve };
+            pending.timer = setTimeout(() => {
+                if (this.geocoderDebounce === pending) {
+                    this.geocoderDebounce = null;
+                }
+                this.searchLocations(query).then(resolve, error => (error.name === 'AbortError' ? resolve(null) : reject(error)));
+            }, delay);
+            this.geocoderDebounce = pending;
+        });
+    }
+
+    cancelDebouncedSearch() {
+        if (this.geocoderDebounce) {
+            clearTimeout(this.geocoderDebounce.timer);
+            this.geocoderDebounce.resolve(null);
+            this.geocoderDebounce = null;
+        }
+    }
+
+    async fetchGeocoderJson(url, signal) {
+        const response = await fetch(url, { signal, headers: { Accept: 'application/json' } });
+        if (!response.ok) {
+            throw new Error(`Geocoder responded with HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    createNominatimProvider() {
+        // Usage policy: at most one request per second and no as-you-type queries;
+        // browsers identify the app through the Referer
+        const base = 'https://nominatim.openstreetmap.org';
+        return {
+            id: 'nominatim',
+            name: 'OpenStreetMap Nominatim',
+            minInterval: 1000,
+            autocomplete: false,
+            search: async (query, { limit, signal }) => {
+                const data = await this.fetchGeocoderJson(`${base}/search?format=jsonv2&addressdetails=1&accept-language=en` +
+                    `&limit=${limit}&q=${encodeURIComponent(query)}`, signal);
+                return (data || []).map(item => this.normalizeNominatimResult(item, 'nominatim'));
+            },
+            reverse: async (lat, lon, { signal }) => {
+                const data = await this.fetchGeocoderJson(`${base}/reverse?format=jsonv2&addressdetails=1&accept-language=en` +
+                    `&zoom=18&lat=${lat}&lon=${lon}`, signal);
+                return data && !data.error ? this.normalizeNominatimResult(data, 'nominatim') : null;
+            }
+        };
+    }
+
+    createPhotonProvider() {
+        const base = 'https://photon.komoot.io';
+        return {
+            id: 'photon',
+            name: 'Photon (komoot)',
+            minInterval: 200,
+            search: async (query, { limit, signal }) => {
+                const data = await this.fetchGeocoderJson(`${base}/api/?lang=en&limit=${limit}&q=${encodeURIComponent(query)}`, signal);
+                return (data.features || []).map(feature => this.normalizePhotonResult(feature, 'photon'));
+            },
+            reverse: async (lat, lon, { signal }) => {
+                const data = await this.fetchGeocoderJson(`${base}/reverse?lang=en&lat=${lat}&lon=${lon}`, signal);
+                return data.features && data.features.length > 0 ? this.normalizePhotonResult(data.features[0], 'photon') : null;
+            }
+        };
+    }
+
+    createTemplateProvider() {
+        // Self-hosted Nominatim/Photon instances and commercial APIs with a compatible response
+        const fill = (template, values) => template.replace(/\{(\w+)\}/g, (match, name) =>
+            (values[name] !== undefined ? encodeURIComponent(values[name]) : match));
+        const normalize = data => (Array.isArray(data)
+            ? data.map(item => this.normalizeNominatimResult(item, 'custom'))
+            : (data.features || []).map(feature => this.normalizePhotonResult(feature, 'custom')));
+
+        return {
+            id: 'custom',
+            name: 'Custom URL',
+            minInterval: 0,
+            search: async (query, { limit, signal }) => {
+                if (!this.geocoderSettings.searchUrl) {
+                    throw new Error('Set a search URL template for the custom geocoder');
+                }
+                return normalize(await this.fetchGeocoderJson(fill(this.geocoderSettings.searchUrl, { query, limit }), signal));
+            },
+            reverse: async (lat, lon, { signal }) => {
+                if (!this.geocoderSettings.reverseUrl) return null;
+                const data = await this.fetchGeocoderJson(fill(this.geocoderSettings.reverseUrl, { lat, lon }), signal);
+                return normalize(Array.isArray(data) || data.features ? data : [data])[0] || null;
+            }
+        };
+    }
+
+    createGazetteerProvider() {
+        const fold = text => String(text || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+        return {
+            id: 'gazetteer',
+            name: 'Local gazetteer',
+            minInterval: 0,
+            search: async (query, { limit }) => {
+                const terms = fold(query).split(/[\s,]+/).filter(Boolean);
+                if (terms.length === 0) return [];
+
+                // Every term must match; whole-name and prefix matches rank first
+                return this.gazetteer.map(entry => {
+                    const names = [entry.name, ...(entry.aliases || [])].map(fold);
+                    const haystack = `${names.join(' ')} ${fold(entry.country)} ${fold(entry.countryCode)}`;
+                    if (!terms.every(term => haystack.includes(term))) return null;
+
+                    const phrase = terms.join(' ');
+                    const score = names.includes(phrase) ? 3 : names.some(name => name.startsWith(phrase)) ? 2 : 1;
+                    return { entry, score };
+                })
+                    .filter(Boolean)
+                    .sort((a, b) => b.score - a.score || (b.entry.importance || 0) - (a.entry.importance || 0))
+                    .slice(0, limit)
+                    .map(({ entry }) => this.normalizeGazetteerEntry(entry));
+            },
+            reverse: async (lat, lon) => {
+                // Nearest entry within 5 km, measured on the local plane
+                let nearest = null;
+                let nearestDistance = 5000;
+                this.gazetteer.forEach(entry => {
+                    const point = this.projectToLocal({ lat: entry.lat, lng: entry.lon }, { lat, lng: lon });
+                    const distance = Math.hypot(point.x, point.y);
+                    if (distance < nearestDistance) {
+                        nearest = entry;
+                        nearestDistance = distance;
+                    }
+                });
+                return nearest ? this.normalizeGazetteerEntry(nearest) : null;
+            }
+        };
+    }
+
+    normalizeNominatimResult(item, source) {
+        const address = item.address || {};
+        return {
+            lat: parseFloat(item.lat),
+            lon: parseFloat(item.lon),
+            displayName: item.display_name,
+            name: item.name || address.road || item.display_name.split(',')[0],
+            type: item.addresstype || item.type,
+            category: item.category || item.class,
+            houseNumber: address.house_number || null,
+            country: address.country || null,
+            countryCode: (address.country_code || '').toUpperCase() || null,
+            importance: item.importance || 0,
+            source
+        };
+    }
+
+    normalizePhotonResult(feature, source) {
+        const properties = feature.properties || {};
+        const street = properties.street ? [properties.street, properties.housenumber].filter(Boolean).join(' ') : null;
+        const parts = [properties.name, street, properties.postcode, properties.city, properties.state, properties.country]
+            .filter((part, index, list) => part && list.indexOf(part) === index);
+
+        return {
+            lat: feature.geometry.coordinates[1],
+            lon: feature.geometry.coordinates[0],
+            displayName: parts.join(', '),
+            name: properties.name || street || parts[0],
+            type: properties.type || properties.osm_value,
+            category: properties.osm_key,
+            houseNumber: properties.housenumber || null,
+            country: properties.country || null,
+            countryCode: (properties.countrycode || '').toUpperCase() || null,
+            importance: 0,
+            source
+        };
+    }
+
+    normalizeGazetteerEntry(entry) {
+        return {
+            lat: entry.lat,
+            lon: entry.lon,
+            displayName: [entry.name, entry.region, entry.country].filter(Boolean).join(', '),
+            name: entry.name,
+            type: entry.type || 'place',
+            category: 'place',
+            houseNumber: null,
+            country: entry.country || null,
+            countryCode: (entry.countryCode || '').toUpperCase() || null,
+            importance: entry.importance || 0,
+            source: 'gazetteer'
+        };
+    }
+
+    async loadGazetteerFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            // A plain list of places, or GeoJSON points with a name property
+            const entries = (Array.isArray(data) ? data : (data.features || []).map(feature => ({
+                ...feature.properties,
+                lat: feature.geometry?.coordinates?.[1],
+                lon: feature.geometry?.coordinates?.[0]
+            })))
+                .map(entry => ({ ...entry, lat: parseFloat(entry.lat), lon: parseFloat(entry.lon ?? entry.lng) }))
+                .filter(entry => entry.name && !isNaN(entry.lat) && !isNaN(entry.lon) &&
+                    Math.abs(entry.lat) <= 90 && Math.abs(entry.lon) <= 180);
+
+            if (entries.length === 0) {
+                throw new Error('expected a list of places with name, lat and lon');
+            }
+
+            this.gazetteer = entries;
+            this.clearGeocoderCache('gazetteer');
+            try {
+                this.getProjectStorage()?.setItem('solarvision.gazetteer', JSON.stringify(entries));
+            } catch (error) {
+                this.showMessage('Gazetteer is too large to keep after a reload; it works for this session.', 'warning');
+            }
+            this.updateGeocoderControls();
+            this.showMessage(`Loaded ${entries.length} places from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('❌ Error loading gazetteer:', error);
+            this.showMessage(`Could not read gazetteer: ${error.message}`, 'error');
+        }
+    }
+
+    setupGeocoderControls() {
+        const toggle = document.getElementById('geocoderToggle');
+        const panel = document.getElementById('geocoderPanel');
+        if (toggle && panel) {
+            toggle.addEventListener('click', () => {
+                panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+            });
+        }
+
+        const providerSelect = document.getElementById('geocoderProvider');
+        if (providerSelect) {
+            providerSelect.addEventListener('change', () => {
+                this.setGeocoderProvider(providerSelect.value);
+                this.updateGeocoderControls();
+            });
+        }
+
+        ['geocoderSearchUrl', 'geocoderReverseUrl'].forEach(id => {
+            const input = document.getElementById(id);
+            if (!input) return;
+            input.addEventListener('change', () => {
+                this.geocoderSettings[id === 'geocoderSearchUrl' ? 'searchUrl' : 'reverseUrl'] = input.value.trim();
+                this.clearGeocoderCache('custom');
+                this.saveGeocoderSettings();
+            });
+        });
+
+        const gazetteerInput = document.getElementById('gazetteerFileInput');
+        if (gazetteerInput) {
+            gazetteerInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadGazetteerFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        this.updateGeocoderControls();
+    }
+
+    updateGeocoderControls() {
+        const providerSelect = document.getElementById('geocoderProvider');
+        if (providerSelect) {
+            providerSelect.value = this.getGeocoderProvider().id;
+        }
+
+        const custom = document.getElementById('geocoderCustomSettings');
+        if (custom) {
+            custom.style.display = this.getGeocoderProvider().id === 'custom' ? 'grid' : 'none';
+        }
+
+        const searchUrl = document.getElementById('geocoderSearchUrl');
+        const reverseUrl = document.getElementById('geocoderReverseUrl');
+        if (searchUrl) searchUrl.value = this.geocoderSettings.searchUrl;
+        if (reverseUrl) reverseUrl.value = this.geocoderSettings.reverseUrl;
+
+        const status = document.getElementById('gazetteerStatus');
+        if (status) {
+            status.textContent = this.gazetteer.length > 0
+                ? `${this.gazetteer.length} places available offline`
+                : 'No local gazetteer loaded';
+        }
+    }
+
+    // Search Functionality
+    setupSearchFunctionality() {
+        const addressInput = document.getElementById('addressInput');
+        const searchBtn = document.getElementById('searchBtn');
+
+        if (searchBtn) {
+            searchBtn.addEventListener('click', () => {
+                const address = addressInput.value.trim();
+                if (address) {
+                    this.searchAddress(address);
+                }
+            });
+        }
+
+        const weatherFileInput = document.getElementById('weatherFileInput');
+        if (weatherFileInput) {
+            weatherFileInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadWeatherFile(file);
+                }
+                // Allow re-selecting the same file
+                e.target.value = '';
+            });
+        }
+
+        if (addressInput) {
+            addressInput.addEventListener('input', () => {
+                this.suggestAddresses(addressInput.value.trim());
+            });
+
+            addressInput.addEventListener('keydown', (e) => {
+                const listOpen = this.addressSuggestions.results.length > 0;
+                if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                    if (listOpen) {
+                        e.preventDefault();
+                        this.moveAddressSuggestion(e.key === 'ArrowDown' ? 1 : -1);
+                    }
+                } else if (e.key === 'Escape') {
+                    this.hideAddressSuggestions();
+                } else if (e.key === 'Enter') {
+                    e.preventDefault();
+                    if (listOpen && this.addressSuggestions.activeIndex >= 0) {
+                        this.chooseAddressSuggestion(this.addressSuggestions.activeIndex);
+                        return;
+                    }
+                    const address = addressInput.value.trim();
+                    if (address) {
+                        this.searchAddress(address);
+                    }
+                }
+            });
+
+            // Let a click on a suggestion land before the list closes
+            addressInput.addEventListener('blur', () => {
+                setTimeout(() => {
+                    if (document.activeElement !== addressInput) {
+                        this.hideAddressSuggestions();
+                    }
+                }, 150);
+            });
+        }
+
+        const suggestionList = document.getElementById('addressSuggestions');
+        if (suggestionList) {
+            suggestionList.addEventListener('mousedown', (e) => {
+                const item = e.target.closest('[data-suggestion-index]');
+                if (item) {
+                    e.preventDefault();
+                    this.chooseAddressSuggestion(parseInt(item.dataset.suggestionIndex, 10));
+                }
+            });
+        }
+    }
+
+    async suggestAddresses(query) {
+        // Short fragments match half the planet; providers without autocomplete wait for Enter
+        if (query.length < 3 || !this.getGeocoderProvider().autocomplete ||
+            this.parseCoordinates(query) || /^[23456789CFGHJMPQRVWX0]{2,8}\+/i.test(query)) {
+            this.cancelDebouncedSearch();
+            this.hideAddressSuggestions();
+            return;
+        }
+
+        try {
+            const results = await this.searchLocationsDebounced(query);
+            const addressInput = document.getElementById('addressInput');
+            // Null means a newer keystroke superseded this query
+            if (results && addressInput && addressInput.value.trim() === query) {
+                this.renderAddressSuggestions(results, -1);
+            }
+        } catch (error) {
+            console.warn('Address suggestions failed:', error);
+        }
+    }
+
+    renderAddressSuggestions(results, activeIndex = -1, heading = '') {
+        const list = document.getElementById('addressSuggestions');
+        const addressInput = document.getElementById('addressInput');
+        this.addressSuggestions = { results, activeIndex, heading };
+        if (!list) return;
+
+        if (results.length === 0) {
+            this.hideAddressSuggestions();
+            return;
+        }
+
+        const formatType = type => (type ? type.replace(/_/g, ' ') : 'place');
+        list.innerHTML = (heading ? `<li class="address-suggestions-heading" role="presentation">${this.escapeHtml(heading)}</li>` : '') +
+            results.map((result, index) => {
+                // The name is the headline; the rest of the display name places it
+                const detail = result.displayName && result.displayName.startsWith(result.name)
+                    ? result.displayName.slice(result.name.length).replace(/^,\s*/, '')
+                    : result.displayName;
+                return `
+                    <li class="address-suggestion${index === activeIndex ? ' active' : ''}" id="addressSuggestion${index}"
+                        role="option" aria-selected="${index === activeIndex}" data-suggestion-index="${index}">
+                        <span class="address-suggestion-text">
+                            <span class="address-suggestion-name">${this.escapeHtml(result.name || result.displayName)}</span>
+                            ${detail ? `<span class="address-suggestion-detail">${this.escapeHtml(detail)}</span>` : ''}
+                        </span>
+                        <span class="address-suggestion-badges">
+                            <span class="address-badge">${this.escapeHtml(formatType(result.type))}</span>
+                            ${result.countryCode ? `<span class="address-badge country">${this.escapeHtml(result.countryCode)}</span>` : ''}
+                        </span>
+                    </li>
+                `;
+            }).join('');
+        list.hidden = false;
+
+        if (addressInput) {
+            addressInput.setAttribute('aria-expanded', 'true');
+            if (activeIndex >= 0) {
+                addressInput.setAttribute('aria-activedescendant', `addressSuggestion${activeIndex}`);
+            } else {
+                addressInput.removeAttribute('aria-activedescendant');
+            }
+        }
+    }
+
+    moveAddressSuggestion(step) {
+        const { results, activeIndex, heading } = this.addressSuggestions;
+        const next = activeIndex < 0 && step < 0
+            ? results.length - 1
+            : (activeIndex + step + results.length) % results.length;
+        this.renderAddressSuggestions(results, next, heading);
+        document.getElementById(`addressSuggestion${next}`)?.scrollIntoView({ block: 'nearest' });
+    }
+
+    hideAddressSuggestions() {
+        this.addressSuggestions = { results: [], activeIndex: -1, heading: '' };
+        const list = document.getElementById('addressSuggestions');
+        if (list) {
+            list.hidden = true;
+            list.innerHTML = '';
+        }
+        const addressInput = document.getElementById('addressInput');
+        if (addressInput) {
+            addressInput.setAttribute('aria-expanded', 'false');
+            addressInput.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    async chooseAddressSuggestion(index) {
+        const result = this.addressSuggestions.results[index];
+        if (!result) return;
+
+        // A pending keystroke query must not reopen the list or abort the lookup
+        this.cancelDebouncedSearch();
+        this.hideAddressSuggestions();
+
+        const addressInput = document.getElementById('addressInput');
+        if (addressInput) {
+            addressInput.value = result.displayName;
+        }
+
+        const searchBtn = document.getElementById('searchBtn');
+        try {
+            searchBtn.innerHTML = '<span>Loading...</span>';
+            searchBtn.disabled = true;
+            await this.applySearchResult(result);
+        } catch (error) {
+            console.error('❌ Error opening location:', error);
+            this.showMessage(`Could not open this location: ${error.message}`, 'error');
+        } finally {
+            searchBtn.innerHTML = '<span>Search</span>';
+            searchBtn.disabled = false;
+        }
+    }
+
+    async searchAddress(address) {
+        const searchBtn = document.getElementById('searchBtn');
+        // The Search button belongs to the latest call; superseded ones leave it alone
+        const request = {};
+        this.addressSearch = request;
+        try {
+            console.log('🔍 Searching for location:', address);
+
+            // Show loading state
+            searchBtn.innerHTML = '<span>Searching...</span>';
+            searchBtn.disabled = true;
+
+            this.cancelDebouncedSearch();
+
+            // Coordinates and plus codes skip the address search
+            const coordinates = await this.resolveCoordinateInput(address);
+            if (coordinates) {
+                this.hideAddressSuggestions();
+                await this.setLocationFromCoordinates(coordinates.lat, coordinates.lon);
+                return;
+            }
+
+            const searchResults = await this.searchLocations(address);
+
+            // Highlight results with house numbers, then cities, then the first result
+            const location = searchResults.find(item => item.houseNumber) ||
+                searchResults.find(item => item.type === 'city' || item.type === 'town' || item.type === 'village') ||
+                searchResults[0];
+
+            if (searchResults.length > 1) {
+                // Ambiguous names ("Springfield") are the user's call; Enter accepts the highlighted match
+                this.renderAddressSuggestions(searchResults, searchResults.indexOf(location),
+                    `${searchResults.length} places match "${address}" - choose one`);
+                document.getElementById('addressInput')?.focus();
+            } else if (location) {
+                this.hideAddressSuggestions();
+                await this.applySearchResult(location, address);
+            } else {
+                this.hideAddressSuggestions();
+                // If no results found, show user-friendly message
+                console.log('No exact location found for:', address);
+                this.showMessage(`Location "${address}" could not be found. Please try a different address or be more specific (e.g., include city, country).`, 'warning');
+            }
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                // A newer search replaced this one
+                return;
+            }
+            console.error('❌ Search error:', error);
+            if (error.name === 'TypeError') {
+                this.showMessage('Unable to connect to search service. Please check your internet connection or load a local gazetteer.', 'error');
+            } else {
+                this.showMessage(`Search failed: ${error.message}`, 'error');
+            }
+        } finally {
+            // Reset button state
+            if (this.addressSearch === request) {
+                this.addressSearch = null;
+                searchBtn.innerHTML = '<span>Search</span>';
+                searchBtn.disabled = false;
+            }
+        }
+    }
+
+    async applySearchResult(location, query = '', options = {}) {
+        const { lat, lon } = location;
+
+        // Validate coordinates
+        if (isNaN(lat) || isNaN(lon) || lat < -90 || lat > 90 || lon < -180 || lon > 180) {
+            throw new Error('Invalid coordinates received');
+        }
+
+        // Determine appropriate zoom level based on result type
+        let zoomLevel = 19; // Default for specific addresses
+        if (location.type === 'city' || location.type === 'town') {
+            zoomLevel = 14;
+        } else if (location.type === 'village' || location.type === 'hamlet') {
+            zoomLevel = 16;
+        } else if (location.type === 'suburb' || location.type === 'neighbourhood') {
+            zoomLevel = 17;
+        }
+        if (options.zoom) {
+            zoomLevel = options.zoom;
+        }
+
+        // Ensure map is initialized and ready
+        if (!this.map) {
+            // Initialize map if not already done
+            this.initializeMap();
+            // Wait for map to be ready
+            await new Promise(resolve => setTimeout(resolve, 800));
+        }
+
+        // Wait a bit more for map to be fully ready
+        if (this.map && !this.map.getContainer()) {
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+
+        // Update map view directly without animation
+        try {
+            if (this.map && this.map.setView) {
+                this.map.setView([lat, lon], zoomLevel);
+            } else {
+                console.warn('Map not ready for setView, retrying...');
+                setTimeout(() => {
+                    if (this.map && this.map.setView) {
+                        this.map.setView([lat, lon], zoomLevel);
+                    }
+                }, 500);
+            }
+        } catch (mapError) {
+            console.error('Error setting map view:', mapError);
+            // Try again with a delay
+            setTimeout(() => {
+                if (this.map && this.map.setView) {
+                    this.map.setView([lat, lon], zoomLevel);
+                }
+            }, 500);
+        }
+
+        // Store location data
+        this.currentLocation = {
+            lat: lat,
+            lon: lon,
+            address: location.displayName || query,
+            type: location.type
+        };
+        this.updateLocationMarker();
+        this.scheduleAutosave();
+
+        // Outlines arrive in the background; drawing by hand works meanwhile
+        this.loadBuildingFootprints();
+
+        // Fetch sunlight data for this location
+        await this.fetchSunlightData(lat, lon);
+
+        // Show zone analysis panel for drawing
+        this.showZoneAnalysisPanel();
+
+        console.log('✅ Location found:', location.displayName);
+    }
+
+    async fetchSunlightData(lat, lon) {
+        try {
+            console.log('☀️ Fetching irradiance data for location...');
+
+            const series = await this.fetchIrradianceSeries(lat, lon);
+            this.setIrradianceSeries(series);
+
+            console.log('✅ Irradiance data fetched successfully');
+        } catch (error) {
+            console.error('❌ Error fetching irradiance data:', error);
+            // An uploaded weather file stays in use; only a series from the API is dropped
+            if (this.irradianceSeries && this.irradianceSeries.source !== 'open-meteo') return;
+
+            // Use fallback data based on latitude
+            this.irradianceSeries = null;
+            this.sunlightData = this.getFallbackSunlightData(lat);
+            this.displaySunlightData();
+        }
+    }
+
+    // Coordinate Input
+    async resolveCoordinateInput(text) {
+        const coordinates = this.parseCoordinates(text);
+        if (coordinates) {
+            return coordinates;
+        }
+
+        const plusCode = text.trim().toUpperCase().match(/^([23456789CFGHJMPQRVWX0]{2,8}\+[23456789CFGHJMPQRVWX]*)(?:[\s,]+(.+))?$/);
+        if (!plusCode || !this.isValidPlusCode(plusCode[1])) {
+            return null;
+        }
+
+        const code = plusCode[1];
+        if (code.indexOf('+') === 8) {
+            return this.decodePlusCode(code);
+        }
+
+        // Short codes ("9G8F+6X Zurich") are relative to the named place, or to where the user already is
+        let reference = null;
+        if (plusCode[2]) {
+            const [locality] = await this.searchLocations(text.trim().slice(code.length).replace(/^[\s,]+/, ''), { limit: 1 });
+            reference = locality || null;
+        } else if (this.currentLocation) {
+            reference = this.currentLocation;
+        } else if (this.map) {
+            const center = this.map.getCenter();
+            reference = { lat: center.lat, lon: center.lng };
+        }
+
+        if (!reference) {
+            throw new Error(`Add a town to the short plus code ${code}, e.g. "${code} Brussels"`);
+        }
+        return this.recoverPlusCode(code, reference.lat, reference.lon);
+    }
+
+    parseCoordinates(text) {
+        // Decimal degrees ("50.8467, 4.3525") or degrees-minutes-seconds ("50°50'48\"N 4°21'9\"E")
+        const normalized = text.trim().toUpperCase()
+            .replace(/[′’]/g, "'")
+            .replace(/[″”]|''/g, '"')
+            .replace(/º/g, '°');
+
+        let parts = normalized.match(/^(.+?[NSEW])[\s,;]*(.+?[NSEW])$/) ||
+            normalized.match(/^([NSEW].+?)[\s,;]*([NSEW].+)$/) ||
+            normalized.match(/^([^,;]+?)\s*[,;]\s*([^,;]+)$/) ||
+            normalized.match(/^([+-]?\d+(?:\.\d+)?)\s+([+-]?\d+(?:\.\d+)?)$/);
+        if (!parts) return null;
+
+        const components = parts.slice(1, 3).map(part => this.parseCoordinateComponent(part.trim()));
+        if (components.some(component => !component)) return null;
+
+        // Hemisphere letters may put longitude first; without them latitude comes first
+        let [lat, lon] = components;
+        if (lat.axis === 'lon' || lon.axis === 'lat') {
+            [lat, lon] = [lon, lat];
+        }
+        if (lat.axis === 'lon' || lon.axis === 'lat') return null;
+        if (Math.abs(lat.value) > 90 || Math.abs(lon.value) > 180) return null;
+
+        return { lat: lat.value, lon: lon.value };
+    }
+
+    parseCoordinateComponent(part) {
+        const match = part.match(/^([NSEW])?\s*([+-])?\s*(\d+(?:\.\d+)?)\s*°?\s*(?:(\d+(?:\.\d+)?)\s*'?\s*)?(?:(\d+(?:\.\d+)?)\s*"?\s*)?([NSEW])?$/);
+        if (!match || (match[1] && match[6])) return null;
+
+        const [, leading, sign, degrees, minutes = 0, seconds = 0, trailing] = match;
+        if (Number(minutes) >= 60 || Number(seconds) >= 60) return null;
+        // Minutes and seconds only make sense on whole degrees
+        if ((match[4] || match[5]) && degrees.includes('.')) return null;
+
+        const hemisphere = leading || trailing;
+        if (hemisphere && sign) return null;
+
+        const value = Number(degrees) + Number(minutes) / 60 + Number(seconds) / 3600;
+        return {
+            value: (sign === '-' || hemisphere === 'S' || hemisphere === 'W' ? -1 : 1) * value,
+            axis: hemisphere ? ('NS'.includes(hemisphere) ? 'lat' : 'lon') : null
+        };
+    }
+
+    isValidPlusCode(code) {
+        // Open Location Code rules: '+' after an even number of digits (8 for full codes),
+        // '0' padding only before a trailing '+', and never a single digit after it
+        const alphabet = '23456789CFGHJMPQRVWX';
+        const separator = code.indexOf('+');
+        if (separator < 2 || separator > 8 || separator % 2 === 1 || separator !== code.lastIndexOf('+')) return false;
+
+        const [head, tail] = code.split('+');
+        if (tail.length === 1 || ![...tail].every(char => alphabet.includes(char))) return false;
+
+        const padding = head.indexOf('0');
+        if (padding >= 0) {
+            if (separator !== 8 || padding % 2 === 1 || tail.length > 0 || !/^0+$/.test(head.slice(padding))) return false;
+        }
+        if (![...head.replace(/0+$/, '')].every(char => alphabet.includes(char))) return false;
+
+        // The first pair of a full code is limited to the 9 x 18 grid of 20-degree cells
+        return separator < 8 || (alphabet.indexOf(head[0]) < 9 && alphabet.indexOf(head[1]) < 18);
+    }
+
+    decodePlusCode(code) {
+        const alphabet = '23456789CFGHJMPQRVWX';
+        const digits = code.replace('+', '').replace(/0+$/, '');
+        const pairResolutions = [20, 1, 0.05, 0.0025, 0.000125];
+
+        let lat = -90;
+        let lon = -180;
+        let latSize = 20;
+        let lonSize = 20;
+        for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+            latSize = lonSize = pairResolutions[i / 2];
+            lat += alphabet.indexOf(digits[i]) * latSize;
+            lon += alphabet.indexOf(digits[i + 1]) * lonSize;
+        }
+
+        // Beyond ten digits each character picks a cell of a 4 x 5 grid
+        for (let i = 10; i < digits.length; i++) {
+            const index = alphabet.indexOf(digits[i]);
+            latSize /= 5;
+            lonSize /= 4;
+            lat += Math.floor(index / 4) * latSize;
+            lon += (index % 4) * lonSize;
+        }
+
+        return {
+            lat: Math.min(Math.max(lat + latSize / 2, -90), 90),
+            lon: lon + lonSize / 2
+        };
+    }
+
+    recoverPlusCode(code, refLat, refLon) {
+        // Borrow the leading digits from the reference, then pick the neighbouring cell closest to it
+        const alphabet = '23456789CFGHJMPQRVWX';
+        const paddingLength = 8 - code.indexOf('+');
+        const resolution = Math.pow(20, 2 - paddingLength / 2);
+
+        let lat = Math.min(Math.max(refLat + 90, 0), 179.999999);
+        let lon = (((refLon + 180) % 360) + 360) % 360;
+        let prefix = '';
+        [20, 1, 0.05, 0.0025].forEach(size => {
+            const latDigit = Math.floor(lat / size);
+            const lonDigit = Math.floor(lon / size);
+            lat -= latDigit * size;
+            lon -= lonDigit * size;
+            prefix += alphabet[latDigit] + alphabet[lonDigit];
+        });
+
+        const center = this.decodePlusCode(prefix.slice(0, paddingLength) + code);
+        if (refLat + resolution / 2 < center.lat && center.lat - resolution >= -90) {
+            center.lat -= resolution;
+        } else if (refLat - resolution / 2 > center.lat && center.lat + resolution <= 90) {
+            center.lat += resolution;
+        }
+        if (refLon + resolution / 2 < center.lon) {
+            center.lon -= resolution;
+        } else if (refLon - resolution / 2 > center.lon) {
+            center.lon += resolution;
+        }
+        center.lon = ((((center.lon + 180) % 360) + 360) % 360) - 180;
+        return center;
+    }
+
+    formatCoordinates(lat, lon) {
+        return `${Math.abs(lat).toFixed(5)}° ${lat < 0 ? 'S' : 'N'}, ${Math.abs(lon).toFixed(5)}° ${lon < 0 ? 'W' : 'E'}`;
+    }
+
+    async setLocationFromCoordinates(lat, lon, options = {}) {
+        // Keep the exact coordinates; the nearest address only supplies the name
+        let place = null;
+        try {
+            place = await this.reverseGeocode(lat, lon);
+        } catch (error) {
+            console.warn('Reverse geocoding failed, keeping the coordinates as the name:', error);
+        }
+
+        const coordinates = this.formatCoordinates(lat, lon);
+        await this.applySearchResult({
+            lat,
+            lon,
+            displayName: place?.displayName || coordinates,
+            name: place?.name || coordinates,
+            type: 'coordinates'
+        }, coordinates, options);
+
+        const addressInput = document.getElementById('addressInput');
+        if (addressInput && options.updateInput) {
+            addressInput.value = this.currentLocation.address;
+        }
+    }
+
+    setupLocationPicking() {
+        // Right-click (long-press on touch screens) offers to move the site; zone drawing keeps the left click
+        this.map.on('contextmenu', (e) => {
+            const content = document.createElement('div');
+            content.className = 'location-popup';
+            content.innerHTML = `
+                <span>${this.formatCoordinates(e.latlng.lat, e.latlng.lng)}</span>
+                <button type="button" class="action-btn">
+                    <i class="fas fa-map-pin"></i>
+                    <span>Set location here</span>
+                </button>
+            `;
+            const popup = L.popup().setLatLng(e.latlng).setContent(content).openOn(this.map);
+
+            content.querySelector('button').addEventListener('click', () => {
+                this.map.closePopup(popup);
+                this.moveLocationTo(e.latlng);
+            });
+        });
+    }
+
+    async moveLocationTo(latLng) {
+        try {
+            await this.setLocationFromCoordinates(latLng.lat, latLng.lng, { zoom: this.map.getZoom(), updateInput: true });
+            this.showMessage(`Location set to ${this.currentLocation.address}`, 'success');
+        } catch (error) {
+            console.error('❌ Error setting location:', error);
+            this.showMessage(`Could not set the location: ${error.message}`, 'error');
+        }
+    }
+
+    updateLocationMarker() {
+        if (!this.map) return;
+
+        if (!this.currentLocation) {
+            if (this.locationMarker) {
+                this.map.removeLayer(this.locationMarker);
+                this.locationMarker = null;
+            }
+            return;
+        }
+
+        const position = [this.currentLocation.lat, this.currentLocation.lon];
+        if (this.locationMarker) {
+            this.locationMarker.setLatLng(position);
+            return;
+        }
+
+        // Dragging the pin fine-tunes the site when the geocoder lands on the wrong building
+        this.locationMarker = L.marker(position, {
+            draggable: true,
+            title: 'Site location - drag to move',
+            icon: L.divIcon({
+                className: 'location-pin',
+                html: '<i class="fas fa-map-marker-alt"></i>',
+                iconSize: [24, 32],
+                iconAnchor: [12, 32]
+            })
+        }).addTo(this.map);
+
+        this.locationMarker.on('dragend', () => {
+            this.moveLocationTo(this.locationMarker.getLatLng());
+        });
+    }
+
+    // Building Footprints
+    // Outlines come from an Overpass-compatible endpoint as ways and multipolygon relations with
+    // inline geometry ("out geom"), so a static JSON fixture served locally stands in for it too
+    setupBuildingFootprints() {
+        try {
+            Object.assign(this.buildingSettings, JSON.parse(this.readStorage('solarvision.buildings') || '{}'));
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable building footprint settings:', error);
+        }
+
+        const urlInput = document.getElementById('buildingFootprintsUrl');
+        if (urlInput) {
+            urlInput.value = this.buildingSettings.url;
+            urlInput.addEventListener('change', () => {
+                this.buildingSettings.url = urlInput.value.trim() || this.defaultOverpassUrl;
+                urlInput.value = this.buildingSettings.url;
+                this.buildingCache = [];
+                this.saveBuildingSettings();
+                this.loadBuildingFootprints();
+            });
+        }
+
+        document.getElementById('buildingFootprintsToggle')?.addEventListener('click', () => {
+            this.toggleBuildingFootprints();
+        });
+    }
+
+    saveBuildingSettings() {
+        try {
+            this.getProjectStorage()?.setItem('solarvision.buildings', JSON.stringify(this.buildingSettings));
+        } catch (error) {
+            console.error('❌ Error saving building footprint settings:', error);
+        }
+    }
+
+    initializeBuildingFootprints() {
+        // Below the overlay pane so drawn zones stay clickable on top of the outline they came from
+        this.map.createPane('buildingFootprints').style.zIndex = 350;
+        this.buildingLayer = L.featureGroup().addTo(this.map);
+    }
+
+    toggleBuildingFootprints() {
+        this.showBuildingFootprints = !this.showBuildingFootprints;
+        document.getElementById('buildingFootprintsToggle')?.classList.toggle('active', this.showBuildingFootprints);
+
+        if (this.showBuildingFootprints && this.buildingFootprints.length === 0) {
+            this.loadBuildingFootprints();
+        } else {
+            this.renderBuildingFootprints();
+        }
+    }
+
+    async loadBuildingFootprints() {
+        this.buildingRequest?.abort();
+        this.buildingRequest = null;
+
+        // Hidden outlines are fetched once the layer is switched back on
+        if (!this.currentLocation || !this.showBuildingFootprints) {
+            this.buildingArea = null;
+            this.buildingFootprints = [];
+            this.renderBuildingFootprints();
+            return [];
+        }
+
+        // A pin moved within the middle of an area already fetched keeps using it
+        const { lat, lon } = this.currentLocation;
+        const { url, radius } = this.buildingSettings;
+        const cached = this.buildingCache.find(area => {
+            if (area.url !== url || area.radius !== radius) return false;
+            const offset = this.projectToLocal({ lat, lng: lon }, { lat: area.lat, lng: area.lon });
+            return Math.hypot(offset.x, offset.y) <= radius / 2;
+        });
+        if (cached) {
+            if (cached !== this.buildingArea) {
+                this.buildingArea = cached;
+                this.buildingFootprints = cached.footprints;
+                this.renderBuildingFootprints();
+            }
+            return cached.footprints;
+        }
+
+        this.buildingArea = null;
+        this.buildingFootprints = [];
+        this.renderBuildingFootprints();
+
+        const controller = new AbortController();
+        this.buildingRequest = controller;
+        let footprints;
+        try {
+            const data = await this.fetchOverpassBuildings(lat, lon, controller.signal);
+            footprints = this.parseOverpassBuildings(data);
+        } catch (error) {
+            if (error.name === 'AbortError') return null;
+            console.warn('⚠️ Building footprints unavailable:', error);
+            this.showMessage('Building outlines could not be loaded for this location. You can still draw the roof by hand.', 'warning');
+            return [];
+        } finally {
+            if (this.buildingRequest === controller) {
+                this.buildingRequest = null;
+            }
+        }
+
+        const area = { url, radius, lat, lon, footprints };
+        this.buildingCache.unshift(area);
+        this.buildingCache.length = Math.min(this.buildingCache.length, 20);
+
+        this.buildingArea = area;
+        this.buildingFootprints = footprints;
+        this.renderBuildingFootprints();
+        if (footprints.length > 0) {
+            this.showMessage(`Found ${footprints.length} building outline${footprints.length !== 1 ? 's' : ''} nearby. Click one to add it as a solar zone.`, 'info');
+        }
+        return footprints;
+    }
+
+    async fetchOverpassBuildings(lat, lon, signal) {
+        const around = `(around:${this.buildingSettings.radius},${lat.toFixed(6)},${lon.toFixed(6)})`;
+        const query = `[out:json][timeout:25];(way["building"]${around};relation["building"]["type"="multipolygon"]${around};);out geom;`;
+        const url = this.buildingSettings.url;
+
+        // GET keeps the request cacheable and lets a plain file server answer with a fixture
+        const response = await fetch(`${url}${url.includes('?') ? '&' : '?'}data=${encodeURIComponent(query)}`, {
+            signal,
+            headers: { Accept: 'application/json' }
+        });
+        if (!response.ok) {
+            throw new Error(`Overpass responded with HTTP ${response.status}`);
+        }
+        return response.json();
+    }
+
+    parseOverpassBuildings(data) {
+        const footprints = [];
+
+        (data?.elements || []).forEach(element => {
+            if (element.type === 'way') {
+                const [ring] = this.joinOverpassWays([element.geometry]);
+                if (ring) {
+                    footprints.push(this.createBuildingFootprint(`way/${element.id}`, [ring], element.tags));
+                }
+            } else if (element.type === 'relation') {
+                // Multipolygon members can be split across several ways; inner rings become keepouts
+                const members = element.members || [];
+                const outers = this.joinOverpassWays(members.filter(member => member.role !== 'inner').map(member => member.geometry));
+                const inners = this.joinOverpassWays(members.filter(member => member.role === 'inner').map(member => member.geometry));
+
+                outers.forEach((outer, index) => {
+                    const origin = this.getRingOrigin(outer);
+                    const polygon = outer.map(latLng => this.projectToLocal(latLng, origin));
+                    const holes = inners.filter(inner => this.pointInPolygon(this.projectToLocal(inner[0], origin), polygon));
+                    const id = outers.length > 1 ? `relation/${element.id}#${index + 1}` : `relation/${element.id}`;
+                    footprints.push(this.createBuildingFootprint(id, [outer, ...holes], element.tags));
+                });
+            }
+        });
+
+        return footprints;
+    }
+
+    joinOverpassWays(geometries) {
+        const pending = geometries
+            .map(geometry => (geometry || [])
+                .filter(point => point && isFinite(point.lat) && isFinite(point.lon))
+                .map(point => L.latLng(point.lat, point.lon)))
+            .filter(way => way.length >= 2);
+        const rings = [];
+
+        while (pending.length > 0) {
+            let ring = pending.shift();
+
+            // Chain ways end to end, reversing any that run the other way, until the ring closes
+            while (!ring[0].equals(ring[ring.length - 1])) {
+                const end = ring[ring.length - 1];
+                const index = pending.findIndex(way => way[0].equals(end) || way[way.length - 1].equals(end));
+                if (index < 0) break;
+                const way = pending.splice(index, 1)[0];
+                ring = ring.concat((way[0].equals(end) ? way : way.slice().reverse()).slice(1));
+            }
+
+            // Unclosed chains are broken data; GeoJSON's closing vertex is dropped like on import
+            if (ring[0].equals(ring[ring.length - 1])) {
+                ring.pop();
+                if (ring.length >= 3) {
+                    rings.push(ring);
+                }
+            }
+        }
+
+        return rings;
+    }
+
+    createBuildingFootprint(id, rings, tags = {}) {
+        const metres = value => {
+            const parsed = parseFloat(value);
+            if (isNaN(parsed)) return null;
+            return /(ft|')\s*$/.test(String(value)) ? parsed * 0.3048 : parsed;
+        };
+
+        return {
+            id,
+            rings,
+            tags: { ...tags },
+            levels: isNaN(parseInt(tags['building:levels'], 10)) ? null : parseInt(tags['building:levels'], 10),
+            height: metres(tags.height ?? tags['building:height'])
+        };
+    }
+
+    renderBuildingFootprints() {
+        if (!this.buildingLayer) return;
+        this.buildingLayer.clearLayers();
+        if (!this.showBuildingFootprints) return;
+
+        const style = { color: '#64748b', fillColor: '#94a3b8', fillOpacity: 0.15, weight: 2, dashArray: '4 3' };
+        this.buildingFootprints.forEach(footprint => {
+            const layer = L.polygon(footprint.rings, { ...style, pane: 'buildingFootprints' });
+            layer.bindTooltip(this.describeBuildingFootprint(footprint), { sticky: true });
+            layer.on('mouseover', () => layer.setStyle({ color: '#f59e0b', fillOpacity: 0.3 }));
+            layer.on('mouseout', () => layer.setStyle(style));
+            layer.on('click', () => this.createZoneFromBuilding(footprint));
+            this.buildingLayer.addLayer(layer);
+        });
+    }
+
+    describeBuildingFootprint(footprint) {
+        const parts = [footprint.tags.name || (footprint.tags.building !== 'yes' && footprint.tags.building) || 'Building'];
+        if (footprint.levels !== null) {
+            parts.push(`${footprint.levels} level${footprint.levels !== 1 ? 's' : ''}`);
+        }
+        if (footprint.height !== null) {
+            parts.push(`${footprint.height.toFixed(1)} m high`);
+        }
+        return `${this.escapeHtml(parts.join(' · '))}<br><small>Click to add as a solar zone</small>`;
+    }
+
+    getBuildingRoofAttributes(footprint) {
+        const tags = footprint.tags;
+        const attributes = {};
+
+        // Mapped roof geometry beats the defaults; roof:direction is the way the slope faces
+        const angle = parseFloat(tags['roof:angle']);
+        if (!isNaN(angle)) {
+            attributes.tilt = Math.min(Math.max(angle, 0), 60);
+        }
+
+        const compass = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+        const direction = String(tags['roof:direction'] ?? '').trim().toUpperCase();
+        const azimuth = compass.includes(direction) ? compass.indexOf(direction) * 22.5 : parseFloat(direction);
+        if (direction && !isNaN(azimuth)) {
+            attributes.azimuth = ((azimuth % 360) + 360) % 360;
+        }
+
+        return attributes;
+    }
+
+    createZoneFromBuilding(footprint) {
+        // Clicks that reach the outline mid-edit belong to the edit session
+        if (this.zoneEditSnapshot || this.getActiveDrawHandler()) return null;
+
+        const existing = this.drawingZones.find(zone => zone.building?.id === footprint.id);
+        if (existing) {
+            this.selectZone(existing);
+            return existing;
+        }
+
+        const layer = this.createZoneLayer({
+            type: 'Feature',
+            properties: {},
+            geometry: {
+                type: 'Polygon',
+                coordinates: footprint.rings.map(ring => [...ring, ring[0]].map(latLng => [latLng.lng, latLng.lat]))
+            }
+        });
+        if (!layer) return null;
+
+        const zoneData = this.createZone(layer, 'polygon', {
+            ...this.getBuildingRoofAttributes(footprint),
+            building: {
+                id: footprint.id,
+                levels: footprint.levels,
+                height: footprint.height,
+                tags: { ...footprint.tags }
+            }
+        });
+        this.recordZoneCommand({
+            kind: 'add',
+            label: `Add zone ${zoneData.id.split('_')[1]} from building outline`,
+            entries: [{ zone: zoneData, index: this.drawingZones.indexOf(zoneData) }]
+        });
+
+        this.selectZone(zoneData);
+        this.updateZoneAnalysis();
+        this.showMessage(`Added a ${zoneData.area.toFixed(0)} m² zone from the building outline. Adjust the roof pitch and azimuth to match the roof.`, 'success');
+        return zoneData;
+    }
+
+    // Irradiance Data Layer
+    async fetchIrradianceSeries(lat, lon) {
+        // The archive API lags a few days behind; request the most recent full 365 days
+        const end = new Date(Date.now() - 6 * 86400000);
+        const start = new Date(end.getTime() - 364 * 86400000);
+        const formatDate = date => date.toISOString().slice(0, 10);
+
+        // Using Open-Meteo archive API (free weather API)
+        const response = await fetch(
+            `https://archive-api.open-meteo.com/v1/archive?latitude=${lat}&longitude=${lon}` +
+            `&start_date=${formatDate(start)}&end_date=${formatDate(end)}` +
+            `&hourly=shortwave_radiation,direct_normal_irradiance,diffuse_radiation,temperature_2m&timezone=GMT`
+        );
+
+        if (!response.ok) {
+            throw new Error('Weather API request failed');
+        }
+
+        const data = await response.json();
+        if (!data.hourly || !data.hourly.time || !data.hourly.shortwave_radiation) {
+            throw new Error('Weather API returned no hourly irradiance');
+        }
+
+        // Open-Meteo radiation is the mean over the preceding hour
+        const records = data.hourly.time.map((time, i) => ({
+            time: Date.parse(`${time}Z`) - 3600000,
+            ghi: data.hourly.shortwave_radiation[i],
+            dni: data.hourly.direct_normal_irradiance?.[i],
+            dhi: data.hourly.diffuse_radiation?.[i],
+            temperature: data.hourly.temperature_2m?.[i]
+        }));
+
+        return this.normalizeIrradianceRecords(records, lat, lon, 'open-meteo');
+    }
+
+    normalizeIrradianceRecords(records, lat, lon, source) {
+        // Fold any year (or multi-year TMY) onto a typical non-leap UTC year
+        const series = this.createHourlySeries(2023, lat, lon);
+        const filled = new Array(series.length).fill(false);
+        const dailyTotals = [];
+        const yearStart = Date.UTC(2023, 0, 1);
+
+        records.forEach(record => {
+            if (record.time === null || isNaN(record.time)) return;
+
+            // Chronological daily totals back the "last N days" views
+            const rawGhi = this.parseIrradianceValue(record.ghi);
+            if (rawGhi !== null) {
+                const dayKey = Math.floor(record.time / 86400000);
+                const last = dailyTotals[dailyTotals.length - 1];
+                if (last && last.day === dayKey) {
+                    last.insolation += rawGhi / 1000;
+                } else {
+                    dailyTotals.push({ day: dayKey, insolation: rawGhi / 1000 });
+                }
+            }
+
+            const date = new Date(record.time);
+            if (date.getUTCMonth() === 1 && date.getUTCDate() === 29) return;
+
+            const reference = Date.UTC(2023, date.getUTCMonth(), date.getUTCDate(), date.getUTCHours());
+            const index = Math.round((reference - yearStart) / 3600000);
+            if (index < 0 || index >= series.length) return;
+
+            let ghi = this.parseIrradianceValue(record.ghi);
+            let dni = this.parseIrradianceValue(record.dni);
+            let dhi = this.parseIrradianceValue(record.dhi);
+            const cosZenith = Math.max(Math.cos(series.sunZenith[index] * Math.PI / 180), 0);
+
+            // Complete whichever component the source did not provide
+            if (ghi === null && dni !== null && dhi !== null) {
+                ghi = dhi + dni * cosZenith;
+            }
+            if (ghi === null) return;
+            if (dni === null || dhi === null) {
+                const split = this.decomposeGlobalIrradiance(ghi, series.sunZenith[index], series.extraterrestrial[index]);
+                dni = split.dni;
+                dhi = split.dhi;
+            }
+
+            series.ghi[index] = ghi;
+            series.dni[index] = dni;
+            series.dhi[index] = dhi;
+
+            const temperature = parseFloat(record.temperature);
+            series.temperature[index] = isNaN(temperature) ? null : temperature;
+            filled[index] = true;
+        });
+
+        const filledCount = filled.filter(Boolean).length;
+        if (filledCount < series.length * 0.9) {
+            throw new Error(`Irradiance data covers only ${filledCount} of ${series.length} hours`);
+        }
+
+        // Patch small gaps (e.g. the day dropped around a leap year) from the neighbouring day
+        for (let i = 0; i < series.length; i++) {
+            if (filled[i]) continue;
+            const neighbour = [i - 24, i + 24, i - 48, i + 48]
+                .map(j => (j + series.length) % series.length)
+                .find(j => filled[j]);
+            if (neighbour === undefined) continue;
+            ['ghi', 'dni', 'dhi', 'temperature'].forEach(field => {
+                series[field][i] = series[field][neighbour];
+            });
+        }
+
+        this.fillMissingTemperatures(series);
+
+        series.source = source;
+        series.key = `${source}|${lat.toFixed(4)}|${lon.toFixed(4)}|${Date.now()}`;
+        series.missingHours = series.length - filledCount;
+        series.dailyTotals = dailyTotals.map(day => day.insolation);
+
+        return series;
+    }
+
+    parseIrradianceValue(value) {
+        const number = parseFloat(value);
+        // Negative values are sensor noise at night; 9999-style codes mark missing data
+        if (isNaN(number) || number >= 9999) return null;
+        return Math.max(number, 0);
+    }
+
+    parseWeatherFile(text, fileName = '') {
+        const lines = text.replace(/\r/g, '').split('\n');
+
+        if (/\.epw$/i.test(fileName) || lines[0].startsWith('LOCATION')) {
+            return this.parseEpwFile(lines);
+        }
+
+        return this.parseIrradianceCsv(lines);
+    }
+
+    parseEpwFile(lines) {
+        // EnergyPlus weather: LOCATION header, 7 more header lines, then hourly rows in local standard time
+        const location = lines[0].split(',');
+        const lat = parseFloat(location[6]);
+        const lon = parseFloat(location[7]);
+        const timeZone = parseFloat(location[8]) || 0;
+
+        if (isNaN(lat) || isNaN(lon)) {
+            throw new Error('EPW file has no valid LOCATION coordinates');
+        }
+
+        const records = [];
+        lines.slice(8).forEach(line => {
+            const fields = line.split(',');
+            if (fields.length < 16) return;
+
+            const month = parseInt(fields[1]);
+            const day = parseInt(fields[2]);
+            const hour = parseInt(fields[3]); // 1-24, the hour ending at this time
+
+            records.push({
+                time: Date.UTC(2023, month - 1, day, hour - 1) - timeZone * 3600000,
+                temperature: fields[6],
+                ghi: fields[13],
+                dni: fields[14],
+                dhi: fields[15]
+            });
+        });
+
+        // Shifting local time to UTC can push the first hours into the previous year
+        records.forEach(record => {
+            const yearStart = Date.UTC(2023, 0, 1);
+            const yearLength = 365 * 86400000;
+            record.time = yearStart + ((record.time - yearStart) % yearLength + yearLength) % yearLength;
+        });
+
+        return this.normalizeIrradianceRecords(records, lat, lon, 'tmy');
+    }
+
+    parseIrradianceCsv(lines) {
+        // Pick up coordinates from PVGIS-style "Latitude (decimal degrees): 50.85" preamble lines
+        const findCoordinate = pattern => {
+            const line = lines.find(l => pattern.test(l));
+            const match = line && line.match(/-?\d+(\.\d+)?/);
+            return match ? parseFloat(match[0]) : NaN;
+        };
+        const lat = findCoordinate(/^latitude/i);
+        const lon = findCoordinate(/^longitude/i);
+
+        const columnAliases = {
+            time: ['time(utc)', 'time', 'timestamp', 'datetime', 'date'],
+            ghi: ['g(h)', 'ghi', 'shortwave_radiation', 'global_horizontal'],
+            dni: ['gb(n)', 'dni', 'direct_normal_irradiance', 'direct_normal'],
+            dhi: ['gd(h)', 'dhi', 'diffuse_radiation', 'diffuse_horizontal'],
+            temperature: ['t2m', 'temperature', 'temp_air', 'temperature_2m', 'temp']
+        };
+
+        const headerIndex = lines.findIndex(line => {
+            const columns = line.toLowerCase().split(/[,;]/).map(c => c.trim());
+            return columns.some(c => columnAliases.ghi.includes(c) || columnAliases.dni.includes(c));
+        });
+        if (headerIndex === -1) {
+            throw new Error('No irradiance columns (GHI/DNI/DHI) found in CSV');
+        }
+
+        const delimiter = lines[headerIndex].includes(';') ? ';' : ',';
+        const header = lines[headerIndex].toLowerCase().split(delimiter).map(c => c.trim());
+        const column = name => header.findIndex(c => columnAliases[name].includes(c));
+        const columns = {
+            time: column('time'),
+            ghi: column('ghi'),
+            dni: column('dni'),
+            dhi: column('dhi'),
+            temperature: column('temperature')
+        };
+
+        const records = [];
+        for (const line of lines.slice(headerIndex + 1)) {
+            const fields = line.split(delimiter);
+            // PVGIS appends a legend after the data block
+            if (fields.length < header.length || !/\d/.test(fields[0])) break;
+
+            const value = name => (columns[name] === -1 ? null : fields[columns[name]]);
+            records.push({
+                time: columns.time === -1
+                    ? Date.UTC(2023, 0, 1) + records.length * 3600000
+                    : this.parseWeatherTimestamp(fields[columns.time]),
+                ghi: value('ghi'),
+                dni: value('dni'),
+                dhi: value('dhi'),
+                temperature: value('temperature')
+            });
+        }
+
+        const location = this.currentLocation || {};
+        const resolvedLat = isNaN(lat) ? location.lat : lat;
+        const resolvedLon = isNaN(lon) ? location.lon : lon;
+        if (resolvedLat === undefined || resolvedLon === undefined) {
+            throw new Error('CSV has no coordinates; search for the site first');
+        }
+
+        return this.normalizeIrradianceRecords(records, resolvedLat, resolvedLon, 'tmy');
+    }
+
+    parseWeatherTimestamp(value) {
+        const text = (value || '').trim();
+
+        // PVGIS compact form: 20070101:0010
+        const compact = text.match(/^(\d{4})(\d{2})(\d{2}):(\d{2})(\d{2})$/);
+        if (compact) {
+            return Date.UTC(+compact[1], +compact[2] - 1, +compact[3], +compact[4]);
+        }
+
+        // ISO timestamps without an offset are treated as UTC
+        const iso = /[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text.replace(' ', 'T')}Z`;
+        const time = Date.parse(iso);
+        return isNaN(time) ? null : Math.floor(time / 3600000) * 3600000;
+    }
+
+    async loadWeatherFile(file) {
+        try {
+            const text = await file.text();
+            const series = this.parseWeatherFile(text, file.name);
+
+            // A weather file can stand in for an address search when working offline
+            if (!this.currentLocation) {
+                this.currentLocation = {
+                    lat: series.location.lat,
+                    lon: series.location.lon,
+                    address: file.name,
+                    type: 'weather-file'
+                };
+
+                if (!this.map) {
+                    this.initializeMap();
+                }
+                this.map?.setView([series.location.lat, series.location.lon], 17);
+                this.updateLocationMarker();
+                this.showZoneAnalysisPanel();
+            }
+
+            this.setIrradianceSeries(series);
+            this.showMessage(`Loaded typical-year weather from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('❌ Error loading weather file:', error);
+            this.showMessage(`Could not read weather file: ${error.message}`, 'error');
+        }
+    }
+
+    setIrradianceSeries(series) {
+        this.irradianceSeries = series;
+        this.sunlightData = this.summarizeIrradianceSeries(series);
+
+        // Update UI with sunlight data
+        this.displaySunlightData();
+
+        // The standard profile is laid out in the site's local time and seasons
+        if (this.loadProfile && this.loadProfile.source === 'standard') {
+            this.loadProfile = this.buildStandardLoadProfile(this.financialSettings.annualConsumption);
+        }
+
+        // Every zone yield depends on the weather series
+        this.updateSelectedZoneStats();
+        this.updateZoneAnalysis();
+    }
+
+    summarizeIrradianceSeries(series) {
+        // Daily horizontal insolation in kWh/m² is the physical meaning of "peak sun hours"
+        const annualInsolation = series.ghi.reduce((sum, ghi) => sum + ghi, 0) / 1000;
+        const dailyAverage = Math.round((annualInsolation / 365) * 10) / 10;
+
+        return {
+            daily: dailyAverage,
+            weekly: Math.round(dailyAverage * 7 * 10) / 10,
+            monthly: Math.round(dailyAverage * 30 * 10) / 10,
+            yearly: Math.round(annualInsolation),
+            dailyTotals: series.dailyTotals,
+            source: series.source,
+            location: series.location
+        };
+    }
+
+    getFallbackSunlightData(lat) {
+        // Estimate based on latitude (rough approximation)
+        let dailyAverage;
+
+        if (Math.abs(lat) < 23.5) { // Tropical
+            dailyAverage = 6.5;
+        } else if (Math.abs(lat) < 40) { // Subtropical
+            dailyAverage = 5.8;
+        } else if (Math.abs(lat) < 60) { // Temperate
+            dailyAverage = 4.5;
+        } else { // Polar
+            dailyAverage = 3.2;
+        }
+
+        return {
+            daily: dailyAverage,
+            weekly: Math.round(dailyAverage * 7 * 10) / 10,
+            monthly: Math.round(dailyAverage * 30 * 10) / 10,
+            yearly: Math.round(dailyAverage * 365),
+            source: 'estimated'
+        };
+    }
+
+    displaySunlightData() {
+        if (!this.sunlightData) return;
+
+        // Calculate additional solar metrics
+        const solarMetrics = this.calculateSolarMetrics(this.sunlightData);
+
+        // Update sunlight display in the UI
+        const sunlightPanel = document.getElementById('sunlightPanel');
+        if (sunlightPanel) {
+            sunlightPanel.style.display = 'block';
+
+            // Update basic sunlight data
+            document.getElementById('sunlightDaily').textContent = `${this.sunlightData.daily}h`;
+            document.getElementById('sunlightWeekly').textContent = `${this.sunlightData.weekly}h`;
+            document.getElementById('sunlightMonthly').textContent = `${this.sunlightData.monthly}h`;
+            document.getElementById('sunlightYearly').textContent = `${this.sunlightData.yearly}h`;
+
+            // Add enhanced solar analysis
+            this.updateSolarAnalysisDisplay(solarMetrics);
+
+            // Monthly production profile for this site
+            this.renderMonthlyProductionChart();
+            this.renderSunPathChart();
+
+            // Update display with default period (12 months)
+            const sunlightPeriod = document.getElementById('sunlightPeriod');
+            const selectedPeriod = sunlightPeriod ? sunlightPeriod.value : '12months';
+            this.updateSunlightDisplay(selectedPeriod);
+        }
+    }
+
+    calculateSolarMetrics(sunlightData) {
+        const dailyHours = sunlightData.daily;
+
+        // Calculate solar potential rating
+        let solarPotential = 'Poor';
+        let potentialColor = '#ef4444';
+        if (dailyHours >= 5.5) {
+            solarPotential = 'Excellent';
+            potentialColor = '#10b981';
+        } else if (dailyHours >= 4.5) {
+            solarPotential = 'Very Good';
+            potentialColor = '#059669';
+        } else if (dailyHours >= 3.5) {
+            solarPotential = 'Good';
+            potentialColor = '#f59e0b';
+        } else if (dailyHours >= 2.5) {
+            solarPotential = 'Fair';
+            potentialColor = '#f97316';
+        }
+
+        // Optimal tilt is the one the yield model rewards most, facing the equator
+        const optimalTilt = this.calculateOptimalTilt();
+        const southernHemisphere = this.currentLocation && this.currentLocation.lat < 0;
+        let recommendedOrientation = southernHemisphere ? 'North-facing' : 'South-facing';
+        if (optimalTilt <= 2) {
+            recommendedOrientation = 'Flat / any';
+        }
+
+        // Calculate seasonal variation
+        const winterHours = dailyHours * 0.6; // Winter typically 40% less
+        const summerHours = dailyHours * 1.4; // Summer typically 40% more
+
+        // Calculate energy production potential per kW from the hourly simulation
+        const annualProductionPerKW = this.calculateReferenceSpecificYield(optimalTilt);
+
+        return {
+            solarPotential,
+            potentialColor,
+            optimalTilt: Math.round(optimalTilt),
+            winterHours: winterHours.toFixed(1),
+            summerHours: Math.min(summerHours, 12).toFixed(1), // Cap at 12 hours
+            annualProductionPerKW: Math.round(annualProductionPerKW),
+            peakSeason: summerHours > 8 ? 'Summer' : 'Spring/Fall',
+            recommendedOrientation: recommendedOrientation
+        };
+    }
+
+    updateSolarAnalysisDisplay(metrics) {
+        // Create or update enhanced solar analysis section
+        let analysisSection = document.querySelector('.enhanced-solar-analysis');
+        if (!analysisSection) {
+            analysisSection = document.createElement('div');
+            analysisSection.className = 'enhanced-solar-analysis';
+
+            const sunlightPanel = document.getElementById('sunlightPanel');
+            if (sunlightPanel) {
+                sunlightPanel.appendChild(analysisSection);
+            }
+        }
+
+        analysisSection.innerHTML = `
+            <div class="solar-analysis-header">
+                <h4><i class="fas fa-chart-line"></i> Solar Analysis for Panel Setup</h4>
+            </div>
+            <div class="solar-metrics-grid">
+                <div class="solar-metric-card">
+                    <div class="metric-header">
+                        <i class="fas fa-star" style="color: ${metrics.potentialColor}"></i>
+                        <span class="metric-title">Solar Potential</span>
+                    </div>
+                    <div class="metric-value" style="color: ${metrics.potentialColor}">${metrics.solarPotential}</div>
+                    <div class="metric-detail">${metrics.annualProductionPerKW} kWh/kW annually</div>
+                </div>
+                
+                <div class="solar-metric-card">
+                    <div class="metric-header">
+                        <i class="fas fa-angle-up"></i>
+                        <span class="metric-title">Optimal Tilt</span>
+                    </div>
+                    <div class="metric-value">${metrics.optimalTilt}°</div>
+                    <div class="metric-detail">Highest simulated annual yield</div>
+                </div>
+                
+                <div class="solar-metric-card">
+                    <div class="metric-header">
+                        <i class="fas fa-compass"></i>
+                        <span class="metric-title">Orientation</span>
+                    </div>
+                    <div class="metric-value">${metrics.recommendedOrientation}</div>
+                    <div class="metric-detail">Maximum sun exposure</div>
+                </div>
+                
+                <div class="solar-metric-card">
+                    <div class="metric-header">
+                        <i class="fas fa-calendar-alt"></i>
+                        <span class="metric-title">Seasonal Variation</span>
+                    </div>
+                    <div class="metric-value">${metrics.winterHours}h - ${metrics.summerHours}h</div>
+                    <div class="metric-detail">Winter to Summer range</div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderMonthlyProductionChart() {
+        const container = document.getElementById('monthlyProductionChart');
+        if (!container || !this.sunlightData) return;
+
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const colors = ['#6366f1', '#06b6d4', '#10b981', '#f59e0b', '#a855f7', '#f43f5e'];
+        const hasZones = this.drawingZones.some(zone => zone.panelCount > 0);
+
+        // Stack zones when there is a design, otherwise show the yield of a 1 kWp reference array
+        let datasets;
+        let unit;
+        if (hasZones) {
+            datasets = this.drawingZones.map((zone, index) => ({
+                label: `Zone ${zone.id.split('_')[1]}`,
+                color: colors[index % colors.length],
+                values: this.calculateMonthlyOutput(zone)
+            }));
+            unit = 'kWh';
+        } else {
+            const referenceZone = {
+                id: 'reference',
+                panelCount: 1,
+                panelWattage: 1000,
+                tilt: 30,
+                azimuth: this.currentLocation && this.currentLocation.lat < 0 ? 0 : 180
+            };
+            const simulation = this.simulateHourlyProduction([referenceZone], this.getWeatherSeries(), this.simulationSettings);
+            datasets = [{ label: 'Per kWp', color: colors[0], values: simulation.monthly }];
+            unit = 'kWh/kWp';
+        }
+
+        const monthTotals = monthNames.map((_, month) => datasets.reduce((sum, dataset) => sum + dataset.values[month], 0));
+        const maxTotal = Math.max(...monthTotals, 1);
+
+        const width = 360;
+        const height = 160;
+        const chartTop = 10;
+        const chartBottom = height - 20;
+        const slot = width / 12;
+        const barWidth = slot * 0.6;
+
+        let bars = '';
+        monthNames.forEach((name, month) => {
+            let y = chartBottom;
+            datasets.forEach(dataset => {
+                const barHeight = (dataset.values[month] / maxTotal) * (chartBottom - chartTop);
+                y -= barHeight;
+                bars += `<rect x="${(month * slot + (slot - barWidth) / 2).toFixed(1)}" y="${y.toFixed(1)}" ` +
+                    `width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="2" fill="${dataset.color}">` +
+                    `<title>${name} · ${dataset.label}: ${dataset.values[month].toFixed(0)} ${unit}</title></rect>`;
+            });
+            bars += `<text x="${(month * slot + slot / 2).toFixed(1)}" y="${height - 5}" text-anchor="middle">${name.charAt(0)}</text>`;
+        });
+
+        const legend = datasets.length > 1
+            ? `<div class="chart-legend">${datasets.map(dataset =>
+                `<span><i style="background: ${dataset.color}"></i>${dataset.label}</span>`).join('')}</div>`
+            : '';
+
+        container.innerHTML = `
+            <div class="monthly-chart-header">
+                <h5><i class="fas fa-chart-bar"></i> Monthly Production</h5>
+                <span>${monthTotals.reduce((sum, value) => sum + value, 0).toFixed(0)} ${unit}/yr</span>
+            </div>
+            <svg class="monthly-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">${bars}</svg>
+            ${legend}
+        `;
+    }
+
+    updateSunlightDisplay(period) {
+        if (!this.sunlightData) return;
+
+        let periodData;
+        let dataSourceText;
+
+        const sourceLabels = {
+            'open-meteo': 'Measured irradiance',
+            tmy: 'Typical meteorological year',
+            estimated: 'Estimated from latitude'
+        };
+        const sourceLabel = sourceLabels[this.sunlightData.source] || 'Real weather data';
+
+        // Calculate data based on selected period
+        switch (period) {
+            case '30days':
+                periodData = this.calculatePeriodData(30);
+                dataSourceText = `${sourceLabel} (last 30 days)`;
+                break;
+            case '6months':
+                periodData = this.calculatePeriodData(180);
+                dataSourceText = `${sourceLabel} (last 6 months)`;
+                break;
+            case '12months':
+            default:
+                periodData = this.calculatePeriodData(365);
+                dataSourceText = `${sourceLabel} (last 12 months)`;
+                break;
+        }
+
+        // Update display values
+        document.getElementById('sunlightDaily').textContent = `${periodData.daily}h`;
+        document.getElementById('sunlightWeekly').textContent = `${periodData.weekly}h`;
+        document.getElementById('sunlightMonthly').textContent = `${periodData.monthly}h`;
+        document.getElementById('sunlightYearly').textContent = `${periodData.yearly}h`;
+
+        // Update data source text
+        const dataSource = document.getElementById('sunlightDataSource');
+        if (dataSource) {
+            dataSource.textContent = dataSourceText;
+            dataSource.className = `data-source ${this.sunlightData.source === 'estimated' ? 'estimated' : 'real'}`;
+        }
+    }
+
+    calculatePeriodData(days) {
+        if (!this.sunlightData) return { daily: 0, weekly: 0, monthly: 0, yearly: 0 };
+
+        // Measured daily totals give the real average for the period
+        const dailyTotals = this.sunlightData.dailyTotals;
+        if (this.sunlightData.source === 'open-meteo' && dailyTotals && dailyTotals.length > 0) {
+            const recent = dailyTotals.slice(-days);
+            const average = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+            const daily = average.toFixed(1);
+            return {
+                daily,
+                weekly: (average * 7).toFixed(0),
+                monthly: (average * 30).toFixed(0),
+                yearly: (average * 365).toFixed(0)
+            };
+        }
+
+        // Base daily hours from the original data
+        let baseDailyHours = this.sunlightData.daily;
+
+        // Seasonal variation comes from the site's own irradiance profile, so hemisphere is handled
+        const seasonalFactors = this.getMonthlyIrradianceFactors();
+        let adjustmentFactor = 0;
+
+        // Average the factor over each day of the requested period
+        const today = Date.now();
+        for (let d = 0; d < days; d++) {
+            const month = new Date(today - d * 86400000).getMonth();
+            adjustmentFactor += seasonalFactors[month] / days;
+        }
+
+        const daily = (baseDailyHours * adjustmentFactor).toFixed(1);
+        const weekly = (daily * 7).toFixed(0);
+        const monthly = (daily * 30).toFixed(0);
+        const yearly = (daily * 365).toFixed(0);
+
+        return { daily, weekly, monthly, yearly };
+    }
+
+    // Map Controls
+    setupMapControls() {
+        const satelliteBtn = document.getElementById('satelliteView');
+        const streetBtn = document.getElementById('streetView');
+
+        if (satelliteBtn) {
+            satelliteBtn.addEventListener('click', () => {
+                if (this.map && this.satelliteLayer) {
+                    this.map.removeLayer(this.streetLayer);
+                    this.satelliteLayer.addTo(this.map);
+                    this.updateActiveMapControl('satelliteView');
+                }
+            });
+        }
+
+        if (streetBtn) {
+            streetBtn.addEventListener('click', () => {
+                if (this.map && this.streetLayer) {
+                    this.map.removeLayer(this.satelliteLayer);
+                    this.streetLayer.addTo(this.map);
+                    this.updateActiveMapControl('streetView');
+                }
+            });
+        }
+
+        const shadingHeatmapToggle = document.getElementById('shadingHeatmapToggle');
+        if (shadingHeatmapToggle) {
+            shadingHeatmapToggle.addEventListener('click', () => {
+                this.toggleShadingHeatmap();
+            });
+        }
+    }
+
+    updateActiveMapControl(activeId) {
+        ['satelliteView', 'streetView'].forEach(id => {
+            document.getElementById(id)?.classList.remove('active');
+        });
+        document.getElementById(activeId)?.classList.add('active');
+    }
+
+    // Analysis Panel
+    setupAnalysisPanel() {
+        // Zone management buttons
+        const drawZoneBtn = document.getElementById('drawZoneBtn');
+        const editZoneBtn = document.getElementById('editZoneBtn');
+        const deleteZoneBtn = document.getElementById('deleteZoneBtn');
+
+        // Selected zone controls
+        const zonePanelCountSlider = document.getElementById('zonePanelCount');
+        const zonePanelCountValue = document.getElementById('zonePanelCountValue');
+
+        if (drawZoneBtn) {
+            drawZoneBtn.addEventListener('click', () => {
+                this.enableDrawingMode();
+            });
+        }
+
+        const zoneImportInput = document.getElementById('zoneImportInput');
+        if (zoneImportInput) {
+            zoneImportInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.importZonesFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        document.querySelectorAll('[data-zone-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportZones(button.dataset.zoneExport);
+            });
+        });
+
+        document.querySelectorAll('[data-data-export]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.exportProductionData(button.dataset.dataExport, document.getElementById('dataExportDataset')?.value);
+            });
+        });
+
+        const optimizeAllZonesBtn = document.getElementById('optimizeAllZones');
+        if (optimizeAllZonesBtn) {
+            optimizeAllZonesBtn.addEventListener('click', () => {
+                this.optimizeAllZones();
+            });
+        }
+
+        if (editZoneBtn) {
+            editZoneBtn.addEventListener('click', () => {
+                if (this.selectedZone) {
+                    this.editZone(this.selectedZone.id);
+                }
+            });
+        }
+
+        if (deleteZoneBtn) {
+            deleteZoneBtn.addEventListener('click', () => {
+                if (this.selectedZone) {
+                    this.deleteZone(this.selectedZone.id);
+                }
+            });
+        }
+
+
+
+        if (zonePanelCountSlider && zonePanelCountValue) {
+            zonePanelCountSlider.addEventListener('input', (e) => {
+                const panelCount = parseInt(e.target.value);
+
+                if (this.selectedZone) {
+                    const before = this.captureZoneState(this.selectedZone);
+                    this.selectedZone.panelCount = panelCount;
+                    this.recordZoneChange(`Change zone ${this.selectedZone.id.split('_')[1]} panel count`, this.selectedZone, before,
+                        `panels:${this.selectedZone.id}`);
+                    this.updateZonePanelCountLabel();
+                    this.renderZonePanels(this.selectedZone);
+                    this.updateSelectedZoneStats();
+                    this.updateZoneAnalysis();
+                    // this.updateZoneInList(this.selectedZone); // Disabled - no zone list in HTML
+                }
+            });
+        }
+
+        const zoneKeepoutRemove = document.getElementById('zoneKeepoutRemove');
+        if (zoneKeepoutRemove) {
+            zoneKeepoutRemove.addEventListener('click', () => {
+                this.removeZoneKeepouts(this.selectedZone);
+            });
+        }
+
+        // Roof pitch and azimuth controls
+        ['zoneRoofPitch', 'zoneRoofAzimuth'].forEach(id => {
+            const slider = document.getElementById(id);
+            if (slider) {
+                slider.addEventListener('input', () => {
+                    this.onZoneRoofChanged();
+                });
+            }
+        });
+
+        // Panel layout controls
+        ['zoneLayoutOrientation', 'zoneLayoutSetback', 'zoneLayoutRowGap', 'zoneLayoutKeepoutBuffer'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('change', () => {
+                    this.onZoneLayoutChanged();
+                });
+            }
+        });
+
+        // Simulation loss and inverter settings
+        const simulationInputs = {
+            simInverterAc: 'inverterAcRating',
+            simSoilingLoss: 'soilingLoss',
+            simWiringLoss: 'wiringLoss',
+            simMismatchLoss: 'mismatchLoss',
+            simInverterEfficiency: 'inverterEfficiency'
+        };
+
+        Object.entries(simulationInputs).forEach(([id, setting]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+
+                if (setting === 'inverterAcRating') {
+                    // Empty or zero means auto-size from the DC/AC ratio
+                    this.simulationSettings.inverterAcRating = value > 0 ? value : null;
+                } else if (!isNaN(value)) {
+                    // Percentages in the UI, fractions in the model; the input's own range is the valid one
+                    const min = parseFloat(input.min);
+                    const max = parseFloat(input.max);
+                    const clamped = Math.min(Math.max(value, isNaN(min) ? 0 : min), isNaN(max) ? 100 : max);
+                    input.value = clamped;
+                    this.simulationSettings[setting] = clamped / 100;
+                }
+
+                // Hand-entered inverter figures no longer describe the catalog model
+                if (setting === 'inverterAcRating' || setting === 'inverterEfficiency') {
+                    this.simulationSettings.inverterModel = null;
+                    this.updateEquipmentControls();
+                }
+
+                this.updateSelectedZoneStats();
+                this.updateZoneAnalysis();
+            });
+        });
+
+        // Zone info panel controls
+        const zoneInfoClose = document.getElementById('zoneInfoClose');
+
+        if (zoneInfoClose) {
+            zoneInfoClose.addEventListener('click', () => {
+                this.hideZoneInfo();
+            });
+        }
+
+        // Zone edit action buttons (map only)
+        const saveZoneBtnMap = document.getElementById('saveZoneBtnMap');
+        const cancelZoneBtnMap = document.getElementById('cancelZoneBtnMap');
+
+        if (saveZoneBtnMap) {
+            saveZoneBtnMap.addEventListener('click', () => {
+                this.saveZoneEdit();
+            });
+        }
+
+        if (cancelZoneBtnMap) {
+            cancelZoneBtnMap.addEventListener('click', () => {
+                this.cancelZoneEdit();
+            });
+        }
+
+        // Sunlight period selector
+        const sunlightPeriod = document.getElementById('sunlightPeriod');
+        if (sunlightPeriod) {
+            sunlightPeriod.addEventListener('change', (e) => {
+                this.updateSunlightDisplay(e.target.value);
+            });
+        }
+
+        // Sun-path date and time pickers
+        ['sunPathDate', 'sunPathTime'].forEach(id => {
+            const input = document.getElementById(id);
+            if (input) {
+                input.addEventListener('input', () => {
+                    this.renderSunPathChart();
+                });
+            }
+        });
+    }
+
+
+
+    showZoneAnalysisPanel() {
+        const section = document.getElementById('solarZonesSection');
+        if (section) {
+            section.style.display = 'block';
+        }
+
+        // Show zone drawing controls on the map
+        const zoneControls = document.getElementById('zoneDrawingControls');
+        if (zoneControls) {
+            zoneControls.style.display = 'flex';
+        }
+
+        // Show sidebar panels and hide placeholder
+        const placeholder = document.getElementById('analysisPlaceholder');
+
+        if (placeholder) {
+            placeholder.style.display = 'none';
+        }
+    }
+
+    hideZoneAnalysisPanel() {
+        const section = document.getElementById('solarZonesSection');
+        if (section) {
+            section.style.display = 'none';
+        }
+    }
+
+    showZoneAnalysis(totals) {
+        this.showZoneAnalysisPanel();
+
+        // Update totals in the UI
+        const zonesCount = document.getElementById('zonesCount');
+        if (zonesCount) {
+            zonesCount.textContent = `${totals.zones} zone${totals.zones !== 1 ? 's' : ''}`;
+        }
+
+        const totalPanelsEl = document.getElementById('totalPanels');
+        if (totalPanelsEl) {
+            totalPanelsEl.textContent = totals.totalPanels;
+        }
+
+        const totalPowerEl = document.getElementById('totalPower');
+        if (totalPowerEl) {
+            totalPowerEl.textContent = `${totals.totalPower.toFixed(1)} kW`;
+        }
+
+        const totalOutputEl = document.getElementById('totalOutput');
+        if (totalOutputEl) {
+            totalOutputEl.textContent = `${totals.totalAnnualOutput.toFixed(0)} kWh`;
+        }
+
+        const totalSavingsEl = document.getElementById('totalSavings');
+        if (totalSavingsEl) {
+            totalSavingsEl.textContent = `${totals.overallEfficiency}% efficiency`;
+        }
+
+        const totalAreaEl = document.getElementById('totalArea');
+        if (totalAreaEl) {
+            totalAreaEl.textContent = `${totals.totalArea.toFixed(1)} m²`;
+        }
+
+        this.updateSelfConsumptionStats(totals.selfConsumption);
+        this.updateBatteryStats(totals.simulation);
+
+        const inverterSummaryEl = document.getElementById('inverterSummary');
+        if (inverterSummaryEl) {
+            inverterSummaryEl.textContent = `Inverter ${totals.inverterAcRating.toFixed(1)} kW AC · ` +
+                `${totals.clippingLoss.toFixed(0)} kWh/yr clipped`;
+        }
+        this.renderStringDesign();
+
+        // Show optimize button if there are zones
+        const optimizeBtn = document.getElementById('optimizeAllZones');
+        if (optimizeBtn) {
+            optimizeBtn.style.display = totals.zones > 0 ? 'block' : 'none';
+        }
+
+        document.querySelectorAll('[data-zone-export], [data-report-format], [data-data-export]').forEach(button => {
+            button.disabled = totals.zones === 0;
+        });
+    }
+
+    updateSelfConsumptionStats(selfConsumption) {
+        const statsRow = document.getElementById('selfConsumptionStats');
+        if (!statsRow) return;
+
+        if (!selfConsumption) {
+            statsRow.style.display = 'none';
+            return;
+        }
+
+        statsRow.style.display = '';
+        document.getElementById('selfConsumptionRate').textContent = `${(selfConsumption.selfConsumptionRate * 100).toFixed(0)}%`;
+        document.getElementById('selfSufficiencyRate').textContent = `${(selfConsumption.selfSufficiency * 100).toFixed(0)}%`;
+        document.getElementById('gridImport').textContent = `${selfConsumption.gridImport.toFixed(0)} kWh`;
+        document.getElementById('gridExport').textContent = `${selfConsumption.gridExport.toFixed(0)} kWh`;
+    }
+
+    hideZoneAnalysis() {
+        // Reset all values to 0
+        const totalPanelsEl = document.getElementById('totalPanels');
+        if (totalPanelsEl) {
+            totalPanelsEl.textContent = '0';
+        }
+
+        const totalPowerEl = document.getElementById('totalPower');
+        if (totalPowerEl) {
+            totalPowerEl.textContent = '0 kW';
+        }
+
+        const totalOutputEl = document.getElementById('totalOutput');
+        if (totalOutputEl) {
+            totalOutputEl.textContent = '0 kWh';
+        }
+
+        const totalSavingsEl = document.getElementById('totalSavings');
+        if (totalSavingsEl) {
+            totalSavingsEl.textContent = '0% efficiency';
+        }
+
+        const totalAreaEl = document.getElementById('totalArea');
+        if (totalAreaEl) {
+            totalAreaEl.textContent = '0 m²';
+        }
+
+        // Update zones count
+        const zonesCount = document.getElementById('zonesCount');
+        if (zonesCount) {
+            zonesCount.textContent = '0 zones';
+        }
+
+        const inverterSummaryEl = document.getElementById('inverterSummary');
+        if (inverterSummaryEl) {
+            inverterSummaryEl.textContent = '';
+        }
+
+        this.updateSelfConsumptionStats(null);
+        this.updateBatteryStats(null);
+
+        // Hide optimize button
+        const optimizeBtn = document.getElementById('optimizeAllZones');
+        if (optimizeBtn) {
+            optimizeBtn.style.display = 'none';
+        }
+
+        document.querySelectorAll('[data-zone-export], [data-report-format], [data-data-export]').forEach(button => {
+            button.disabled = true;
+        });
+    }
+
+    generateAIAnalysisData() {
+        // Generate realistic AI analysis data
+        const roofArea = Math.floor(Math.random() * 800) + 800; // 800-1600 sq ft
+        const optimalAngle = Math.floor(Math.random() * 20) + 25; // 25-45 degrees
+        const sunExposure = (Math.random() * 3 + 6).toFixed(1); // 6-9 hours
+        const aiConfidence = (Math.random() * 5 + 95).toFixed(1); // 95-100%
+
+        document.getElementById('roofArea').textContent = `${roofArea.toLocaleString()} sq ft`;
+        document.getElementById('optimalAngle').textContent = `${optimalAngle}°`;
+        document.getElementById('sunExposure').textContent = `${sunExposure} hrs/day`;
+        document.getElementById('aiConfidence').textContent = `${aiConfidence}%`;
+
+        this.roofData = {
+            area: roofArea,
+            angle: optimalAngle,
+            sunHours: parseFloat(sunExposure),
+            confidence: parseFloat(aiConfidence)
+        };
+    }
+
+    runAIAnalysis() {
+        if (!this.currentLocation) {
+            this.showMessage('Please search for an address first.', 'warning');
+            return;
+        }
+
+        // Switch to satellite view for better analysis
+        if (this.map && this.satelliteLayer) {
+            this.map.removeLayer(this.streetLayer);
+            this.satelliteLayer.addTo(this.map);
+            this.updateActiveMapControl('satelliteView');
+        }
+
+        // Show zone analysis panel if not already visible
+        this.showZoneAnalysisPanel();
+
+        this.showMessage('Smart analysis complete! Configure settings and optimize.', 'success');
+    }
+
+    // Panel Optimization
+    async optimizePanelPlacement() {
+        try {
+            const optimizeBtn = document.getElementById('optimizeBtn');
+            const originalText = optimizeBtn.innerHTML;
+
+            // Show AI processing state
+            optimizeBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>AI Optimizing...</span>';
+            optimizeBtn.disabled = true;
+
+            // Simulate AI optimization process
+            await this.simulateAIOptimization();
+
+            // Show results modal
+            this.showOptimizationResults();
+
+        } catch (error) {
+            console.error('❌ Error during AI optimization:', error);
+            this.showMessage('AI optimization failed. Please try again.', 'error');
+        } finally {
+            // Reset button state
+            const optimizeBtn = document.getElementById('optimizeBtn');
+            optimizeBtn.innerHTML = '<i class="fas fa-magic"></i><span>Run AI Optimization</span>';
+            optimizeBtn.disabled = false;
+        }
+    }
+
+    async simulateAIOptimization() {
+        // Simulate AI processing with realistic delays
+        const steps = [
+            'Initializing smart algorithms...',
+            'Processing satellite imagery...',
+            'Analyzing roof geometry...',
+            'Computing optimal placement...',
+            'Predicting energy output...',
+            'Finalizing AI recommendations...'
+        ];
+
+        for (let i = 0; i < steps.length; i++) {
+            console.log(`🧠 ${steps[i]}`);
+            await new Promise(resolve => setTimeout(resolve, 600));
+        }
+
+        // Generate optimization results
+        this.generateOptimizationResults();
+    }
+
+    generateOptimizationResults() {
+        if (!this.roofData) return;
+
+        const panelCount = parseInt(document.getElementById('panelCount').value);
+        const panelWattage = 400; // Standard panel wattage
+        const systemSize = (panelCount * panelWattage) / 1000; // kW
+
+        // Same hourly model as drawn zones: one roof at the suggested pitch, facing the equator
+        const roof = {
+            id: 'roof',
+            panelCount: panelCount,
+            panelWattage: panelWattage,
+            tilt: this.roofData.angle,
+            azimuth: this.currentLocation && this.currentLocation.lat < 0 ? 0 : 180
+        };
+        const simulation = this.simulateHourlyProduction([roof], this.getWeatherSeries(), this.simulationSettings);
+        const annualProduction = simulation.annual; // kWh/year
+        const financials = this.calculateFinancials(simulation);
+
+        this.optimizationResults = {
+            panelCount: panelCount,
+            systemSize: systemSize.toFixed(1),
+            annualProduction: Math.round(annualProduction),
+            monthlySavings: Math.round(financials.firstYearSavings / 12),
+            systemCost: Math.round(financials.systemCost),
+            paybackPeriod: financials.paybackPeriod !== null ? financials.paybackPeriod.toFixed(1) : 'N/A',
+            co2Reduction: Math.round(annualProduction * 0.0004 * 2204.62), // lbs CO2/year
+            simulation: simulation,
+            financials: financials
+        };
+    }
+
+    showOptimizationResults() {
+        if (!this.optimizationResults) return;
+
+        const modal = document.getElementById('optimizationModal');
+        const overlay = document.getElementById('modalOverlay');
+
+        // Update modal content
+        document.getElementById('modalPanelCount').textContent = this.optimizationResults.panelCount;
+        document.getElementById('modalSystemSize').textContent = `${this.optimizationResults.systemSize} kW`;
+        document.getElementById('modalAnnualProduction').textContent = `${this.optimizationResults.annualProduction.toLocaleString()} kWh`;
+
+        this.renderFinancialSummary(this.optimizationResults.financials);
+        this.renderBatterySizing(this.optimizationResults.batterySizing);
+
+        // Show modal
+        overlay.classList.add('active');
+    }
+
+    // Load Profile & Self-Consumption
+    setupLoadProfileControls() {
+        const loadProfileType = document.getElementById('loadProfileType');
+        const loadProfileFile = document.getElementById('loadProfileFile');
+        const consumptionInput = document.getElementById('finAnnualConsumption');
+
+        if (loadProfileType) {
+            loadProfileType.addEventListener('change', () => {
+                if (loadProfileType.value === 'standard') {
+                    this.setLoadProfile(this.buildStandardLoadProfile(this.financialSettings.annualConsumption));
+                } else if (loadProfileType.value === 'upload') {
+                    loadProfileFile?.click();
+                } else {
+                    this.setLoadProfile(null);
+                }
+            });
+        }
+
+        if (loadProfileFile) {
+            loadProfileFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadLoadProfileFile(file);
+                }
+                e.target.value = '';
+            });
+        }
+
+        // The standard profile follows the household consumption input
+        if (consumptionInput) {
+            consumptionInput.addEventListener('change', () => {
+                if (this.loadProfile && this.loadProfile.source === 'standard') {
+                    this.setLoadProfile(this.buildStandardLoadProfile(this.financialSettings.annualConsumption));
+                }
+            });
+        }
+    }
+
+    setLoadProfile(profile) {
+        this.loadProfile = profile;
+
+        const status = document.getElementById('loadProfileStatus');
+        if (status) {
+            status.textContent = profile
+                ? `${profile.name} · ${Math.round(profile.annual).toLocaleString()} kWh/yr`
+                : 'Using the self-consumption ratio';
+        }
+
+        const loadProfileType = document.getElementById('loadProfileType');
+        if (loadProfileType) {
+            loadProfileType.value = profile ? (profile.source === 'standard' ? 'standard' : 'upload') : 'none';
+        }
+
+        this.updateZoneAnalysis();
+    }
+
+    buildStandardLoadProfile(annualConsumption) {
+        // Typical residential day: low overnight, morning bump, evening peak (share of daily use per hour)
+        const weekdayShape = [
+            0.025, 0.020, 0.018, 0.017, 0.018, 0.022, 0.035, 0.048, 0.045, 0.038, 0.036, 0.037,
+            0.040, 0.038, 0.035, 0.036, 0.042, 0.058, 0.072, 0.075, 0.068, 0.057, 0.045, 0.033
+        ];
+        const weekendShape = [
+            0.028, 0.022, 0.019, 0.017, 0.017, 0.019, 0.024, 0.033, 0.045, 0.052, 0.053, 0.054,
+            0.055, 0.050, 0.045, 0.043, 0.046, 0.056, 0.065, 0.066, 0.060, 0.052, 0.043, 0.035
+        ];
+
+        const series = this.getWeatherSeries();
+        const lat = series.location.lat;
+        const hourly = new Array(series.length).fill(0);
+
+        for (let i = 0; i < series.length; i++) {
+            const localTime = series.time[i] + Math.round(series.location.lon / 15) * 3600000;
+            const date = new Date(localTime);
+            const dayOfYear = Math.floor(i / 24) + 1;
+            const weekend = date.getUTCDay() === 0 || date.getUTCDay() === 6;
+            const shape = weekend ? weekendShape : weekdayShape;
+
+            // Homes use more in winter (lighting, heating auxiliaries); winter is mid-year south of the equator
+            const winterDay = lat >= 0 ? 15 : 196;
+            const seasonal = 1 + 0.2 * Math.cos(2 * Math.PI * (dayOfYear - winterDay) / 365);
+
+            hourly[i] = shape[date.getUTCHours()] * seasonal;
+        }
+
+        return this.scaleLoadProfile({ source: 'standard', name: 'Standard residential profile', hourly }, annualConsumption);
+    }
+
+    scaleLoadProfile(profile, annualConsumption) {
+        const total = profile.hourly.reduce((sum, value) => sum + value, 0);
+        const scale = total > 0 ? annualConsumption / total : 0;
+
+        profile.hourly = profile.hourly.map(value => value * scale);
+        profile.annual = annualConsumption;
+        return profile;
+    }
+
+    async loadLoadProfileFile(file) {
+        try {
+            const text = await file.text();
+            const profile = this.parseLoadProfileCsv(text, file.name);
+            this.setLoadProfile(profile);
+            this.showMessage(`Loaded consumption data from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('❌ Error loading load profile:', error);
+            this.showMessage(`Could not read consumption file: ${error.message}`, 'error');
+            this.setLoadProfile(this.loadProfile);
+        }
+    }
+
+    parseLoadProfileCsv(text, fileName = 'consumption.csv') {
+        const lines = text.replace(/\r/g, '').split('\n').filter(line => line.trim());
+        const delimiter = (lines[0].match(/;/g) || []).length > (lines[0].match(/,/g) || []).length ? ';' : ',';
+        const header = lines[0].toLowerCase().split(delimiter).map(c => c.trim().replace(/"/g, ''));
+
+        const timeColumn = header.findIndex(c => /time|date|interval|start/.test(c));
+        const valueColumn = header.findIndex((c, i) => i !== timeColumn && /kwh|consumption|energy|load|kw|value|usage/.test(c));
+        if (timeColumn === -1 || valueColumn === -1) {
+            throw new Error('Expected a timestamp column and a consumption column');
+        }
+
+        // A kW column is average power; kWh (or unlabelled) is energy per interval
+        const isPower = /\bkw\b|power/.test(header[valueColumn]) && !/kwh/.test(header[valueColumn]);
+
+        const readings = lines.slice(1).map(line => {
+            const fields = line.split(delimiter).map(f => f.trim().replace(/"/g, ''));
+            const timestamp = fields[timeColumn] || '';
+
+            // Meter exports use naive local timestamps; keep the clock time as-is
+            return {
+                time: Date.parse(/[zZ]|[+-]\d{2}:?\d{2}$/.test(timestamp) ? timestamp : `${timestamp.replace(' ', 'T')}Z`),
+                value: parseFloat((fields[valueColumn] || '').replace(',', '.'))
+            };
+        }).filter(reading => !isNaN(reading.time) && !isNaN(reading.value));
+
+        if (readings.length < 2) {
+            throw new Error('No readings found');
+        }
+
+        // Detect 15-minute versus hourly data from the reading spacing
+        const intervalHours = Math.max((readings[1].time - readings[0].time) / 3600000, 0.25);
+
+        // Sum readings into absolute hours (meter timestamps are local clock time)
+        const hourTotals = new Map();
+        readings.forEach(reading => {
+            const hour = Math.floor(reading.time / 3600000);
+            const energy = isPower ? reading.value * intervalHours : reading.value;
+            hourTotals.set(hour, (hourTotals.get(hour) || 0) + energy);
+        });
+
+        if (hourTotals.size < 30 * 24) {
+            throw new Error('At least 30 days of readings are needed');
+        }
+
+        // Fold onto the typical year used by the weather series, averaging repeated years
+        const series = this.getWeatherSeries();
+        const offsetHours = Math.round(series.location.lon / 15);
+        const sums = new Array(series.length).fill(0);
+        const counts = new Array(series.length).fill(0);
+        const yearStart = Date.UTC(2023, 0, 1);
+
+        hourTotals.forEach((energy, hour) => {
+            const date = new Date((hour - offsetHours) * 3600000);
+            if (date.getUTCMonth() === 1 && date.getUTCDate() === 29) return;
+            const reference = Date.UTC(2023, date.getUTCMonth(), date.getUTCDate(), date.getUTCHours());
+            const index = Math.round((reference - yearStart) / 3600000);
+            sums[index] += energy;
+            counts[index]++;
+        });
+
+        // Fill unmeasured hours from the standard profile, scaled to this household's level
+        const standard = this.buildStandardLoadProfile(1000);
+        let measuredTotal = 0;
+        let standardTotal = 0;
+        sums.forEach((sum, i) => {
+            if (counts[i] > 0) {
+                measuredTotal += sum / counts[i];
+                standardTotal += standard.hourly[i];
+            }
+        });
+        const fillScale = standardTotal > 0 ? measuredTotal / standardTotal : 0;
+
+        const hourly = sums.map((sum, i) => (counts[i] > 0 ? sum / counts[i] : standard.hourly[i] * fillScale));
+        const measuredHours = counts.filter(count => count > 0).length;
+
+        return {
+            source: 'upload',
+            name: fileName,
+            hourly: hourly,
+            annual: hourly.reduce((sum, value) => sum + value, 0),
+            measuredHours: measuredHours
+        };
+    }
+
+    calculateSelfConsumption(productionHourly, loadHourly) {
+        const hourlySelfConsumed = productionHourly.map((production, i) => Math.min(production, loadHourly[i] || 0));
+
+        const production = productionHourly.reduce((sum, value) => sum + value, 0);
+        const consumption = loadHourly.reduce((sum, value) => sum + value, 0);
+        const selfConsumed = hourlySelfConsumed.reduce((sum, value) => sum + value, 0);
+
+        return {
+            production: production,
+            consumption: consumption,
+            selfConsumed: selfConsumed,
+            gridImport: consumption - selfConsumed,
+            gridExport: production - selfConsumed,
+            selfConsumptionRate: production > 0 ? selfConsumed / production : 0,
+            selfSufficiency: consumption > 0 ? selfConsumed / consumption : 0,
+            hourlySelfConsumed: hourlySelfConsumed
+        };
+    }
+
+    // Battery Storage
+    setupBatteryControls() {
+        const batteryInputs = {
+            batteryCapacity: 'capacity',
+            batteryDepthOfDischarge: 'depthOfDischarge',
+            batteryEfficiency: 'roundTripEfficiency',
+            batteryChargePower: 'maxChargePower',
+            batteryDischargePower: 'maxDischargePower',
+            batteryCostPerKwh: 'costPerKwh',
+            batteryFixedCost: 'fixedCost',
+            batterySizingCriterion: 'sizingCriterion'
+        };
+        const percentSettings = ['depthOfDischarge', 'roundTripEfficiency'];
+
+        const batteryEnabled = document.getElementById('batteryEnabled');
+        if (batteryEnabled) {
+            batteryEnabled.addEventListener('change', () => {
+                this.batterySettings.enabled = batteryEnabled.checked;
+                this.updateZoneAnalysis();
+            });
+        }
+
+        Object.entries(batteryInputs).forEach(([id, setting]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                if (setting === 'sizingCriterion') {
+                    this.batterySettings.sizingCriterion = input.value;
+                } else {
+                    const value = parseFloat(input.value);
+                    if (isNaN(value)) return;
+                    this.batterySettings[setting] = percentSettings.includes(setting)
+                        ? Math.min(Math.max(value, 1), 100) / 100
+                        : Math.max(value, 0);
+                }
+                this.updateZoneAnalysis();
+            });
+        });
+
+        const recommendBtn = document.getElementById('batteryRecommendBtn');
+        if (recommendBtn) {
+            recommendBtn.addEventListener('click', () => {
+                this.applyRecommendedBattery();
+            });
+        }
+    }
+
+    getHouseholdLoad() {
+        // Fall back to the standard profile so a battery can be evaluated without meter data
+        return this.loadProfile || this.buildStandardLoadProfile(this.financialSettings.annualConsumption);
+    }
+
+    calculateBatteryCost(capacity) {
+        return capacity > 0 ? capacity * this.batterySettings.costPerKwh + this.batterySettings.fixedCost : 0;
+    }
+
+    simulateBatteryDispatch(productionHourly, loadHourly, battery) {
+        // Self-consumption dispatch: charge from surplus, discharge to cover demand
+        const usableCapacity = battery.capacity * battery.depthOfDischarge;
+        const oneWayEfficiency = Math.sqrt(battery.roundTripEfficiency);
+
+        const hourlySelfConsumed = new Array(productionHourly.length).fill(0);
+        let stateOfCharge = 0;
+        let gridImport = 0;
+        let gridExport = 0;
+        let throughput = 0;
+
+        productionHourly.forEach((production, i) => {
+            const load = loadHourly[i] || 0;
+            const direct = Math.min(production, load);
+            const surplus = production - direct;
+            const deficit = load - direct;
+
+            const charge = Math.min(surplus, battery.maxChargePower, (usableCapacity - stateOfCharge) / oneWayEfficiency);
+            stateOfCharge += charge * oneWayEfficiency;
+
+            const discharge = Math.min(deficit, battery.maxDischargePower, stateOfCharge * oneWayEfficiency);
+            stateOfCharge -= discharge / oneWayEfficiency;
+
+            hourlySelfConsumed[i] = direct + discharge;
+            gridExport += surplus - charge;
+            gridImport += deficit - discharge;
+            throughput += discharge;
+        });
+
+        const production = productionHourly.reduce((sum, value) => sum + value, 0);
+        const consumption = loadHourly.reduce((sum, value) => sum + value, 0);
+        const selfConsumed = hourlySelfConsumed.reduce((sum, value) => sum + value, 0);
+
+        return {
+            production: production,
+            consumption: consumption,
+            selfConsumed: selfConsumed,
+            gridImport: gridImport,
+            gridExport: gridExport,
+            selfConsumptionRate: production > 0 ? (production - gridExport) / production : 0,
+            selfSufficiency: consumption > 0 ? selfConsumed / consumption : 0,
+            hourlySelfConsumed: hourlySelfConsumed,
+            batteryDischarged: throughput,
+            equivalentCycles: usableCapacity > 0 ? throughput / usableCapacity : 0
+        };
+    }
+
+    sizeBattery(productionHourly) {
+        const loadHourly = this.getHouseholdLoad().hourly;
+        const series = this.getWeatherSeries();
+        const capacities = [0, 2.5, 5, 7.5, 10, 12.5, 15, 20];
+
+        const valueOf = match => match.hourlySelfConsumed.reduce(
+            (sum, energy, i) => sum + energy * this.getImportTariff(this.getLocalHour(series, i)), 0
+        ) + match.gridExport * this.financialSettings.exportTariff;
+
+        const baseline = this.calculateSelfConsumption(productionHourly, loadHourly);
+        const baselineValue = valueOf(baseline);
+
+        const options = capacities.map(capacity => {
+            const match = capacity > 0
+                ? this.simulateBatteryDispatch(productionHourly, loadHourly, { ...this.batterySettings, capacity })
+                : baseline;
+            const annualSavings = valueOf(match) - baselineValue;
+            const cost = this.calculateBatteryCost(capacity);
+
+            return {
+                capacity: capacity,
+                selfSufficiency: match.selfSufficiency,
+                selfConsumptionRate: match.selfConsumptionRate,
+                annualSavings: annualSavings,
+                cost: cost,
+                payback: capacity > 0 && annualSavings > 0 ? cost / annualSavings : null
+            };
+        });
+
+        const candidates = options.filter(option => option.capacity > 0);
+        let recommended;
+
+        if (this.batterySettings.sizingCriterion === 'selfSufficiency') {
+            // Smallest battery that captures 90% of the achievable self-sufficiency gain
+            const best = Math.max(...candidates.map(option => option.selfSufficiency));
+            const target = baseline.selfSufficiency + 0.9 * (best - baseline.selfSufficiency);
+            recommended = candidates.find(option => option.selfSufficiency >= target) || candidates[candidates.length - 1];
+        } else {
+            // Shortest payback that still pays back within the battery's useful life
+            recommended = candidates
+                .filter(option => option.payback !== null && option.payback <= this.financialSettings.lifetime)
+                .sort((a, b) => a.payback - b.payback)[0] || null;
+        }
+
+        return { options, recommended };
+    }
+
+    applyRecommendedBattery() {
+        if (this.drawingZones.length === 0) {
+            this.showMessage('Please draw some solar zones first.', 'warning');
+            return;
+        }
+
+        const sizing = this.sizeBattery(this.runSimulation().hourly);
+        if (!sizing.recommended) {
+            this.showMessage('No battery size pays back within the system lifetime at current tariffs.', 'warning');
+            return;
+        }
+
+        this.batterySettings.enabled = true;
+        this.batterySettings.capacity = sizing.recommended.capacity;
+
+        const batteryEnabled = document.getElementById('batteryEnabled');
+        const batteryCapacity = document.getElementById('batteryCapacity');
+        if (batteryEnabled) batteryEnabled.checked = true;
+        if (batteryCapacity) batteryCapacity.value = sizing.recommended.capacity;
+
+        this.updateZoneAnalysis();
+        this.showMessage(`Recommended battery: ${sizing.recommended.capacity} kWh`, 'success');
+    }
+
+    updateBatteryStats(simulation) {
+        const statsRow = document.getElementById('batteryStats');
+        if (!statsRow) return;
+
+        if (!simulation || !this.batterySettings.enabled) {
+            statsRow.style.display = 'none';
+            return;
+        }
+
+        const dispatch = this.simulateBatteryDispatch(simulation.hourly, this.getHouseholdLoad().hourly, this.batterySettings);
+
+        statsRow.style.display = '';
+        document.getElementById('batteryCapacityStat').textContent = `${this.batterySettings.capacity} kWh`;
+        document.getElementById('batterySelfSufficiency').textContent = `${(dispatch.selfSufficiency * 100).toFixed(0)}%`;
+        document.getElementById('batteryCycles').textContent = `${dispatch.equivalentCycles.toFixed(0)} /yr`;
+        document.getElementById('batteryDischarged').textContent = `${dispatch.batteryDischarged.toFixed(0)} kWh`;
+    }
+
+    renderBatterySizing(sizing) {
+        const container = document.getElementById('modalBattery');
+        if (!container) return;
+
+        if (!sizing) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = sizing.options.map(option => `
+            <tr class="${sizing.recommended && option.capacity === sizing.recommended.capacity ? 'recommended' : ''}">
+                <td>${option.capacity} kWh</td>
+                <td>${(option.selfSufficiency * 100).toFixed(0)}%</td>
+                <td>${this.formatCurrency(option.cost)}</td>
+                <td>${this.formatCurrency(option.annualSavings)}</td>
+                <td>${option.payback !== null ? `${option.payback.toFixed(1)} yrs` : '—'}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <h4><i class="fas fa-battery-three-quarters"></i> Battery Sizing</h4>
+            <p class="battery-recommendation">${sizing.recommended
+                ? `Recommended: <strong>${sizing.recommended.capacity} kWh</strong> by ${this.batterySettings.sizingCriterion === 'payback' ? 'payback' : 'self-sufficiency'}`
+                : 'No battery pays back within the system lifetime at current tariffs'}</p>
+            <div class="cash-flow-table-wrapper">
+                <table class="cash-flow-table">
+                    <thead>
+                        <tr><th>Capacity</th><th>Self-sufficiency</th><th>Cost</th><th>Savings/yr</th><th>Payback</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // Financial Model
+    setupFinancialControls() {
+        const financialInputs = {
+            finCostPerKw: 'costPerKw',
+            finTariffType: 'tariffType',
+            finImportTariff: 'importTariff',
+            finPeakTariff: 'peakTariff',
+            finOffPeakTariff: 'offPeakTariff',
+            finExportTariff: 'exportTariff',
+            finAnnualConsumption: 'annualConsumption',
+            finSelfConsumption: 'selfConsumptionRatio',
+            finDegradation: 'degradation',
+            finOmCost: 'omCostPerKw',
+            finInflation: 'inflation',
+            finDiscountRate: 'discountRate'
+        };
+
+        // These inputs are entered as percentages; every input is held to its own min/max
+        const percentSettings = ['selfConsumptionRatio', 'degradation', 'inflation', 'discountRate'];
+
+        Object.entries(financialInputs).forEach(([id, setting]) => {
+            const input = document.getElementById(id);
+            if (!input) return;
+
+            input.addEventListener('change', () => {
+                if (setting === 'tariffType') {
+                    this.financialSettings.tariffType = input.value === 'tou' ? 'tou' : 'flat';
+                    this.updateTariffInputs();
+                    this.refreshFinancialResults();
+                    this.scheduleAutosave();
+                    return;
+                }
+
+                const value = parseFloat(input.value);
+                if (isNaN(value)) return;
+
+                const min = parseFloat(input.min);
+                const max = parseFloat(input.max);
+                const clamped = Math.min(Math.max(value, isNaN(min) ? 0 : min), isNaN(max) ? Infinity : max);
+                input.value = clamped;
+
+                this.financialSettings[setting] = percentSettings.includes(setting) ? clamped / 100 : clamped;
+                this.refreshFinancialResults();
+                this.scheduleAutosave();
+            });
+        });
+
+        this.updateTariffInputs();
+    }
+
+    updateTariffInputs() {
+        const timeOfUse = this.financialSettings.tariffType === 'tou';
+
+        document.querySelectorAll('.tariff-flat').forEach(el => {
+            el.style.display = timeOfUse ? 'none' : '';
+        });
+        document.querySelectorAll('.tariff-tou').forEach(el => {
+            el.style.display = timeOfUse ? '' : 'none';
+        });
+    }
+
+    getImportTariff(localHour) {
+        const settings = this.financialSettings;
+        if (settings.tariffType !== 'tou') {
+            return settings.importTariff;
+        }
+
+        const inPeak = settings.peakStartHour <= settings.peakEndHour
+            ? localHour >= settings.peakStartHour && localHour < settings.peakEndHour
+            : localHour >= settings.peakStartHour || localHour < settings.peakEndHour;
+
+        return inPeak ? settings.peakTariff : settings.offPeakTariff;
+    }
+
+    getLocalHour(series, index) {
+        // Approximate local clock time from longitude; good enough for tariff windows
+        return Math.floor((new Date(series.time[index]).getUTCHours() + Math.round(series.location.lon / 15) + 24) % 24);
+    }
+
+    calculateEnergyValue(production) {
+        const settings = this.financialSettings;
+
+        // With a household load profile or a battery, match production against demand hour by hour
+        if ((this.loadProfile || this.batterySettings.enabled) && production.hourly) {
+            const series = this.getWeatherSeries();
+            const loadHourly = this.getHouseholdLoad().hourly;
+            const match = this.batterySettings.enabled
+                ? this.simulateBatteryDispatch(production.hourly, loadHourly, this.batterySettings)
+                : this.calculateSelfConsumption(production.hourly, loadHourly);
+
+            const importSavings = match.hourlySelfConsumed.reduce(
+                (sum, energy, i) => sum + energy * this.getImportTariff(this.getLocalHour(series, i)), 0
+            );
+
+            return {
+                selfConsumed: match.selfConsumed,
+                exported: match.gridExport,
+                importSavings: importSavings,
+                exportRevenue: match.gridExport * settings.exportTariff
+            };
+        }
+
+        // Self-consumed energy can never exceed what the household uses
+        const selfConsumed = Math.min(production.annual * settings.selfConsumptionRatio, settings.annualConsumption);
+        const exported = Math.max(production.annual - selfConsumed, 0);
+
+        // Weight the import price by when the panels actually produce
+        let importPrice = settings.importTariff;
+        if (settings.tariffType === 'tou' && production.hourly) {
+            const series = this.getWeatherSeries();
+            let weightedPrice = 0;
+            let total = 0;
+
+            production.hourly.forEach((energy, i) => {
+                if (energy <= 0) return;
+                weightedPrice += energy * this.getImportTariff(this.getLocalHour(series, i));
+                total += energy;
+            });
+
+            importPrice = total > 0 ? weightedPrice / total : settings.importTariff;
+        }
+
+        return {
+            selfConsumed: selfConsumed,
+            exported: exported,
+            importSavings: selfConsumed * importPrice,
+            exportRevenue: exported * settings.exportTariff
+        };
+    }
+
+    calculateFinancials(production) {
+        const settings = this.financialSettings;
+        const batteryCost = this.batterySettings.enabled ? this.calculateBatteryCost(this.batterySettings.capacity) : 0;
+        const systemCost = production.kWp * settings.costPerKw + batteryCost;
+        const energyValue = this.calculateEnergyValue(production);
+        const firstYearSavings = energyValue.importSavings + energyValue.exportRevenue;
+
+        const cashFlows = [{
+            year: 0,
+            production: 0,
+            savings: 0,
+            omCost: 0,
+            netCashFlow: -systemCost,
+            cumulative: -systemCost,
+            discounted: -systemCost
+        }];
+
+        let cumulative = -systemCost;
+        let npv = -systemCost;
+        let discountedCost = systemCost;
+        let discountedEnergy = 0;
+        let paybackPeriod = null;
+
+        for (let year = 1; year <= settings.lifetime; year++) {
+            const degradation = Math.pow(1 - settings.degradation, year - 1);
+            const escalation = Math.pow(1 + settings.inflation, year - 1);
+            const discount = Math.pow(1 + settings.discountRate, year);
+
+            const energy = production.annual * degradation;
+            const savings = firstYearSavings * degradation * escalation;
+            const omCost = production.kWp * settings.omCostPerKw * escalation;
+            const netCashFlow = savings - omCost;
+
+            // Interpolate the payback within the year the cumulative turns positive
+            if (paybackPeriod === null && cumulative + netCashFlow >= 0 && netCashFlow > 0) {
+                paybackPeriod = year - 1 + (-cumulative / netCashFlow);
+            }
+
+            cumulative += netCashFlow;
+            npv += netCashFlow / discount;
+            discountedCost += omCost / discount;
+            discountedEnergy += energy / discount;
+
+            cashFlows.push({
+                year,
+                production: energy,
+                savings,
+                omCost,
+                netCashFlow,
+                cumulative,
+                discounted: netCashFlow / discount
+            });
+        }
+
+        return {
+            systemCost,
+            batteryCost,
+            firstYearSavings,
+            selfConsumed: energyValue.selfConsumed,
+            exported: energyValue.exported,
+            cashFlows,
+            paybackPeriod,
+            npv,
+            irr: this.calculateIrr(cashFlows.map(flow => flow.netCashFlow)),
+            lcoe: discountedEnergy > 0 ? discountedCost / discountedEnergy : null
+        };
+    }
+
+    calculateIrr(cashFlows) {
+        const npvAt = rate => cashFlows.reduce((sum, flow, year) => sum + flow / Math.pow(1 + rate, year), 0);
+
+        // Bisection is robust for the single sign change of an investment cash flow
+        let low = -0.99;
+        let high = 1;
+        if (npvAt(low) * npvAt(high) > 0) return null;
+
+        for (let i = 0; i < 100; i++) {
+            const mid = (low + high) / 2;
+            if (npvAt(low) * npvAt(mid) <= 0) {
+                high = mid;
+            } else {
+                low = mid;
+            }
+        }
+
+        return (low + high) / 2;
+    }
+
+    formatCurrency(value) {
+        return `€${Math.round(value).toLocaleString()}`;
+    }
+
+    refreshFinancialResults() {
+        // Results already on screen follow the settings rather than keep figures from before the change
+        const results = this.optimizationResults;
+        if (!results || !results.simulation) return;
+
+        const financials = this.calculateFinancials(results.simulation);
+        Object.assign(results, {
+            monthlySavings: Math.round(financials.firstYearSavings / 12),
+            systemCost: Math.round(financials.systemCost),
+            paybackPeriod: financials.paybackPeriod !== null ? financials.paybackPeriod.toFixed(1) : 'N/A',
+            financials: financials
+        });
+        this.renderFinancialSummary(financials);
+    }
+
+    renderFinancialSummary(financials) {
+        const container = document.getElementById('modalFinancials');
+        if (!container) return;
+
+        if (!financials) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const rows = financials.cashFlows.map(flow => `
+            <tr>
+                <td>${flow.year}</td>
+                <td>${Math.round(flow.production).toLocaleString()}</td>
+                <td>${this.formatCurrency(flow.savings)}</td>
+                <td>${this.formatCurrency(flow.omCost)}</td>
+                <td>${this.formatCurrency(flow.netCashFlow)}</td>
+                <td class="${flow.cumulative >= 0 ? 'positive' : 'negative'}">${this.formatCurrency(flow.cumulative)}</td>
+            </tr>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="financial-metrics">
+                <div class="financial-metric">
+                    <span class="financial-label">System Cost</span>
+                    <span class="financial-value">${this.formatCurrency(financials.systemCost)}</span>
                 </div>
-                
-                <div class="solar-metric-card">
-                    <div class="metric-header">
-                        <i class="fas fa-compass"></i>
-                        <span class="metric-title">Orientation</span>
-                    </div>
-                    <div class="metric-value">${metrics.recommendedOrientation}</div>
-                    <div class="metric-detail">Maximum sun exposure</div>
+                <div class="financial-metric">
+                    <span class="financial-label">Year 1 Savings</span>
+                    <span class="financial-value">${this.formatCurrency(financials.firstYearSavings)}</span>
                 </div>
-                
-                <div class="solar-metric-card">
-                    <div class="metric-header">
-                        <i class="fas fa-calendar-alt"></i>
-                        <span class="metric-title">Seasonal Variation</span>
-                    </div>
-                    <div class="metric-value">${metrics.winterHours}h - ${metrics.summerHours}h</div>
-                    <div class="metric-detail">Winter to Summer range</div>
+                <div class="financial-metric">
+                    <span class="financial-label">Payback</span>
+                    <span class="financial-value">${financials.paybackPeriod !== null ? `${financials.paybackPeriod.toFixed(1)} yrs` : 'Never'}</span>
+                </div>
+                <div class="financial-metric">
+                    <span class="financial-label">NPV</span>
+                    <span class="financial-value">${this.formatCurrency(financials.npv)}</span>
+                </div>
+                <div class="financial-metric">
+                    <span class="financial-label">IRR</span>
+                    <span class="financial-value">${financials.irr !== null ? `${(financials.irr * 100).toFixed(1)}%` : 'N/A'}</span>
+                </div>
+                <div class="financial-metric">
+                    <span class="financial-label">LCOE</span>
+                    <span class="financial-value">${financials.lcoe !== null ? `€${financials.lcoe.toFixed(3)}/kWh` : 'N/A'}</span>
                 </div>
             </div>
+            <details class="cash-flow-details">
+                <summary>${this.financialSettings.lifetime}-year cash flow</summary>
+                <div class="cash-flow-table-wrapper">
+                    <table class="cash-flow-table">
+                        <thead>
+                            <tr><th>Year</th><th>kWh</th><th>Savings</th><th>O&amp;M</th><th>Net</th><th>Cumulative</th></tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </details>
         `;
     }
 
-    updateSunlightDisplay(period) {
-        if (!this.sunlightData) return;
+    // Project Persistence
+    setupProjectControls() {
+        const projectsToggle = document.getElementById('projectsToggle');
+        const projectListPanel = document.getElementById('projectListPanel');
+        const newProjectBtn = document.getElementById('newProjectBtn');
+        const projectList = document.getElementById('projectList');
+
+        if (projectsToggle && projectListPanel) {
+            projectsToggle.addEventListener('click', () => {
+                const opening = projectListPanel.style.display === 'none';
+                projectListPanel.style.display = opening ? 'block' : 'none';
+                if (opening) {
+                    this.renderProjectList();
+                }
+            });
+        }
+
+        if (newProjectBtn) {
+            newProjectBtn.addEventListener('click', () => {
+                this.newProject();
+            });
+        }
+
+        // One delegated handler serves the buttons of every rendered project row
+        if (projectList) {
+            projectList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-project-action]');
+                const row = e.target.closest('[data-project-id]');
+                if (!button || !row) return;
+
+                const projectId = row.dataset.projectId;
+                switch (button.dataset.projectAction) {
+                    case 'open':
+                        this.openProject(projectId);
+                        break;
+                    case 'duplicate':
+                        this.duplicateProject(projectId);
+                        break;
+                    case 'rename':
+                        this.startProjectRename(row, projectId);
+                        break;
+                    case 'delete':
+                        if (window.confirm('Delete this project? This cannot be undone.')) {
+                            this.deleteProject(projectId);
+                        }
+                        break;
+                }
+            });
+        }
+
+        // The last project is reopened once the analyzer map exists
+        this.pendingProjectId = this.readStorage('solarvision.lastProject');
+
+        // Don't lose the last few changes when the tab closes inside the autosave delay
+        window.addEventListener('beforeunload', () => {
+            if (this.autosaveTimer) {
+                clearTimeout(this.autosaveTimer);
+                this.saveCurrentProject();
+            }
+        });
+    }
+
+    getProjectStorage() {
+        // Private browsing and file:// pages may refuse localStorage altogether
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    readStorage(key) {
+        const storage = this.getProjectStorage();
+        return storage ? storage.getItem(key) : null;
+    }
+
+    getProjectIndex() {
+        try {
+            const index = JSON.parse(this.readStorage('solarvision.projects') || '[]');
+            return Array.isArray(index) ? index : [];
+        } catch (error) {
+            console.warn('Project index is corrupt, starting a new one:', error);
+            return [];
+        }
+    }
+
+    readProject(projectId) {
+        const text = this.readStorage(`solarvision.project.${projectId}`);
+        if (!text) return null;
+        return this.unpackProjectSeries(this.migrateProject(JSON.parse(text)));
+    }
+
+    writeProject(project) {
+        const storage = this.getProjectStorage();
+        if (!storage) return false;
+
+        const previous = this.getProjectIndex().find(item => item.id === project.id);
+        let packed;
+        try {
+            packed = this.packProjectSeries(project);
+        } catch (error) {
+            console.error('❌ Error saving project data:', error);
+            this.showMessage('Could not save the project: browser storage is full.', 'error');
+            return false;
+        }
+
+        // The index keeps what the project list shows so it never has to parse every document
+        const entry = {
+            id: project.id,
+            name: project.name,
+            updatedAt: project.updatedAt,
+            address: project.location ? project.location.address : null,
+            location: project.location ? { lat: project.location.lat, lon: project.location.lon } : null,
+            status: project.status || 'lead',
+            summary: project.summary,
+            series: packed.series
+        };
+        const index = this.getProjectIndex().filter(item => item.id !== project.id);
+        index.unshift(entry);
+
+        try {
+            storage.setItem(`solarvision.project.${project.id}`, JSON.stringify(packed.project));
+            storage.setItem('solarvision.projects', JSON.stringify(index));
+            // A replaced weather file or load profile may have been the last use of its series
+            if (previous && (previous.series || []).join() !== packed.series.join()) {
+                this.pruneSharedSeries();
+            }
+            return true;
+        } catch (error) {
+            console.error('❌ Error saving project:', error);
+            this.showMessage('Could not save the project: browser storage is full.', 'error');
+            return false;
+        }
+    }
+
+    // Uploaded weather files and load profiles run to hundreds of kilobytes, so each distinct series
+    // is stored once under a content key and project documents keep only that key
+    packProjectSeries(project) {
+        const packed = { ...project };
+        const series = [];
+
+        if (Array.isArray(project.weather?.ghi)) {
+            const { ghi, dni, dhi, temperature, ...weather } = project.weather;
+            weather.series = this.storeSharedSeries({ ghi, dni, dhi, temperature });
+            packed.weather = weather;
+            series.push(weather.series);
+        }
+        if (Array.isArray(project.loadProfile?.hourly)) {
+            const { hourly, ...loadProfile } = project.loadProfile;
+            loadProfile.series = this.storeSharedSeries({ hourly });
+            packed.loadProfile = loadProfile;
+            series.push(loadProfile.series);
+        }
+
+        return { project: packed, series };
+    }
+
+    unpackProjectSeries(project) {
+        // A missing series leaves the project without it, as if nothing had been uploaded
+        ['weather', 'loadProfile'].forEach(field => {
+            if (!project[field]?.series) return;
+            const { series, ...rest } = project[field];
+            const data = this.readSharedSeries(series);
+            project[field] = data ? { ...rest, ...data } : null;
+        });
+        return project;
+    }
+
+    storeSharedSeries(data) {
+        const text = JSON.stringify(data);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193);
+        }
+
+        // FNV-1a plus the length; a colliding slot with different content moves to the next suffix
+        const storage = this.getProjectStorage();
+        const base = `solarvision.series.${(hash >>> 0).toString(36)}.${text.length.toString(36)}`;
+        let key = base;
+        for (let suffix = 1; ; suffix++) {
+            const existing = storage.getItem(key);
+            if (existing === null) {
+                storage.setItem(key, text);
+                return key;
+            }
+            if (existing === text) return key;
+            key = `${base}.${suffix}`;
+        }
+    }
+
+    readSharedSeries(key) {
+        try {
+            const text = this.readStorage(key);
+            return text ? JSON.parse(text) : null;
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable series ${key}:`, error);
+            return null;
+        }
+    }
+
+    pruneSharedSeries() {
+        const storage = this.getProjectStorage();
+        if (!storage) return;
+
+        // Used keys come from the documents themselves: an index write that failed must not orphan them
+        const used = new Set();
+        const seriesKeys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            if (!key) continue;
+            if (key.startsWith('solarvision.series.')) {
+                seriesKeys.push(key);
+            } else if (key.startsWith('solarvision.project.')) {
+                try {
+                    const project = JSON.parse(storage.getItem(key));
+                    [project?.weather?.series, project?.loadProfile?.series].forEach(series => {
+                        if (series) used.add(series);
+                    });
+                } catch (error) {
+                    // An unreadable document keeps every series; it cannot say which ones it needs
+                    console.warn(`⚠️ Not pruning series, unreadable project ${key}:`, error);
+                    return;
+                }
+            }
+        }
+        seriesKeys.filter(key => !used.has(key)).forEach(key => storage.removeItem(key));
+    }
+
+    scheduleAutosave() {
+        if (this.restoringProject) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            this.autosaveTimer = null;
+            this.saveCurrentProject();
+        }, 1000);
+    }
+
+    saveCurrentProject() {
+        // Nothing worth keeping until there is a location or a zone
+        if (!this.currentLocation && this.drawingZones.length === 0) return null;
+
+        if (!this.currentProject) {
+            const now = new Date().toISOString();
+            this.currentProject = {
+                id: `project_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+                name: this.currentLocation ? this.currentLocation.address.split(',')[0] : 'Untitled project',
+                createdAt: now,
+                status: 'lead'
+            };
+        }
+
+        const project = this.serializeProject();
+
+        // Skip the write when only the timestamp would change
+        const snapshot = JSON.stringify({ ...project, updatedAt: null });
+        if (snapshot === this.lastSavedSnapshot) return project;
+
+        if (!this.writeProject(project)) return null;
+
+        this.lastSavedSnapshot = snapshot;
+        this.getProjectStorage()?.setItem('solarvision.lastProject', project.id);
+        this.updateProjectStatus();
+
+        const projectListPanel = document.getElementById('projectListPanel');
+        if (projectListPanel && projectListPanel.style.display !== 'none') {
+            this.renderProjectList();
+        }
+
+        return project;
+    }
+
+    serializeProject() {
+        const center = this.map ? this.map.getCenter() : null;
+
+        return {
+            schema: 'solarvision-project',
+            version: this.projectSchemaVersion,
+            id: this.currentProject.id,
+            name: this.currentProject.name,
+            createdAt: this.currentProject.createdAt,
+            updatedAt: new Date().toISOString(),
+            status: this.currentProject.status,
+            location: this.currentLocation ? { ...this.currentLocation } : null,
+            view: center ? { center: [center.lat, center.lng], zoom: this.map.getZoom() } : null,
+            zones: {
+                type: 'FeatureCollection',
+                features: this.drawingZones.map(zone => this.serializeZone(zone))
+            },
+            obstacles: {
+                type: 'FeatureCollection',
+                features: this.obstacles.map(obstacle => {
+                    const feature = obstacle.layer.toGeoJSON();
+                    feature.properties = { id: obstacle.id, height: obstacle.height };
+                    return feature;
+                })
+            },
+            equipment: {
+                panelLayout: { ...this.panelLayoutDefaults },
+                simulation: { ...this.simulationSettings },
+                battery: { ...this.batterySettings },
+                stringing: { ...this.stringSettings },
+                // Datasheets travel with the project so it opens on a browser without the imported catalog
+                modules: this.drawingZones
+                    .map(zone => this.getModule(zone.moduleId))
+                    .filter((module, index, list) => module && list.indexOf(module) === index),
+                inverters: [this.getInverter(this.simulationSettings.inverterModel)].filter(Boolean)
+            },
+            financial: { ...this.financialSettings },
+            horizon: this.horizonProfile ? { ...this.horizonProfile, points: this.horizonProfile.points.map(point => ({ ...point })) } : null,
+            loadProfile: this.serializeLoadProfile(),
+            weather: this.serializeWeatherSeries(),
+            summary: this.summarizeProject()
+        };
+    }
+
+    serializeZone(zone) {
+        // Geometry is plain GeoJSON; everything the analyzer needs to rebuild the zone goes in properties
+        const feature = zone.layer.toGeoJSON();
+        feature.properties = {
+            id: zone.id,
+            type: zone.type,
+            tilt: zone.tilt,
+            azimuth: zone.azimuth,
+            panelCount: zone.panelCount,
+            moduleId: zone.moduleId,
+            panelWattage: zone.panelWattage,
+            temperatureCoefficient: zone.temperatureCoefficient,
+            noct: zone.noct,
+            layout: { ...zone.layout },
+            building: zone.building
+        };
+        return feature;
+    }
+
+    serializeLoadProfile() {
+        const profile = this.loadProfile;
+        if (!profile) return null;
+
+        // The standard profile is rebuilt from the consumption figure
+        if (profile.source === 'standard') {
+            return { source: 'standard', annual: profile.annual };
+        }
+
+        return {
+            source: profile.source,
+            name: profile.name,
+            annual: profile.annual,
+            measuredHours: profile.measuredHours,
+            hourly: profile.hourly.map(value => Math.round(value * 10000) / 10000)
+        };
+    }
+
+    serializeWeatherSeries() {
+        // Measured data is fetched again on open; an uploaded weather file is the only copy
+        const series = this.irradianceSeries;
+        if (!series || series.source === 'open-meteo') return null;
+
+        const round = values => values.map(value => (value === null ? null : Math.round(value * 10) / 10));
+        return {
+            source: series.source,
+            location: { ...series.location },
+            missingHours: series.missingHours,
+            ghi: round(series.ghi),
+            dni: round(series.dni),
+            dhi: round(series.dhi),
+            temperature: round(series.temperature)
+        };
+    }
+
+    summarizeProject() {
+        const kWp = this.drawingZones.reduce((sum, zone) => sum + (zone.panelCount * zone.panelWattage) / 1000, 0);
+        const summary = {
+            zones: this.drawingZones.length,
+            panels: this.drawingZones.reduce((sum, zone) => sum + zone.panelCount, 0),
+            kWp: Math.round(kWp * 100) / 100,
+            annualOutput: 0,
+            paybackPeriod: null
+        };
+
+        if (kWp > 0) {
+            const simulation = this.runSimulation();
+            const financials = this.calculateFinancials(simulation);
+            summary.annualOutput = Math.round(simulation.annual);
+            summary.paybackPeriod = financials.paybackPeriod;
+        }
+
+        return summary;
+    }
+
+    migrateProject(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Not a SolarVision project');
+        }
+
+        // Each step upgrades a document by exactly one version, keyed by the version it upgrades from;
+        // fields added later are optional and defaulted where they are read
+        const migrations = {};
+
+        let project = data;
+        const version = project.version;
+        if (project.schema !== 'solarvision-project' || !Number.isInteger(version) || version < 1) {
+            throw new Error('Not a SolarVision project');
+        }
+        if (version > this.projectSchemaVersion) {
+            throw new Error(`Project was saved by a newer version (schema ${version})`);
+        }
+
+        for (let step = version; step < this.projectSchemaVersion; step++) {
+            project = migrations[step](project);
+        }
+
+        return project;
+    }
+
+    openProject(projectId) {
+        let project;
+        try {
+            project = this.readProject(projectId);
+        } catch (error) {
+            console.error('❌ Error reading project:', error);
+            this.showMessage(`Could not open project: ${error.message}`, 'error');
+            return;
+        }
+
+        if (!project) {
+            this.showMessage('That project no longer exists.', 'warning');
+            this.renderProjectList();
+            return;
+        }
+
+        // Flush pending edits to the project being left
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+            this.saveCurrentProject();
+        }
+
+        this.restoreProject(project);
+        this.showMessage(`Opened project "${project.name}"`, 'success');
+    }
+
+    restoreProject(project) {
+        this.pendingProjectId = null;
+        this.restoringProject = true;
+
+        try {
+            if (!this.map) {
+                this.navigateToPage('analyzer');
+                this.initializeMap();
+            }
+
+            this.clearAllZones();
+            this.clearAllObstacles();
+
+            this.mergeEquipmentCatalog(project.equipment || {});
+            Object.assign(this.panelLayoutDefaults, project.equipment?.panelLayout);
+            Object.assign(this.simulationSettings, project.equipment?.simulation);
+            Object.assign(this.batterySettings, project.equipment?.battery);
+            Object.assign(this.stringSettings, project.equipment?.stringing);
+            Object.assign(this.financialSettings, project.financial);
+            this.syncSettingsInputs();
+
+            this.horizonProfile = project.horizon || null;
+            this.poaCache = {};
+            this.shadingCache = {};
+            this.updateHorizonControls();
+
+            this.currentProject = { id: project.id, name: project.name, createdAt: project.createdAt, status: project.status || 'lead' };
+            this.currentLocation = project.location ? { ...project.location } : null;
+
+            const addressInput = document.getElementById('addressInput');
+            if (addressInput) {
+                addressInput.value = this.currentLocation ? this.currentLocation.address : '';
+            }
+            this.updateLocationMarker();
+            this.loadBuildingFootprints();
+
+            if (this.currentLocation && this.map) {
+                const center = project.view?.center || [this.currentLocation.lat, this.currentLocation.lon];
+                this.map.setView(center, project.view?.zoom || 19);
+                this.showZoneAnalysisPanel();
+            }
+
+            // Weather must be in place before the zones are simulated
+            this.irradianceSeries = project.weather ? this.restoreWeatherSeries(project.weather) : null;
+            if (this.irradianceSeries) {
+                this.sunlightData = this.summarizeIrradianceSeries(this.irradianceSeries);
+                this.displaySunlightData();
+            }
+
+            this.setLoadProfile(this.restoreLoadProfile(project.loadProfile));
+
+            if (this.drawnItems) {
+                (project.obstacles?.features || []).forEach(feature => {
+                    const layer = this.createZoneLayer(feature);
+                    if (layer) {
+                        this.createObstacle(layer, feature.properties || {});
+                    }
+                });
+
+                (project.zones?.features || []).forEach(feature => {
+                    const layer = this.createZoneLayer(feature);
+                    if (layer) {
+                        this.createZone(layer, feature.properties?.type || 'polygon', feature.properties || {});
+                    }
+                });
+            }
+
+            this.updateSelectedZoneControls();
+            this.updateActionButtons();
+            this.updateZoneAnalysis();
+
+            this.lastSavedSnapshot = JSON.stringify({ ...this.serializeProject(), updatedAt: null });
+            this.getProjectStorage()?.setItem('solarvision.lastProject', project.id);
+        } finally {
+            this.restoringProject = false;
+        }
+
+        this.updateProjectStatus();
+
+        // Measured irradiance is not stored with the project
+        if (!project.weather && this.currentLocation) {
+            this.fetchSunlightData(this.currentLocation.lat, this.currentLocation.lon);
+        }
+    }
+
+    createZoneLayer(feature) {
+        const shapeOptions = {
+            color: '#6366f1',
+            fillColor: '#6366f1',
+            fillOpacity: 0.3,
+            weight: 3
+        };
+
+        const geometry = feature && feature.geometry;
+        if (!geometry || geometry.type !== 'Polygon' || !geometry.coordinates?.[0]?.length) {
+            return null;
+        }
+
+        // The outer ring is the zone outline and inner rings are keepouts; drop GeoJSON's closing vertex
+        const rings = geometry.coordinates.map(coordinates => {
+            const ring = coordinates.map(([lng, lat]) => L.latLng(lat, lng));
+            if (ring.length > 1 && ring[0].equals(ring[ring.length - 1])) {
+                ring.pop();
+            }
+            return ring;
+        });
+        if (rings[0].length < 3) return null;
+        const holes = rings.slice(1).filter(ring => ring.length >= 3);
+
+        if (feature.properties?.type === 'rectangle' && holes.length === 0) {
+            return L.rectangle(L.latLngBounds(rings[0]), shapeOptions);
+        }
+        return L.polygon(holes.length > 0 ? [rings[0], ...holes] : rings[0], shapeOptions);
+    }
+
+    restoreWeatherSeries(weather) {
+        const series = this.createHourlySeries(2023, weather.location.lat, weather.location.lon);
+        ['ghi', 'dni', 'dhi', 'temperature'].forEach(field => {
+            if (Array.isArray(weather[field]) && weather[field].length === series.length) {
+                series[field] = weather[field].slice();
+            }
+        });
+        this.fillMissingTemperatures(series);
+
+        series.source = weather.source;
+        series.key = `${weather.source}|${weather.location.lat.toFixed(4)}|${weather.location.lon.toFixed(4)}|${Date.now()}`;
+        series.missingHours = weather.missingHours || 0;
+        series.dailyTotals = [];
+        return series;
+    }
+
+    restoreLoadProfile(saved) {
+        if (!saved) return null;
+
+        if (saved.source === 'standard') {
+            return this.buildStandardLoadProfile(this.financialSettings.annualConsumption);
+        }
+
+        if (!Array.isArray(saved.hourly) || saved.hourly.length !== this.getWeatherSeries().length) {
+            return null;
+        }
+
+        return {
+            source: saved.source,
+            name: saved.name,
+            hourly: saved.hourly.slice(),
+            annual: saved.hourly.reduce((sum, value) => sum + value, 0),
+            measuredHours: saved.measuredHours
+        };
+    }
+
+    syncSettingsInputs() {
+        const setValue = (id, value) => {
+            const input = document.getElementById(id);
+            if (input && value !== undefined) {
+                input.value = value;
+            }
+        };
+        const percent = value => Math.round(value * 1000) / 10;
+
+        const simulation = this.simulationSettings;
+        setValue('simInverterAc', simulation.inverterAcRating || '');
+        setValue('simInverterEfficiency', percent(simulation.inverterEfficiency));
+        setValue('simSoilingLoss', percent(simulation.soilingLoss));
+        setValue('simWiringLoss', percent(simulation.wiringLoss));
+        setValue('simMismatchLoss', percent(simulation.mismatchLoss));
+        this.updateEquipmentControls();
+
+        const stringing = this.stringSettings;
+        setValue('stringMinDcAc', stringing.minDcAcRatio);
+        setValue('stringMaxDcAc', stringing.maxDcAcRatio);
+        setValue('stringRecordLow', stringing.recordLowTemperature ?? '');
+        setValue('stringRecordHigh', stringing.recordHighTemperature ?? '');
+
+        const battery = this.batterySettings;
+        const batteryEnabled = document.getElementById('batteryEnabled');
+        if (batteryEnabled) {
+            batteryEnabled.checked = battery.enabled;
+        }
+        setValue('batteryCapacity', battery.capacity);
+        setValue('batteryDepthOfDischarge', percent(battery.depthOfDischarge));
+        setValue('batteryEfficiency', percent(battery.roundTripEfficiency));
+        setValue('batteryChargePower', battery.maxChargePower);
+        setValue('batteryDischargePower', battery.maxDischargePower);
+        setValue('batteryCostPerKwh', battery.costPerKwh);
+        setValue('batteryFixedCost', battery.fixedCost);
+        setValue('batterySizingCriterion', battery.sizingCriterion);
+
+        const financial = this.financialSettings;
+        setValue('finCostPerKw', financial.costPerKw);
+        setValue('finTariffType', financial.tariffType);
+        setValue('finImportTariff', financial.importTariff);
+        setValue('finPeakTariff', financial.peakTariff);
+        setValue('finOffPeakTariff', financial.offPeakTariff);
+        setValue('finExportTariff', financial.exportTariff);
+        setValue('finAnnualConsumption', financial.annualConsumption);
+        setValue('finSelfConsumption', percent(financial.selfConsumptionRatio));
+        setValue('finDegradation', percent(financial.degradation));
+        setValue('finOmCost', financial.omCostPerKw);
+        setValue('finInflation', percent(financial.inflation));
+        setValue('finDiscountRate', percent(financial.discountRate));
+        this.updateTariffInputs();
+    }
+
+    clearAllZones() {
+        if (this.currentEditHandler) {
+            this.currentEditHandler.disable();
+            this.currentEditHandler = null;
+            this.hideEditActions();
+        }
+
+        this.drawingZones.forEach(zone => {
+            this.drawnItems?.removeLayer(zone.layer);
+            this.clearZonePanels(zone);
+        });
+
+        this.drawingZones = [];
+        this.zoneCounter = 0;
+        this.selectedZone = null;
+        this.clearZoneHistory();
+    }
+
+    newProject() {
+        if (this.autosaveTimer) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+            this.saveCurrentProject();
+        }
+
+        this.resetProjectWorkspace();
+        this.showMessage('Started a new project. Search for an address to begin.', 'info');
+    }
+
+    resetProjectWorkspace() {
+        this.restoringProject = true;
+        try {
+            this.clearAllZones();
+            this.clearAllObstacles();
+            this.currentProject = null;
+            this.currentLocation = null;
+            this.loadBuildingFootprints();
+            this.lastSavedSnapshot = null;
+            this.irradianceSeries = null;
+            this.horizonProfile = null;
+            this.poaCache = {};
+            this.updateHorizonControls();
+            this.setLoadProfile(null);
+
+            const addressInput = document.getElementById('addressInput');
+            if (addressInput) {
+                addressInput.value = '';
+            }
+            this.updateLocationMarker();
+
+            this.map?.setView([50.8503, 4.3517], 6);
+            this.updateSelectedZoneControls();
+            this.updateActionButtons();
+            this.updateZoneAnalysis();
+            this.hideZoneAnalysisPanel();
+        } finally {
+            this.restoringProject = false;
+        }
+
+        this.getProjectStorage()?.removeItem('solarvision.lastProject');
+        this.updateProjectStatus();
+        this.renderProjectList();
+    }
+
+    duplicateProject(projectId) {
+        let project;
+        try {
+            project = this.readProject(projectId);
+        } catch (error) {
+            console.error('❌ Error reading project:', error);
+            this.showMessage(`Could not duplicate project: ${error.message}`, 'error');
+            return;
+        }
+        if (!project) return;
+
+        const now = new Date().toISOString();
+        const copy = {
+            ...project,
+            id: `project_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            name: `${project.name} (copy)`,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        if (this.writeProject(copy)) {
+            this.renderProjectList();
+            this.showMessage(`Duplicated "${project.name}"`, 'success');
+        }
+    }
+
+    renameProject(projectId, name) {
+        const trimmed = name.trim();
+        let project;
+        try {
+            project = this.readProject(projectId);
+        } catch (error) {
+            console.error('❌ Error reading project:', error);
+            this.showMessage(`Could not rename project: ${error.message}`, 'error');
+            this.renderProjectList();
+            return;
+        }
+        if (!project || !trimmed || trimmed === project.name) {
+            this.renderProjectList();
+            return;
+        }
 
-        let periodData;
-        let dataSourceText;
+        project.name = trimmed;
+        project.updatedAt = new Date().toISOString();
 
-        // Calculate data based on selected period
-        switch (period) {
-            case '30days':
-                periodData = this.calculatePeriodData(30);
-                dataSourceText = 'Real weather data (last 30 days)';
-                break;
-            case '6months':
-                periodData = this.calculatePeriodData(180);
-                dataSourceText = 'Real weather data (last 6 months)';
-                break;
-            case '12months':
-            default:
-                periodData = this.calculatePeriodData(365);
-                dataSourceText = 'Real weather data (last 12 months)';
-                break;
+        if (this.writeProject(project) && this.currentProject && this.currentProject.id === projectId) {
+            this.currentProject.name = trimmed;
+            this.lastSavedSnapshot = JSON.stringify({ ...project, updatedAt: null });
+            this.updateProjectStatus();
         }
+        this.renderProjectList();
+    }
 
-        // Update display values
-        document.getElementById('sunlightDaily').textContent = `${periodData.daily}h`;
-        document.getElementById('sunlightWeekly').textContent = `${periodData.weekly}h`;
-        document.getElementById('sunlightMonthly').textContent = `${periodData.monthly}h`;
-        document.getElementById('sunlightYearly').textContent = `${periodData.yearly}h`;
+    startProjectRename(row, projectId) {
+        const nameEl = row.querySelector('.project-name');
+        if (!nameEl) return;
+
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'project-name-input';
+        input.value = nameEl.textContent;
+        nameEl.replaceWith(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (save) => {
+            if (done) return;
+            done = true;
+            if (save) {
+                this.renameProject(projectId, input.value);
+            } else {
+                this.renderProjectList();
+            }
+        };
 
-        // Update data source text
-        const dataSource = document.getElementById('sunlightDataSource');
-        if (dataSource) {
-            dataSource.textContent = dataSourceText;
-            dataSource.className = 'data-source real';
-        }
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
     }
 
-    calculatePeriodData(days) {
-        if (!this.sunlightData) return { daily: 0, weekly: 0, monthly: 0, yearly: 0 };
+    deleteProject(projectId) {
+        const storage = this.getProjectStorage();
+        if (!storage) return;
 
-        // Base daily hours from the original data
-        let baseDailyHours = this.sunlightData.daily;
+        storage.removeItem(`solarvision.project.${projectId}`);
+        storage.setItem('solarvision.projects', JSON.stringify(this.getProjectIndex().filter(item => item.id !== projectId)));
+        this.pruneSharedSeries();
 
-        // Apply seasonal variation based on period length
-        let adjustmentFactor = 1.0;
-
-        if (days <= 30) {
-            // Last 30 days - current season adjustment
-            const currentMonth = new Date().getMonth();
-            const seasonalFactors = [0.6, 0.7, 0.8, 0.9, 1.1, 1.2, 1.3, 1.2, 1.0, 0.8, 0.6, 0.5];
-            adjustmentFactor = seasonalFactors[currentMonth];
-        } else if (days <= 180) {
-            // Last 6 months - slight seasonal variation
-            adjustmentFactor = 0.95; // Slightly below average
+        // Deleting the open project leaves an empty workspace rather than resaving it under a new id
+        if (this.currentProject && this.currentProject.id === projectId) {
+            clearTimeout(this.autosaveTimer);
+            this.autosaveTimer = null;
+            this.resetProjectWorkspace();
         } else {
-            // Last 12 months - full year average
-            adjustmentFactor = 1.0;
+            this.renderProjectList();
         }
+    }
 
-        const daily = (baseDailyHours * adjustmentFactor).toFixed(1);
-        const weekly = (daily * 7).toFixed(0);
-        const monthly = (daily * 30).toFixed(0);
-        const yearly = (daily * 365).toFixed(0);
+    updateProjectStatus() {
+        const status = document.getElementById('projectStatus');
+        if (!status) return;
 
-        return { daily, weekly, monthly, yearly };
+        status.textContent = this.currentProject
+            ? `${this.currentProject.name} · saved ${new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`
+            : 'Not saved yet';
     }
 
-    // Map Controls
-    setupMapControls() {
-        const satelliteBtn = document.getElementById('satelliteView');
-        const streetBtn = document.getElementById('streetView');
+    renderProjectList() {
+        const projectList = document.getElementById('projectList');
+        if (!projectList) return;
 
-        if (satelliteBtn) {
-            satelliteBtn.addEventListener('click', () => {
-                if (this.map && this.satelliteLayer) {
-                    this.map.removeLayer(this.streetLayer);
-                    this.satelliteLayer.addTo(this.map);
-                    this.updateActiveMapControl('satelliteView');
-                }
+        const projects = this.getProjectIndex();
+        if (projects.length === 0) {
+            projectList.innerHTML = '<p class="project-list-empty">No saved projects yet. Projects save automatically once you pick a location.</p>';
+            return;
+        }
+
+        projectList.innerHTML = projects.map(project => {
+            const summary = project.summary || {};
+            const current = this.currentProject && this.currentProject.id === project.id;
+            const updated = new Date(project.updatedAt).toLocaleString([], {
+                day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit'
+            });
+
+            return `
+                <div class="project-item${current ? ' current' : ''}" data-project-id="${this.escapeHtml(project.id)}">
+                    <div class="project-info">
+                        <span class="project-name">${this.escapeHtml(project.name)}</span>
+                        <span class="project-meta">${this.projectStatuses[this.getProjectStatus(project)]} · ${summary.zones || 0} zones · ${(summary.kWp || 0).toFixed(1)} kWp · ${Math.round(summary.annualOutput || 0).toLocaleString()} kWh/yr · ${updated}</span>
+                    </div>
+                    <div class="project-actions">
+                        <button type="button" data-project-action="open" title="Open"><i class="fas fa-folder-open"></i></button>
+                        <button type="button" data-project-action="duplicate" title="Duplicate"><i class="fas fa-copy"></i></button>
+                        <button type="button" data-project-action="rename" title="Rename"><i class="fas fa-pen"></i></button>
+                        <button type="button" data-project-action="delete" title="Delete"><i class="fas fa-trash"></i></button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Project Portfolio
+    // The portfolio works from the project index alone, so listing dozens of sites never parses
+    // their documents; opening one restores it into the analyzer like the project list does
+    setupPortfolio() {
+        const searchInput = document.getElementById('portfolioSearch');
+        const statusFilter = document.getElementById('portfolioStatusFilter');
+        const sortSelect = document.getElementById('portfolioSort');
+        const portfolioList = document.getElementById('portfolioList');
+
+        if (searchInput) {
+            searchInput.addEventListener('input', () => {
+                this.portfolioFilter.query = searchInput.value;
+                this.renderPortfolio();
             });
         }
 
-        if (streetBtn) {
-            streetBtn.addEventListener('click', () => {
-                if (this.map && this.streetLayer) {
-                    this.map.removeLayer(this.satelliteLayer);
-                    this.streetLayer.addTo(this.map);
-                    this.updateActiveMapControl('streetView');
+        if (statusFilter) {
+            statusFilter.addEventListener('change', () => {
+                this.portfolioFilter.status = statusFilter.value;
+                this.renderPortfolio();
+            });
+        }
+
+        if (sortSelect) {
+            sortSelect.addEventListener('change', () => {
+                this.portfolioFilter.sort = sortSelect.value;
+                this.renderPortfolio();
+            });
+        }
+
+        if (portfolioList) {
+            portfolioList.addEventListener('click', (e) => {
+                const row = e.target.closest('[data-project-id]');
+                // The status picker sits inside the row but must not open the project
+                if (!row || e.target.closest('[data-portfolio-status]')) return;
+                this.openPortfolioProject(row.dataset.projectId);
+            });
+
+            portfolioList.addEventListener('change', (e) => {
+                const select = e.target.closest('[data-portfolio-status]');
+                const row = e.target.closest('[data-project-id]');
+                if (select && row) {
+                    this.setProjectStatus(row.dataset.projectId, select.value);
                 }
             });
         }
     }
 
-    updateActiveMapControl(activeId) {
-        document.querySelectorAll('.map-control-btn').forEach(btn => {
-            btn.classList.remove('active');
+    showPortfolio() {
+        this.initializePortfolioMap();
+        this.renderPortfolio();
+        this.portfolioMap?.invalidateSize();
+    }
+
+    initializePortfolioMap() {
+        const container = document.getElementById('portfolioMap');
+        if (this.portfolioMap || !container || typeof L === 'undefined') return;
+
+        this.portfolioMap = L.map(container).setView([50.8503, 4.3517], 6);
+        L.tileLayer(this.baseLayerUrls.street, {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(this.portfolioMap);
+
+        // Leaflet.markercluster merges neighbouring sites; without it every site keeps its own pin
+        this.portfolioMarkers = (L.markerClusterGroup
+            ? L.markerClusterGroup({ showCoverageOnHover: false, maxClusterRadius: 50 })
+            : L.featureGroup()).addTo(this.portfolioMap);
+
+        this.portfolioMap.on('popupopen', (e) => {
+            const button = e.popup.getElement()?.querySelector('[data-portfolio-open]');
+            button?.addEventListener('click', () => {
+                this.openPortfolioProject(button.dataset.portfolioOpen);
+            });
         });
-        document.getElementById(activeId)?.classList.add('active');
     }
 
-    // Analysis Panel
-    setupAnalysisPanel() {
-        // Zone management buttons
-        const drawZoneBtn = document.getElementById('drawZoneBtn');
-        const editZoneBtn = document.getElementById('editZoneBtn');
-        const deleteZoneBtn = document.getElementById('deleteZoneBtn');
+    getProjectStatus(entry) {
+        return this.projectStatuses[entry?.status] ? entry.status : 'lead';
+    }
 
-        // Selected zone controls
-        const zonePanelCountSlider = document.getElementById('zonePanelCount');
-        const zonePanelCountValue = document.getElementById('zonePanelCountValue');
+    getPortfolioProjects() {
+        const { query, status, sort } = this.portfolioFilter;
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const statusOrder = Object.keys(this.projectStatuses);
 
-        if (drawZoneBtn) {
-            drawZoneBtn.addEventListener('click', () => {
-                this.enableDrawingMode();
-            });
+        // Missing figures sort last whichever way the column runs
+        const figure = (entry, key, fallback) => {
+            const value = entry.summary?.[key];
+            return typeof value === 'number' && isFinite(value) ? value : fallback;
+        };
+        const compare = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+        const comparators = {
+            updated: (a, b) => compare(String(b.updatedAt), String(a.updatedAt)),
+            name: (a, b) => a.name.localeCompare(b.name),
+            kWp: (a, b) => compare(figure(b, 'kWp', -1), figure(a, 'kWp', -1)),
+            yield: (a, b) => compare(figure(b, 'annualOutput', -1), figure(a, 'annualOutput', -1)),
+            payback: (a, b) => compare(figure(a, 'paybackPeriod', Infinity), figure(b, 'paybackPeriod', Infinity)),
+            status: (a, b) => statusOrder.indexOf(this.getProjectStatus(a)) - statusOrder.indexOf(this.getProjectStatus(b))
+        };
+
+        return this.getProjectIndex()
+            .filter(entry => status === 'all' || this.getProjectStatus(entry) === status)
+            .filter(entry => {
+                const text = `${entry.name} ${entry.address || ''}`.toLowerCase();
+                return terms.every(term => text.includes(term));
+            })
+            .sort(comparators[sort] || comparators.updated);
+    }
+
+    renderPortfolio() {
+        const portfolioList = document.getElementById('portfolioList');
+        const portfolioSummary = document.getElementById('portfolioSummary');
+        if (!portfolioList) return;
+
+        const total = this.getProjectIndex().length;
+        const projects = this.getPortfolioProjects();
+        const kWp = projects.reduce((sum, entry) => sum + (entry.summary?.kWp || 0), 0);
+        const annualOutput = projects.reduce((sum, entry) => sum + (entry.summary?.annualOutput || 0), 0);
+
+        if (portfolioSummary) {
+            portfolioSummary.textContent = `${projects.length} of ${total} project${total !== 1 ? 's' : ''} · ` +
+                `${kWp.toFixed(1)} kWp · ${Math.round(annualOutput / 1000).toLocaleString()} MWh/yr`;
         }
 
-        if (editZoneBtn) {
-            editZoneBtn.addEventListener('click', () => {
-                if (this.selectedZone) {
-                    this.editZone(this.selectedZone.id);
-                }
-            });
+        this.renderPortfolioMap(projects);
+
+        if (projects.length === 0) {
+            portfolioList.innerHTML = `<p class="project-list-empty">${total === 0
+                ? 'No saved projects yet. Projects save automatically once you pick a location in the analyzer.'
+                : 'No projects match these filters.'}</p>`;
+            return;
         }
 
-        if (deleteZoneBtn) {
-            deleteZoneBtn.addEventListener('click', () => {
-                if (this.selectedZone) {
-                    this.deleteZone(this.selectedZone.id);
-                }
+        const rows = projects.map(entry => {
+            const summary = entry.summary || {};
+            const status = this.getProjectStatus(entry);
+            const specificYield = summary.kWp > 0 ? `<small>${Math.round(summary.annualOutput / summary.kWp).toLocaleString()} kWh/kWp</small>` : '';
+            const payback = summary.paybackPeriod != null
+                ? `${summary.paybackPeriod.toFixed(1)} yrs`
+                : summary.kWp > 0 ? 'Never' : '—';
+            const options = Object.entries(this.projectStatuses).map(([id, label]) =>
+                `<option value="${id}"${id === status ? ' selected' : ''}>${label}</option>`).join('');
+
+            return `
+                <tr class="portfolio-row" data-project-id="${this.escapeHtml(entry.id)}" title="Open in the analyzer">
+                    <td>
+                        <span class="project-name">${this.escapeHtml(entry.name)}</span>
+                        <small>Updated ${new Date(entry.updatedAt).toLocaleDateString([], { day: 'numeric', month: 'short', year: 'numeric' })}</small>
+                    </td>
+                    <td class="portfolio-location">${this.escapeHtml(entry.address || 'No location')}</td>
+                    <td class="num">${(summary.kWp || 0).toFixed(1)}</td>
+                    <td class="num">${Math.round(summary.annualOutput || 0).toLocaleString()} kWh${specificYield}</td>
+                    <td class="num">${payback}</td>
+                    <td>
+                        <select class="select-input portfolio-status status-${status}" data-portfolio-status aria-label="Status">${options}</select>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        portfolioList.innerHTML = `
+            <table class="portfolio-table">
+                <thead>
+                    <tr>
+                        <th>Project</th>
+                        <th>Location</th>
+                        <th class="num">kWp</th>
+                        <th class="num">Annual yield</th>
+                        <th class="num">Payback</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    renderPortfolioMap(projects) {
+        if (!this.portfolioMarkers) return;
+        this.portfolioMarkers.clearLayers();
+
+        const located = projects.filter(entry => entry.location && isFinite(entry.location.lat) && isFinite(entry.location.lon));
+        located.forEach(entry => {
+            const status = this.getProjectStatus(entry);
+            const marker = L.marker([entry.location.lat, entry.location.lon], {
+                title: entry.name,
+                icon: L.divIcon({
+                    className: `portfolio-pin status-${status}`,
+                    html: '<i class="fas fa-solar-panel"></i>',
+                    iconSize: [28, 28],
+                    iconAnchor: [14, 14]
+                })
             });
+            marker.bindPopup(`
+                <div class="location-popup">
+                    <strong>${this.escapeHtml(entry.name)}</strong>
+                    <span>${(entry.summary?.kWp || 0).toFixed(1)} kWp · ${this.projectStatuses[status]}</span>
+                    <button type="button" class="action-btn" data-portfolio-open="${this.escapeHtml(entry.id)}">
+                        <i class="fas fa-folder-open"></i>
+                        <span>Open in analyzer</span>
+                    </button>
+                </div>
+            `);
+            this.portfolioMarkers.addLayer(marker);
+        });
+
+        if (located.length > 0) {
+            const bounds = L.latLngBounds(located.map(entry => [entry.location.lat, entry.location.lon]));
+            this.portfolioMap.fitBounds(bounds, { padding: [40, 40], maxZoom: 15 });
         }
+    }
 
+    openPortfolioProject(projectId) {
+        this.portfolioMap?.closePopup();
+        this.navigateToPage('analyzer');
+        this.openProject(projectId);
+    }
 
+    setProjectStatus(projectId, status) {
+        if (!this.projectStatuses[status]) return;
 
-        if (zonePanelCountSlider && zonePanelCountValue) {
-            zonePanelCountSlider.addEventListener('input', (e) => {
-                const panelCount = parseInt(e.target.value);
+        let project;
+        try {
+            project = this.readProject(projectId);
+        } catch (error) {
+            this.showMessage(`Could not update project: ${error.message}`, 'error');
+            return;
+        }
+        if (!project || (project.status || 'lead') === status) {
+            this.renderPortfolio();
+            return;
+        }
 
-                if (this.selectedZone) {
-                    const maxRecommended = this.calculateMaxRecommendedPanels(this.selectedZone.area);
-                    let displayText = `${panelCount} panels`;
+        project.status = status;
+        project.updatedAt = new Date().toISOString();
 
-                    // Show warning if too many panels
-                    if (panelCount > maxRecommended) {
-                        displayText += ` (⚠️ Recommended max: ${maxRecommended})`;
-                        zonePanelCountValue.style.color = '#f59e0b';
-                    } else {
-                        zonePanelCountValue.style.color = '#6366f1';
-                    }
+        if (this.writeProject(project) && this.currentProject && this.currentProject.id === projectId) {
+            this.currentProject.status = status;
+            this.lastSavedSnapshot = JSON.stringify({ ...project, updatedAt: null });
+        }
+        this.renderPortfolio();
+    }
 
-                    zonePanelCountValue.textContent = displayText;
+    // Zone Import & Export
+    async importZonesFile(file) {
+        try {
+            const text = await file.text();
+            const isKml = /\.kml$/i.test(file.name) || /^\s*(<\?xml[^>]*>\s*)?<kml/i.test(text);
+            const features = isKml ? this.parseKmlZones(text) : this.parseGeoJsonZones(text);
 
-                    this.selectedZone.panelCount = panelCount;
-                    this.updateSelectedZoneStats();
-                    this.updateZoneAnalysis();
-                    // this.updateZoneInList(this.selectedZone); // Disabled - no zone list in HTML
-                }
-            });
+            if (features.length === 0) {
+                throw new Error('the file contains no polygons');
+            }
+
+            const zones = this.importZoneFeatures(features, file.name);
+            this.showMessage(`Imported ${zones.length} zone${zones.length === 1 ? '' : 's'} from ${file.name}`, 'success');
+        } catch (error) {
+            console.error('❌ Error importing zones:', error);
+            this.showMessage(`Could not import zones: ${error.message}`, 'error');
         }
+    }
 
-        // Zone info panel controls
-        const zoneInfoClose = document.getElementById('zoneInfoClose');
+    parseGeoJsonZones(text) {
+        const data = JSON.parse(text);
+        let features;
+        if (data.type === 'FeatureCollection') {
+            features = data.features || [];
+        } else if (data.type === 'Feature') {
+            features = [data];
+        } else {
+            features = [{ type: 'Feature', geometry: data, properties: {} }];
+        }
 
-        if (zoneInfoClose) {
-            zoneInfoClose.addEventListener('click', () => {
-                this.hideZoneInfo();
+        // Multi-polygons become one zone per part
+        const zones = [];
+        features.forEach(feature => {
+            const geometry = feature && feature.geometry;
+            if (!geometry) return;
+
+            const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+                : geometry.type === 'MultiPolygon' ? geometry.coordinates : [];
+
+            polygons.forEach(coordinates => {
+                zones.push({
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: coordinates },
+                    properties: { ...feature.properties }
+                });
             });
+        });
+
+        this.validateZoneCoordinates(zones);
+        return zones;
+    }
+
+    parseKmlZones(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('the KML is not well-formed XML');
         }
 
-        // Zone edit action buttons (map only)
-        const saveZoneBtnMap = document.getElementById('saveZoneBtnMap');
-        const cancelZoneBtnMap = document.getElementById('cancelZoneBtnMap');
+        const parseCoordinates = element => (element ? element.textContent.trim().split(/\s+/) : [])
+            .map(tuple => tuple.split(',').map(parseFloat))
+            .filter(([lng, lat]) => !isNaN(lng) && !isNaN(lat))
+            .map(([lng, lat]) => [lng, lat]);
+
+        const zones = [];
+        Array.from(xml.getElementsByTagName('Placemark')).forEach(placemark => {
+            // ExtendedData carries the zone attributes written by exportZones
+            const properties = {};
+            Array.from(placemark.getElementsByTagName('Data')).forEach(data => {
+                properties[data.getAttribute('name')] = this.parseKmlValue(data.getElementsByTagName('value')[0]?.textContent);
+            });
+            Array.from(placemark.getElementsByTagName('SimpleData')).forEach(data => {
+                properties[data.getAttribute('name')] = this.parseKmlValue(data.textContent);
+            });
 
-        if (saveZoneBtnMap) {
-            saveZoneBtnMap.addEventListener('click', () => {
-                this.saveZoneEdit();
+            Array.from(placemark.getElementsByTagName('Polygon')).forEach(polygon => {
+                const outer = polygon.getElementsByTagName('outerBoundaryIs')[0];
+                const ring = parseCoordinates(outer?.getElementsByTagName('coordinates')[0]);
+                if (ring.length < 3) return;
+
+                const holes = Array.from(polygon.getElementsByTagName('innerBoundaryIs'))
+                    .map(inner => parseCoordinates(inner.getElementsByTagName('coordinates')[0]))
+                    .filter(hole => hole.length >= 3);
+
+                zones.push({
+                    type: 'Feature',
+                    geometry: { type: 'Polygon', coordinates: [ring, ...holes] },
+                    properties: { ...properties }
+                });
             });
+        });
+
+        this.validateZoneCoordinates(zones);
+        return zones;
+    }
+
+    parseKmlValue(value) {
+        const text = (value || '').trim();
+        if (/^[{[]/.test(text)) {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                return text;
+            }
         }
+        return text !== '' && !isNaN(Number(text)) ? Number(text) : text;
+    }
 
-        if (cancelZoneBtnMap) {
-            cancelZoneBtnMap.addEventListener('click', () => {
-                this.cancelZoneEdit();
-            });
+    validateZoneCoordinates(features) {
+        // Both formats are WGS84 longitude/latitude; projected survey coordinates would land nowhere
+        const outOfRange = features.some(feature => feature.geometry.coordinates.some(ring =>
+            ring.some(([lng, lat]) => Math.abs(lng) > 180 || Math.abs(lat) > 90)));
+        if (outOfRange) {
+            throw new Error('coordinates must be WGS84 longitude/latitude');
         }
+    }
 
-        // Sunlight period selector
-        const sunlightPeriod = document.getElementById('sunlightPeriod');
-        if (sunlightPeriod) {
-            sunlightPeriod.addEventListener('change', (e) => {
-                this.updateSunlightDisplay(e.target.value);
-            });
+    importZoneFeatures(features, sourceName) {
+        if (!this.map) {
+            this.navigateToPage('analyzer');
+            this.initializeMap();
+        }
+        if (!this.drawnItems) {
+            throw new Error('the map is not ready');
+        }
+
+        const layers = features
+            .map(feature => ({ feature, layer: this.createZoneLayer(feature) }))
+            .filter(item => item.layer);
+        if (layers.length === 0) {
+            throw new Error('no polygon has at least three vertices');
         }
+
+        const bounds = L.latLngBounds([]);
+        layers.forEach(item => bounds.extend(item.layer.getBounds()));
+
+        // Imported outlines can stand in for an address search, like a weather file
+        if (!this.currentLocation) {
+            const center = bounds.getCenter();
+            this.currentLocation = {
+                lat: center.lat,
+                lon: center.lng,
+                address: sourceName,
+                type: 'zone-import'
+            };
+            this.updateLocationMarker();
+            this.showZoneAnalysisPanel();
+            this.fetchSunlightData(center.lat, center.lng);
+        }
+
+        const zones = layers.map(({ feature, layer }) => {
+            const attributes = this.normalizeImportedZoneAttributes(feature.properties || {});
+            return this.createZone(layer, attributes.type || 'polygon', attributes);
+        });
+        this.recordZoneCommand({
+            kind: 'add',
+            label: `Import ${zones.length} zone${zones.length !== 1 ? 's' : ''}`,
+            entries: zones.map(zone => ({ zone, index: this.drawingZones.indexOf(zone) }))
+        });
+
+        this.map.fitBounds(bounds, { padding: [40, 40], maxZoom: 20 });
+        this.selectZone(zones[zones.length - 1]);
+        this.updateZoneAnalysis();
+
+        return zones;
     }
 
+    normalizeImportedZoneAttributes(properties) {
+        const number = (...keys) => {
+            for (const key of keys) {
+                const value = parseFloat(properties[key]);
+                if (!isNaN(value)) return value;
+            }
+            return undefined;
+        };
 
+        // Our own exports round-trip; common GIS names for pitch and aspect are accepted too
+        const attributes = {
+            type: properties.type === 'rectangle' ? 'rectangle' : 'polygon',
+            tilt: number('tilt', 'pitch', 'roof_pitch'),
+            azimuth: number('azimuth', 'aspect'),
+            panelCount: number('panelCount', 'panel_count'),
+            moduleId: this.getModule(properties.moduleId) ? properties.moduleId : undefined,
+            panelWattage: number('panelWattage', 'panel_wattage'),
+            temperatureCoefficient: number('temperatureCoefficient'),
+            noct: number('noct'),
+            layout: properties.layout && typeof properties.layout === 'object' ? properties.layout : undefined,
+            building: properties.building && typeof properties.building === 'object' ? properties.building : undefined
+        };
 
-    showZoneAnalysisPanel() {
-        const section = document.getElementById('solarZonesSection');
-        if (section) {
-            section.style.display = 'block';
+        if (attributes.tilt !== undefined) {
+            attributes.tilt = Math.min(Math.max(attributes.tilt, 0), 60);
+        }
+        if (attributes.azimuth !== undefined) {
+            attributes.azimuth = ((attributes.azimuth % 360) + 360) % 360;
+        }
+        if (attributes.panelCount !== undefined) {
+            attributes.panelCount = Math.max(Math.round(attributes.panelCount), 0);
         }
 
-        // Show zone drawing controls on the map
-        const zoneControls = document.getElementById('zoneDrawingControls');
-        if (zoneControls) {
-            zoneControls.style.display = 'flex';
+        // createZone treats undefined as "use the default"
+        Object.keys(attributes).forEach(key => {
+            if (attributes[key] === undefined) delete attributes[key];
+        });
+        return attributes;
+    }
+
+    buildZonesGeoJson() {
+        const simulation = this.runSimulation();
+
+        // Areas in m², power in kWp, yield in kWh/yr after losses and clipping
+        return {
+            type: 'FeatureCollection',
+            features: this.drawingZones.map(zone => {
+                const feature = this.serializeZone(zone);
+                Object.assign(feature.properties, {
+                    name: zone.id,
+                    area: Math.round(zone.area * 100) / 100,
+                    planArea: Math.round(zone.planArea * 100) / 100,
+                    kWp: Math.round(zone.panelCount * zone.panelWattage / 10) / 100,
+                    annualYield: Math.round(simulation.zones[zone.id]?.annual || 0),
+                    shadingLoss: Math.round((simulation.zones[zone.id]?.shadingLoss || 0) * 1000) / 1000
+                });
+                return feature;
+            })
+        };
+    }
+
+    formatZonesKml(collection) {
+        const escapeXml = text => String(text).replace(/[<>&'"]/g, c => `&#${c.charCodeAt(0)};`);
+        const ringCoordinates = ring => ring.map(([lng, lat]) => `${lng},${lat},0`).join(' ');
+
+        const placemarks = collection.features.map(feature => {
+            const data = Object.entries(feature.properties).map(([name, value]) => {
+                const text = typeof value === 'object' ? JSON.stringify(value) : value;
+                return `        <Data name="${escapeXml(name)}"><value>${escapeXml(text)}</value></Data>`;
+            }).join('\n');
+            const [outer, ...holes] = feature.geometry.coordinates;
+            const inner = holes.map(hole =>
+                `\n        <innerBoundaryIs><LinearRing><coordinates>${ringCoordinates(hole)}</coordinates></LinearRing></innerBoundaryIs>`).join('');
+
+            return `    <Placemark>
+      <name>${escapeXml(feature.properties.name)}</name>
+      <styleUrl>#solarZone</styleUrl>
+      <ExtendedData>
+${data}
+      </ExtendedData>
+      <Polygon>
+        <outerBoundaryIs><LinearRing><coordinates>${ringCoordinates(outer)}</coordinates></LinearRing></outerBoundaryIs>${inner}
+      </Polygon>
+    </Placemark>`;
+        }).join('\n');
+
+        // KML colours are aabbggrr
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXml(this.currentProject ? this.currentProject.name : 'SolarVision zones')}</name>
+    <Style id="solarZone">
+      <LineStyle><color>fff16663</color><width>3</width></LineStyle>
+      <PolyStyle><color>4df16663</color></PolyStyle>
+    </Style>
+${placemarks}
+  </Document>
+</kml>
+`;
+    }
+
+    exportZones(format) {
+        if (this.drawingZones.length === 0) {
+            this.showMessage('Draw or import a zone before exporting.', 'warning');
+            return;
         }
 
-        // Show sidebar panels and hide placeholder
-        const placeholder = document.getElementById('analysisPlaceholder');
+        const collection = this.buildZonesGeoJson();
+        const baseName = (this.currentProject ? this.currentProject.name : 'solar-zones')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'solar-zones';
+
+        if (format === 'kml') {
+            this.downloadFile(this.formatZonesKml(collection), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+        } else {
+            this.downloadFile(JSON.stringify(collection, null, 2), `${baseName}.geojson`, 'application/geo+json');
+        }
+    }
+
+    buildExportDatasets() {
+        const simulation = this.runSimulation();
+        const series = this.getWeatherSeries();
+        const round = (value, digits = 3) => Math.round(value * Math.pow(10, digits)) / Math.pow(10, digits);
+        const zoneName = zone => `Zone ${zone.id.split('_')[1]}`;
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+        // Same figures as the zone panels, one row per zone
+        const zones = [[
+            'Zone', 'Id', 'Type', 'Area (m²)', 'Plan area (m²)', 'Pitch (°)', 'Azimuth (°)', 'Module', 'Panels',
+            'Panel wattage (W)', 'kWp', 'Annual yield (kWh)', 'Specific yield (kWh/kWp)', 'Efficiency score (%)', 'Shading loss (%)'
+        ]];
+        this.drawingZones.forEach(zone => {
+            const result = simulation.zones[zone.id];
+            const module = this.getModule(zone.moduleId);
+            zones.push([
+                zoneName(zone), zone.id, zone.type, round(zone.area, 2), round(zone.planArea, 2), zone.tilt, zone.azimuth,
+                module ? this.formatEquipmentName(module) : 'Custom', zone.panelCount, zone.panelWattage, round(result.kWp),
+                round(result.annual, 1), round(result.kWp > 0 ? result.annual / result.kWp : 0, 1),
+                this.calculateEfficiencyScore(result.annual, result.kWp), round((result.shadingLoss || 0) * 100, 2)
+            ]);
+        });
+
+        const monthly = [['Month', ...this.drawingZones.map(zone => `${zoneName(zone)} (kWh)`), 'Total (kWh)']];
+        monthNames.forEach((name, month) => {
+            monthly.push([
+                name,
+                ...this.drawingZones.map(zone => round(simulation.zones[zone.id].monthly[month], 1)),
+                round(simulation.monthly[month], 1)
+            ]);
+        });
 
-        if (placeholder) {
-            placeholder.style.display = 'none';
+        // Hourly energy equals average power over the hour, so kW columns double as kWh
+        const hourly = [[
+            'Time (UTC)', 'GHI (W/m²)', 'DNI (W/m²)', 'DHI (W/m²)', 'Air temperature (°C)',
+            ...this.drawingZones.map(zone => `${zoneName(zone)} AC (kWh)`), 'System AC (kWh)',
+            ...(this.loadProfile ? ['Load (kWh)'] : [])
+        ]];
+        for (let i = 0; i < series.length; i++) {
+            hourly.push([
+                new Date(series.time[i]).toISOString().slice(0, 16).replace('T', ' '),
+                round(series.ghi[i], 1), round(series.dni[i], 1), round(series.dhi[i], 1), round(series.temperature[i], 1),
+                ...this.drawingZones.map(zone => round(simulation.zones[zone.id].hourlyAc[i])),
+                round(simulation.hourly[i]),
+                ...(this.loadProfile ? [round(this.loadProfile.hourly[i])] : [])
+            ]);
         }
-    }
 
-    hideZoneAnalysisPanel() {
-        const section = document.getElementById('solarZonesSection');
-        if (section) {
-            section.style.display = 'none';
-        }
+        return {
+            zones: { name: 'Zones', rows: zones },
+            monthly: { name: 'Monthly production', rows: monthly },
+            hourly: { name: 'Hourly production', rows: hourly }
+        };
     }
 
-    showZoneAnalysis(totals) {
-        this.showZoneAnalysisPanel();
+    formatCsv(rows) {
+        // Quote only cells that would break the row
+        return rows.map(row => row.map(cell => {
+            const text = cell === null || cell === undefined ? '' : String(cell);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(',')).join('\r\n');
+    }
 
-        // Update totals in the UI
-        const zonesCount = document.getElementById('zonesCount');
-        if (zonesCount) {
-            zonesCount.textContent = `${totals.zones} zone${totals.zones !== 1 ? 's' : ''}`;
+    exportProductionData(format, dataset = 'zones') {
+        if (this.drawingZones.length === 0) {
+            this.showMessage('Draw or import a zone before exporting.', 'warning');
+            return;
         }
 
-        const totalPanelsEl = document.getElementById('totalPanels');
-        if (totalPanelsEl) {
-            totalPanelsEl.textContent = totals.totalPanels;
-        }
+        const datasets = this.buildExportDatasets();
+        const baseName = (this.currentProject ? this.currentProject.name : 'solar-zones')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'solar-zones';
 
-        const totalPowerEl = document.getElementById('totalPower');
-        if (totalPowerEl) {
-            totalPowerEl.textContent = `${totals.totalPower.toFixed(1)} kW`;
+        // The byte-order mark makes Excel read the units (m², °C) as UTF-8
+        const downloadCsv = ({ name, rows }) => {
+            this.downloadFile(`\uFEFF${this.formatCsv(rows)}`, `${baseName}-${name.toLowerCase().replace(/\s+/g, '-')}.csv`, 'text/csv');
+        };
+
+        if (format === 'xlsx') {
+            // SheetJS loads from the CDN; without it every sheet becomes its own CSV file
+            if (typeof XLSX !== 'undefined') {
+                const workbook = XLSX.utils.book_new();
+                Object.values(datasets).forEach(({ name, rows }) => {
+                    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+                });
+                XLSX.writeFile(workbook, `${baseName}.xlsx`);
+                this.showMessage('Exported zones, monthly and hourly production to Excel', 'success');
+                return;
+            }
+            Object.values(datasets).forEach(downloadCsv);
+            this.showMessage('Spreadsheet library unavailable; exported zones, monthly and hourly production as separate CSV files.', 'warning');
+            return;
         }
 
-        const totalOutputEl = document.getElementById('totalOutput');
-        if (totalOutputEl) {
-            totalOutputEl.textContent = `${totals.totalAnnualOutput.toFixed(0)} kWh`;
+        downloadCsv(datasets[dataset] || datasets.zones);
+    }
+
+    // Proposal Report
+    setupReportControls() {
+        // Branding is per installer, not per project, so it lives outside the saved projects
+        try {
+            Object.assign(this.reportSettings, JSON.parse(this.readStorage('solarvision.reportSettings') || '{}'));
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable report settings:', error);
+        }
+        // Stored settings are editable by anything on this origin; only an embedded image is a logo
+        if (!/^data:image\/(png|jpeg);base64,[A-Za-z0-9+/=]+$/.test(this.reportSettings.logo || '')) {
+            this.reportSettings.logo = null;
         }
 
-        const totalSavingsEl = document.getElementById('totalSavings');
-        if (totalSavingsEl) {
-            totalSavingsEl.textContent = `${totals.overallEfficiency}% efficiency`;
+        const companyInput = document.getElementById('reportCompanyName');
+        const contactInput = document.getElementById('reportContact');
+        if (companyInput) {
+            companyInput.value = this.reportSettings.companyName;
+            companyInput.addEventListener('change', () => {
+                this.reportSettings.companyName = companyInput.value.trim();
+                this.saveReportSettings();
+            });
+        }
+        if (contactInput) {
+            contactInput.value = this.reportSettings.contact;
+            contactInput.addEventListener('change', () => {
+                this.reportSettings.contact = contactInput.value.trim();
+                this.saveReportSettings();
+            });
         }
 
-        const totalAreaEl = document.getElementById('totalArea');
-        if (totalAreaEl) {
-            totalAreaEl.textContent = `${totals.totalArea.toFixed(1)} m²`;
+        const logoInput = document.getElementById('reportLogoInput');
+        if (logoInput) {
+            logoInput.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) {
+                    this.loadReportLogo(file);
+                }
+                e.target.value = '';
+            });
         }
 
-        // Show optimize button if there are zones
-        const optimizeBtn = document.getElementById('optimizeAllZones');
-        if (optimizeBtn) {
-            optimizeBtn.style.display = totals.zones > 0 ? 'block' : 'none';
+        const logoClear = document.getElementById('reportLogoClear');
+        if (logoClear) {
+            logoClear.addEventListener('click', () => {
+                this.reportSettings.logo = null;
+                this.saveReportSettings();
+                this.updateReportControls();
+            });
         }
+
+        document.querySelectorAll('[data-report-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.downloadReport(button.dataset.reportFormat);
+            });
+        });
+
+        this.updateReportControls();
     }
 
-    hideZoneAnalysis() {
-        // Reset all values to 0
-        const totalPanelsEl = document.getElementById('totalPanels');
-        if (totalPanelsEl) {
-            totalPanelsEl.textContent = '0';
+    async loadReportLogo(file) {
+        // The logo is stored as a data URL next to the projects, so keep it small
+        if (!/^image\/(png|jpeg)$/.test(file.type)) {
+            this.showMessage('Use a PNG or JPEG logo.', 'warning');
+            return;
         }
-
-        const totalPowerEl = document.getElementById('totalPower');
-        if (totalPowerEl) {
-            totalPowerEl.textContent = '0 kW';
+        if (file.size > 300 * 1024) {
+            this.showMessage('Logo files are limited to 300 KB.', 'warning');
+            return;
         }
 
-        const totalOutputEl = document.getElementById('totalOutput');
-        if (totalOutputEl) {
-            totalOutputEl.textContent = '0 kWh';
+        this.reportSettings.logo = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+        this.saveReportSettings();
+        this.updateReportControls();
+        this.showMessage(`Using ${file.name} as the report logo`, 'success');
+    }
+
+    saveReportSettings() {
+        try {
+            this.getProjectStorage()?.setItem('solarvision.reportSettings', JSON.stringify(this.reportSettings));
+        } catch (error) {
+            console.error('❌ Error saving report settings:', error);
+            this.showMessage('Browser storage is full; the report branding was not saved.', 'warning');
         }
+    }
 
-        const totalSavingsEl = document.getElementById('totalSavings');
-        if (totalSavingsEl) {
-            totalSavingsEl.textContent = '0% efficiency';
+    updateReportControls() {
+        const preview = document.getElementById('reportLogoPreview');
+        if (preview) {
+            preview.innerHTML = this.reportSettings.logo
+                ? `<img src="${this.escapeHtml(this.reportSettings.logo)}" alt="Report logo">`
+                : '<span>No logo</span>';
         }
 
-        const totalAreaEl = document.getElementById('totalArea');
-        if (totalAreaEl) {
-            totalAreaEl.textContent = '0 m²';
+        const logoClear = document.getElementById('reportLogoClear');
+        if (logoClear) {
+            logoClear.disabled = !this.reportSettings.logo;
         }
+    }
 
-        // Update zones count
-        const zonesCount = document.getElementById('zonesCount');
-        if (zonesCount) {
-            zonesCount.textContent = '0 zones';
+    async downloadReport(format = 'pdf') {
+        if (!this.drawingZones.some(zone => zone.panelCount > 0)) {
+            this.showMessage('Draw at least one zone with panels before creating a proposal.', 'warning');
+            return;
         }
 
-        // Hide optimize button
-        const optimizeBtn = document.getElementById('optimizeAllZones');
-        if (optimizeBtn) {
-            optimizeBtn.style.display = 'none';
+        try {
+            const data = this.buildReportData();
+            data.mapImage = await this.captureMapSnapshot();
+
+            // Without the PDF library (offline, blocked CDN) the printable page is the fallback
+            if (format === 'pdf' && window.jspdf) {
+                const pdf = await this.buildReportPdf(data);
+                pdf.save(`${data.fileName}.pdf`);
+                this.showMessage('Proposal PDF downloaded', 'success');
+                return;
+            }
+            if (format === 'pdf') {
+                this.showMessage('PDF library unavailable; opening the printable proposal instead.', 'warning');
+            }
+
+            const html = this.buildReportHtml(data);
+            const reportWindow = window.open('', '_blank');
+            if (reportWindow) {
+                reportWindow.document.open();
+                reportWindow.document.write(html);
+                reportWindow.document.close();
+            } else {
+                // Pop-up blocked: hand over the page as a file instead
+                this.downloadFile(html, `${data.fileName}.html`, 'text/html');
+                this.showMessage('Proposal downloaded as HTML', 'success');
+            }
+        } catch (error) {
+            console.error('❌ Error creating proposal:', error);
+            this.showMessage(`Could not create the proposal: ${error.message}`, 'error');
         }
     }
 
-    generateAIAnalysisData() {
-        // Generate realistic AI analysis data
-        const roofArea = Math.floor(Math.random() * 800) + 800; // 800-1600 sq ft
-        const optimalAngle = Math.floor(Math.random() * 20) + 25; // 25-45 degrees
-        const sunExposure = (Math.random() * 3 + 6).toFixed(1); // 6-9 hours
-        const aiConfidence = (Math.random() * 5 + 95).toFixed(1); // 95-100%
+    buildReportData() {
+        const simulation = this.runSimulation();
+        const financials = this.calculateFinancials(simulation);
+        const settings = this.simulationSettings;
+        const finance = this.financialSettings;
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+
+        const zones = this.drawingZones.map(zone => {
+            const result = simulation.zones[zone.id];
+            const module = this.getModule(zone.moduleId);
+            return {
+                name: `Zone ${zone.id.split('_')[1]}`,
+                area: zone.area,
+                tilt: zone.tilt,
+                azimuth: zone.azimuth,
+                module: module ? this.formatEquipmentName(module) : `${zone.panelWattage} W module`,
+                panels: zone.panelCount,
+                kWp: result.kWp,
+                annual: result.annual,
+                specificYield: result.kWp > 0 ? result.annual / result.kWp : 0,
+                shadingLoss: result.shadingLoss || 0
+            };
+        });
 
-        document.getElementById('roofArea').textContent = `${roofArea.toLocaleString()} sq ft`;
-        document.getElementById('optimalAngle').textContent = `${optimalAngle}°`;
-        document.getElementById('sunExposure').textContent = `${sunExposure} hrs/day`;
-        document.getElementById('aiConfidence').textContent = `${aiConfidence}%`;
+        // Hardware with known unit prices; the installed price comes from the financial model
+        const equipment = [];
+        const modules = new Map();
+        this.drawingZones.filter(zone => zone.panelCount > 0).forEach(zone => {
+            const module = this.getModule(zone.moduleId);
+            const key = module ? module.id : `custom-${zone.panelWattage}`;
+            const entry = modules.get(key) || {
+                item: module ? `${this.formatEquipmentName(module)} (${module.wattage} Wp)` : `${zone.panelWattage} Wp module`,
+                quantity: 0,
+                unitPrice: module ? module.price : null
+            };
+            entry.quantity += zone.panelCount;
+            modules.set(key, entry);
+        });
+        equipment.push(...modules.values());
+
+        const inverter = this.getInverter(settings.inverterModel);
+        equipment.push(inverter
+            ? { item: `${this.formatEquipmentName(inverter)} (${inverter.acRating} kW AC)`, quantity: settings.inverterCount || 1, unitPrice: inverter.price }
+            : { item: `Inverter, ${simulation.inverterAcRating.toFixed(1)} kW AC`, quantity: 1, unitPrice: null });
+
+        if (this.batterySettings.enabled) {
+            equipment.push({
+                item: `Battery storage, ${this.batterySettings.capacity} kWh`,
+                quantity: 1,
+                unitPrice: financials.batteryCost
+            });
+        }
 
-        this.roofData = {
-            area: roofArea,
-            angle: optimalAngle,
-            sunHours: parseFloat(sunExposure),
-            confidence: parseFloat(aiConfidence)
+        const weatherSources = {
+            'open-meteo': 'Open-Meteo measured irradiance (last 12 months)',
+            tmy: 'Imported weather file',
+            synthetic: 'Clear-sky model scaled to regional sunshine'
         };
-    }
+        const tariff = finance.tariffType === 'tou'
+            ? `€${finance.peakTariff.toFixed(2)} peak / €${finance.offPeakTariff.toFixed(2)} off-peak per kWh`
+            : `€${finance.importTariff.toFixed(2)}/kWh`;
+
+        const assumptions = [
+            ['Weather data', weatherSources[this.getWeatherSeries().source] || this.getWeatherSeries().source],
+            ['Horizon', this.horizonProfile ? this.horizonProfile.name : 'Flat horizon'],
+            ['Shading obstacles', this.obstacles.length > 0 ? `${this.obstacles.length} modelled` : 'None'],
+            ['Soiling / wiring / mismatch loss', `${percent(settings.soilingLoss)} / ${percent(settings.wiringLoss)} / ${percent(settings.mismatchLoss)}`],
+            ['Inverter efficiency', percent(settings.inverterEfficiency)],
+            ['Installed cost', `€${finance.costPerKw.toLocaleString()}/kWp`],
+            ['Import tariff', tariff],
+            ['Export tariff', `€${finance.exportTariff.toFixed(2)}/kWh`],
+            ['Household consumption', `${finance.annualConsumption.toLocaleString()} kWh/yr`],
+            ['Self-consumption', this.loadProfile ? this.loadProfile.name : `${percent(finance.selfConsumptionRatio)} of production`],
+            ['Module degradation', `${percent(finance.degradation)}/yr`],
+            ['O&M', `€${finance.omCostPerKw}/kWp/yr`],
+            ['Inflation / discount rate', `${percent(finance.inflation)} / ${percent(finance.discountRate)}`],
+            ['Lifetime', `${finance.lifetime} years`]
+        ];
 
-    runAIAnalysis() {
-        if (!this.currentLocation) {
-            this.showMessage('Please search for an address first.', 'warning');
-            return;
-        }
+        const name = this.currentProject?.name || (this.currentLocation?.address || 'Solar proposal').split(',')[0];
+        return {
+            title: name,
+            address: this.currentLocation?.address || '',
+            date: new Date().toLocaleDateString(),
+            fileName: `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'solar'}-proposal`,
+            company: { ...this.reportSettings },
+            zones,
+            totals: {
+                panels: zones.reduce((sum, zone) => sum + zone.panels, 0),
+                area: zones.reduce((sum, zone) => sum + zone.area, 0),
+                kWp: simulation.kWp,
+                annual: simulation.annual,
+                specificYield: simulation.kWp > 0 ? simulation.annual / simulation.kWp : 0
+            },
+            monthly: simulation.monthly,
+            financials,
+            equipment,
+            assumptions
+        };
+    }
 
-        // Switch to satellite view for better analysis
-        if (this.map && this.satelliteLayer) {
-            this.map.removeLayer(this.streetLayer);
-            this.satelliteLayer.addTo(this.map);
-            this.updateActiveMapControl('satelliteView');
+    async captureMapSnapshot(width = 900, height = 500) {
+        const points = [...this.drawingZones, ...this.obstacles].flatMap(item => this.getOuterRing(item.layer));
+        if (points.length === 0 || typeof document.createElement('canvas').getContext !== 'function') {
+            return null;
         }
 
-        // Show zone analysis panel if not already visible
-        this.showZoneAnalysisPanel();
+        // Web Mercator pixels, as the map tiles use
+        const project = (latLng, zoom) => {
+            const scale = 256 * Math.pow(2, zoom);
+            const sin = Math.sin((latLng.lat * Math.PI) / 180);
+            return {
+                x: ((latLng.lng + 180) / 360) * scale,
+                y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+            };
+        };
+        const bounds = zoom => {
+            const projected = points.map(point => project(point, zoom));
+            const xs = projected.map(point => point.x);
+            const ys = projected.map(point => point.y);
+            return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+        };
 
-        this.showMessage('Smart analysis complete! Configure settings and optimize.', 'success');
-    }
+        // Deepest zoom that fits the design with some surroundings
+        let zoom = 19;
+        let box = bounds(zoom);
+        while (zoom > 3 && (box.maxX - box.minX > width * 0.7 || box.maxY - box.minY > height * 0.7)) {
+            zoom--;
+            box = bounds(zoom);
+        }
+        const left = (box.minX + box.maxX) / 2 - width / 2;
+        const top = (box.minY + box.maxY) / 2 - height / 2;
+        const toCanvas = latLng => {
+            const point = project(latLng, zoom);
+            return { x: point.x - left, y: point.y - top };
+        };
 
-    // Panel Optimization
-    async optimizePanelPlacement() {
-        try {
-            const optimizeBtn = document.getElementById('optimizeBtn');
-            const originalText = optimizeBtn.innerHTML;
+        const satellite = this.map && this.satelliteLayer && this.map.hasLayer(this.satelliteLayer);
+        const template = satellite ? this.baseLayerUrls.satellite : this.baseLayerUrls.street;
+        const tiles = [];
+        const tileCount = Math.pow(2, zoom);
+        for (let x = Math.floor(left / 256); x <= Math.floor((left + width) / 256); x++) {
+            for (let y = Math.max(Math.floor(top / 256), 0); y <= Math.min(Math.floor((top + height) / 256), tileCount - 1); y++) {
+                tiles.push({
+                    url: template.replace('{s}', 'abc'[Math.abs(x + y) % 3]).replace('{z}', zoom)
+                        .replace('{x}', ((x % tileCount) + tileCount) % tileCount).replace('{y}', y),
+                    x: x * 256 - left,
+                    y: y * 256 - top
+                });
+            }
+        }
+        const images = await Promise.all(tiles.map(tile => this.loadImage(tile.url)));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+
+        const drawRing = (ring, stroke, fill, fillOpacity, lineWidth, dash = []) => {
+            context.beginPath();
+            ring.map(toCanvas).forEach((point, index) => (index === 0 ? context.moveTo(point.x, point.y) : context.lineTo(point.x, point.y)));
+            context.closePath();
+            context.globalAlpha = fillOpacity;
+            context.fillStyle = fill;
+            context.fill();
+            context.globalAlpha = 1;
+            context.setLineDash(dash);
+            context.lineWidth = lineWidth;
+            context.strokeStyle = stroke;
+            context.stroke();
+            context.setLineDash([]);
+        };
 
-            // Show AI processing state
-            optimizeBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i><span>AI Optimizing...</span>';
-            optimizeBtn.disabled = true;
+        const draw = withTiles => {
+            context.fillStyle = '#e2e8f0';
+            context.fillRect(0, 0, width, height);
+            if (withTiles) {
+                images.forEach((image, index) => image && context.drawImage(image, tiles[index].x, tiles[index].y));
+            }
 
-            // Simulate AI optimization process
-            await this.simulateAIOptimization();
+            this.obstacles.forEach(obstacle => drawRing(this.getOuterRing(obstacle.layer), '#475569', '#64748b', 0.45, 2, [6, 4]));
+            this.drawingZones.forEach(zone => {
+                const ring = this.getOuterRing(zone.layer);
+                drawRing(ring, '#6366f1', '#6366f1', 0.3, 3);
+                this.getInnerRings(zone.layer).forEach(hole => drawRing(hole, '#dc2626', '#ffffff', 0.6, 2, [4, 3]));
+                (zone.panels || []).slice(0, zone.panelCount).forEach(panel => drawRing(panel.corners, '#1e3a8a', '#1e40af', 0.75, 1));
+
+                const centre = ring.map(toCanvas).reduce((sum, point) => ({ x: sum.x + point.x / ring.length, y: sum.y + point.y / ring.length }), { x: 0, y: 0 });
+                context.font = 'bold 14px sans-serif';
+                context.textAlign = 'center';
+                context.lineWidth = 4;
+                context.strokeStyle = 'white';
+                context.strokeText(`Zone ${zone.id.split('_')[1]}`, centre.x, centre.y);
+                context.fillStyle = '#1e293b';
+                context.fillText(`Zone ${zone.id.split('_')[1]}`, centre.x, centre.y);
+            });
 
-            // Show results modal
-            this.showOptimizationResults();
+            context.font = '11px sans-serif';
+            context.textAlign = 'right';
+            context.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            context.fillRect(width - 230, height - 18, 230, 18);
+            context.fillStyle = '#334155';
+            context.fillText(withTiles ? (satellite ? '© Esri, Maxar and contributors' : '© OpenStreetMap contributors') : 'Map tiles unavailable',
+                width - 6, height - 5);
+        };
 
+        draw(true);
+        try {
+            return canvas.toDataURL('image/png');
         } catch (error) {
-            console.error('❌ Error during AI optimization:', error);
-            this.showMessage('AI optimization failed. Please try again.', 'error');
-        } finally {
-            // Reset button state
-            const optimizeBtn = document.getElementById('optimizeBtn');
-            optimizeBtn.innerHTML = '<i class="fas fa-magic"></i><span>Run AI Optimization</span>';
-            optimizeBtn.disabled = false;
+            // A tile server without CORS headers taints the canvas; fall back to the outlines alone
+            draw(false);
+            return canvas.toDataURL('image/png');
         }
     }
 
-    async simulateAIOptimization() {
-        // Simulate AI processing with realistic delays
-        const steps = [
-            'Initializing smart algorithms...',
-            'Processing satellite imagery...',
-            'Analyzing roof geometry...',
-            'Computing optimal placement...',
-            'Predicting energy output...',
-            'Finalizing AI recommendations...'
-        ];
-
-        for (let i = 0; i < steps.length; i++) {
-            console.log(`🧠 ${steps[i]}`);
-            await new Promise(resolve => setTimeout(resolve, 600));
-        }
-
-        // Generate optimization results
-        this.generateOptimizationResults();
+    loadImage(url, timeout = 8000) {
+        return new Promise(resolve => {
+            const image = new Image();
+            const timer = setTimeout(() => resolve(null), timeout);
+            image.crossOrigin = 'anonymous';
+            image.onload = () => {
+                clearTimeout(timer);
+                resolve(image);
+            };
+            image.onerror = () => {
+                clearTimeout(timer);
+                resolve(null);
+            };
+            image.src = url;
+        });
     }
 
-    generateOptimizationResults() {
-        if (!this.roofData) return;
-
-        const panelCount = parseInt(document.getElementById('panelCount').value);
-        const panelWattage = 400; // Standard panel wattage
-        const systemSize = (panelCount * panelWattage) / 1000; // kW
-        const annualProduction = systemSize * this.roofData.sunHours * 365 * 0.85; // kWh/year
-        const monthlySavings = (annualProduction / 12) * 0.12; // Assuming $0.12/kWh
-        const systemCost = systemSize * 3000; // $3/watt installed
-        const paybackPeriod = systemCost / (monthlySavings * 12);
-
-        this.optimizationResults = {
-            panelCount: panelCount,
-            systemSize: systemSize.toFixed(1),
-            annualProduction: Math.round(annualProduction),
-            monthlySavings: Math.round(monthlySavings),
-            systemCost: Math.round(systemCost),
-            paybackPeriod: paybackPeriod.toFixed(1),
-            co2Reduction: Math.round(annualProduction * 0.0004 * 2204.62) // lbs CO2/year
-        };
+    buildReportHtml(data) {
+        const escape = text => this.escapeHtml(text);
+        const number = (value, digits = 0) => Number(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const { financials, totals, company } = data;
+
+        const maxMonth = Math.max(...data.monthly, 1);
+        const chart = monthNames.map((name, month) => {
+            const barHeight = (data.monthly[month] / maxMonth) * 150;
+            const x = month * 50 + 10;
+            return `<rect x="${x}" y="${(170 - barHeight).toFixed(1)}" width="30" height="${barHeight.toFixed(1)}" rx="2" fill="#6366f1"></rect>` +
+                `<text x="${x + 15}" y="${(164 - barHeight).toFixed(1)}" text-anchor="middle" class="value">${number(data.monthly[month])}</text>` +
+                `<text x="${x + 15}" y="188" text-anchor="middle">${name}</text>`;
+        }).join('');
+
+        const zoneRows = data.zones.map(zone => `
+            <tr>
+                <td>${escape(zone.name)}</td>
+                <td>${escape(zone.module)}</td>
+                <td>${zone.tilt}° / ${escape(this.formatAzimuth(zone.azimuth))}</td>
+                <td class="num">${number(zone.area, 1)} m²</td>
+                <td class="num">${zone.panels}</td>
+                <td class="num">${number(zone.kWp, 2)}</td>
+                <td class="num">${number(zone.annual)} kWh</td>
+                <td class="num">${number(zone.specificYield)}</td>
+                <td class="num">${number(zone.shadingLoss * 100, 1)}%</td>
+            </tr>
+        `).join('');
+
+        const equipmentRows = data.equipment.map(entry => `
+            <tr>
+                <td>${escape(entry.item)}</td>
+                <td class="num">${entry.quantity}</td>
+                <td class="num">${entry.unitPrice !== null ? this.formatCurrency(entry.unitPrice) : '–'}</td>
+                <td class="num">${entry.unitPrice !== null ? this.formatCurrency(entry.unitPrice * entry.quantity) : '–'}</td>
+            </tr>
+        `).join('');
+
+        const paybackYear = financials.paybackPeriod !== null ? Math.ceil(financials.paybackPeriod) : null;
+        const cashFlowRows = financials.cashFlows.map(flow => `
+            <tr${flow.year === paybackYear ? ' class="payback"' : ''}>
+                <td>${flow.year}</td>
+                <td class="num">${number(flow.production)}</td>
+                <td class="num">${this.formatCurrency(flow.savings)}</td>
+                <td class="num">${this.formatCurrency(flow.omCost)}</td>
+                <td class="num">${this.formatCurrency(flow.netCashFlow)}</td>
+                <td class="num">${this.formatCurrency(flow.cumulative)}</td>
+            </tr>
+        `).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(data.title)} – Solar proposal</title>
+<style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Segoe UI', Helvetica, Arial, sans-serif; color: #1e293b; max-width: 900px; margin: 0 auto; padding: 24px; font-size: 13px; }
+    header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #6366f1; padding-bottom: 16px; }
+    header img { max-height: 64px; max-width: 220px; }
+    .company { text-align: right; white-space: pre-line; color: #475569; }
+    .company strong { display: block; font-size: 16px; color: #1e293b; }
+    h1 { margin: 24px 0 4px; font-size: 26px; }
+    h2 { margin: 28px 0 10px; font-size: 17px; color: #4f46e5; break-after: avoid; }
+    .subtitle { color: #64748b; }
+    .cards { display: grid; grid-template-columns: repeat(4, 1fr); gap: 12px; margin-top: 20px; }
+    .card { background: #f1f5f9; border-radius: 8px; padding: 12px; }
+    .card b { display: block; font-size: 20px; }
+    .card span { color: #64748b; font-size: 12px; }
+    img.map { width: 100%; border-radius: 8px; border: 1px solid #e2e8f0; }
+    table { width: 100%; border-collapse: collapse; break-inside: auto; }
+    th, td { padding: 5px 8px; border-bottom: 1px solid #e2e8f0; text-align: left; }
+    th { background: #f1f5f9; font-size: 12px; }
+    td.num, th.num { text-align: right; }
+    tr { break-inside: avoid; }
+    tr.payback td { background: #ecfdf5; font-weight: 600; }
+    tfoot td { font-weight: 600; border-top: 2px solid #cbd5e1; }
+    svg text { font-size: 11px; fill: #475569; }
+    svg text.value { font-size: 9px; }
+    .columns { display: grid; grid-template-columns: 1fr 1fr; gap: 24px; }
+    footer { margin-top: 32px; color: #94a3b8; font-size: 11px; }
+    .print-btn { position: fixed; top: 16px; right: 16px; padding: 8px 16px; background: #6366f1; color: white; border: none; border-radius: 6px; cursor: pointer; }
+    @media print { .print-btn { display: none; } body { padding: 0; } }
+</style>
+</head>
+<body>
+<button class="print-btn" onclick="window.print()">Print / Save as PDF</button>
+<header>
+    <div>${company.logo ? `<img src="${escape(company.logo)}" alt="">` : ''}</div>
+    <div class="company"><strong>${escape(company.companyName)}</strong>${escape(company.contact)}</div>
+</header>
+
+<h1>Solar proposal: ${escape(data.title)}</h1>
+<div class="subtitle">${escape(data.address)} · ${escape(data.date)}</div>
+
+<div class="cards">
+    <div class="card"><b>${number(totals.kWp, 2)} kWp</b><span>${totals.panels} panels</span></div>
+    <div class="card"><b>${number(totals.annual)} kWh</b><span>Annual production</span></div>
+    <div class="card"><b>${this.formatCurrency(financials.systemCost)}</b><span>Installed price</span></div>
+    <div class="card"><b>${financials.paybackPeriod !== null ? `${financials.paybackPeriod.toFixed(1)} yrs` : 'N/A'}</b><span>Payback</span></div>
+</div>
+
+${data.mapImage ? `<h2>Site plan</h2><img class="map" src="${data.mapImage}" alt="Roof zones">` : ''}
+
+<h2>Roof zones</h2>
+<table>
+    <thead><tr><th>Zone</th><th>Module</th><th>Pitch / facing</th><th class="num">Area</th><th class="num">Panels</th><th class="num">kWp</th><th class="num">Yield</th><th class="num">kWh/kWp</th><th class="num">Shading</th></tr></thead>
+    <tbody>${zoneRows}</tbody>
+    <tfoot><tr><td colspan="3">Total</td><td class="num">${number(totals.area, 1)} m²</td><td class="num">${totals.panels}</td><td class="num">${number(totals.kWp, 2)}</td><td class="num">${number(totals.annual)} kWh</td><td class="num">${number(totals.specificYield)}</td><td></td></tr></tfoot>
+</table>
+
+<h2>Monthly production (kWh)</h2>
+<svg viewBox="0 0 600 195" width="100%">${chart}</svg>
+
+<h2>Financial summary</h2>
+<div class="columns">
+    <table>
+        <tr><td>Installed price</td><td class="num">${this.formatCurrency(financials.systemCost)}</td></tr>
+        <tr><td>First-year savings</td><td class="num">${this.formatCurrency(financials.firstYearSavings)}</td></tr>
+        <tr><td>Payback period</td><td class="num">${financials.paybackPeriod !== null ? `${financials.paybackPeriod.toFixed(1)} years` : 'Not within lifetime'}</td></tr>
+        <tr><td>Net present value</td><td class="num">${this.formatCurrency(financials.npv)}</td></tr>
+    </table>
+    <table>
+        <tr><td>Internal rate of return</td><td class="num">${financials.irr !== null ? `${(financials.irr * 100).toFixed(1)}%` : 'N/A'}</td></tr>
+        <tr><td>Levelised cost of energy</td><td class="num">${financials.lcoe !== null ? `€${financials.lcoe.toFixed(3)}/kWh` : 'N/A'}</td></tr>
+        <tr><td>Self-consumed</td><td class="num">${number(financials.selfConsumed)} kWh/yr</td></tr>
+        <tr><td>Exported</td><td class="num">${number(financials.exported)} kWh/yr</td></tr>
+    </table>
+</div>
+
+<h2>Cash flow</h2>
+<table>
+    <thead><tr><th>Year</th><th class="num">Production (kWh)</th><th class="num">Savings</th><th class="num">O&amp;M</th><th class="num">Net</th><th class="num">Cumulative</th></tr></thead>
+    <tbody>${cashFlowRows}</tbody>
+</table>
+
+<h2>Equipment</h2>
+<table>
+    <thead><tr><th>Item</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Total</th></tr></thead>
+    <tbody>${equipmentRows}</tbody>
+</table>
+
+<h2>Assumptions</h2>
+<table>
+    ${data.assumptions.map(([label, value]) => `<tr><td>${escape(label)}</td><td>${escape(value)}</td></tr>`).join('')}
+</table>
+
+<footer>Estimates are based on simulated weather and the assumptions above; actual production and savings will vary. Generated with SolarVision AI on ${escape(data.date)}.</footer>
+</body>
+</html>`;
     }
 
-    showOptimizationResults() {
-        if (!this.optimizationResults) return;
-
-        const modal = document.getElementById('optimizationModal');
-        const overlay = document.getElementById('modalOverlay');
+    async buildReportPdf(data) {
+        const { jsPDF } = window.jspdf;
+        const pdf = new jsPDF({ unit: 'mm', format: 'a4' });
+        const margin = 15;
+        const pageWidth = 210;
+        const contentWidth = pageWidth - margin * 2;
+        const pageBottom = 282;
+        const number = (value, digits = 0) => Number(value).toLocaleString(undefined, { minimumFractionDigits: digits, maximumFractionDigits: digits });
+        const { financials, totals, company } = data;
+        let y = margin;
+
+        const ensureSpace = needed => {
+            if (y + needed > pageBottom) {
+                pdf.addPage();
+                y = margin;
+            }
+        };
+        const heading = text => {
+            ensureSpace(14);
+            y += 4;
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(12);
+            pdf.setTextColor(79, 70, 229);
+            pdf.text(text, margin, y);
+            y += 6;
+        };
+        // Columns are [label, width in mm, align]; the header repeats after a page break unless all labels are empty
+        const table = (columns, rows, boldLast = false) => {
+            const rowHeight = 5.5;
+            const drawHeader = () => {
+                if (columns.every(([label]) => !label)) return;
+                pdf.setFillColor(241, 245, 249);
+                pdf.rect(margin, y - 4, contentWidth, rowHeight, 'F');
+                pdf.setFont('helvetica', 'bold');
+                let x = margin;
+                columns.forEach(([label, width, align]) => {
+                    pdf.text(label, align === 'right' ? x + width - 1.5 : x + 1.5, y, { align: align || 'left' });
+                    x += width;
+                });
+                y += rowHeight;
+            };
+
+            pdf.setFontSize(8.5);
+            pdf.setTextColor(30, 41, 59);
+            ensureSpace(rowHeight * 2);
+            drawHeader();
+            rows.forEach((row, index) => {
+                if (y + rowHeight > pageBottom) {
+                    pdf.addPage();
+                    y = margin;
+                    drawHeader();
+                }
+                pdf.setFont('helvetica', boldLast && index === rows.length - 1 ? 'bold' : 'normal');
+                let x = margin;
+                row.forEach((cell, column) => {
+                    const [, width, align] = columns[column];
+                    const text = pdf.splitTextToSize(String(cell), width - 3)[0];
+                    pdf.text(text, align === 'right' ? x + width - 1.5 : x + 1.5, y, { align: align || 'left' });
+                    x += width;
+                });
+                pdf.setDrawColor(226, 232, 240);
+                pdf.line(margin, y + 1.5, margin + contentWidth, y + 1.5);
+                y += rowHeight;
+            });
+            y += 2;
+        };
 
-        // Update modal content
-        document.getElementById('modalPanelCount').textContent = this.optimizationResults.panelCount;
-        document.getElementById('modalSystemSize').textContent = `${this.optimizationResults.systemSize} kW`;
-        document.getElementById('modalAnnualProduction').textContent = `${this.optimizationResults.annualProduction.toLocaleString()} kWh`;
+        // Header: logo left, company block right
+        if (company.logo) {
+            const logo = await this.loadImage(company.logo);
+            if (logo) {
+                const logoHeight = 16;
+                const logoWidth = Math.min((logo.naturalWidth / logo.naturalHeight) * logoHeight, 60);
+                pdf.addImage(company.logo, /^data:image\/png/.test(company.logo) ? 'PNG' : 'JPEG', margin, y, logoWidth, logoHeight);
+            }
+        }
+        pdf.setTextColor(30, 41, 59);
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(12);
+        pdf.text(company.companyName || '', pageWidth - margin, y + 4, { align: 'right' });
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(8.5);
+        pdf.setTextColor(71, 85, 105);
+        const contactLines = (company.contact || '').split('\n');
+        pdf.text(contactLines, pageWidth - margin, y + 9, { align: 'right' });
+        y += Math.max(20, 9 + contactLines.length * 4);
+        pdf.setDrawColor(99, 102, 241);
+        pdf.setLineWidth(0.8);
+        pdf.line(margin, y, pageWidth - margin, y);
+        pdf.setLineWidth(0.2);
+        y += 10;
+
+        pdf.setFont('helvetica', 'bold');
+        pdf.setFontSize(18);
+        pdf.setTextColor(30, 41, 59);
+        pdf.text(pdf.splitTextToSize(`Solar proposal: ${data.title}`, contentWidth)[0], margin, y);
+        y += 6;
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(9);
+        pdf.setTextColor(100, 116, 139);
+        pdf.text(pdf.splitTextToSize(`${data.address} · ${data.date}`, contentWidth)[0], margin, y);
+        y += 8;
+
+        // Key figures
+        const cards = [
+            [`${number(totals.kWp, 2)} kWp`, `${totals.panels} panels`],
+            [`${number(totals.annual)} kWh`, 'Annual production'],
+            [this.formatCurrency(financials.systemCost), 'Installed price'],
+            [financials.paybackPeriod !== null ? `${financials.paybackPeriod.toFixed(1)} yrs` : 'N/A', 'Payback']
+        ];
+        const cardWidth = (contentWidth - 9) / 4;
+        cards.forEach(([value, label], index) => {
+            const x = margin + index * (cardWidth + 3);
+            pdf.setFillColor(241, 245, 249);
+            pdf.roundedRect(x, y, cardWidth, 15, 2, 2, 'F');
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(11);
+            pdf.setTextColor(30, 41, 59);
+            pdf.text(value, x + 3, y + 6.5);
+            pdf.setFont('helvetica', 'normal');
+            pdf.setFontSize(8);
+            pdf.setTextColor(100, 116, 139);
+            pdf.text(label, x + 3, y + 11.5);
+        });
+        y += 21;
+
+        if (data.mapImage) {
+            heading('Site plan');
+            const mapHeight = contentWidth * (500 / 900);
+            ensureSpace(mapHeight);
+            pdf.addImage(data.mapImage, 'PNG', margin, y, contentWidth, mapHeight);
+            y += mapHeight + 4;
+        }
 
-        // Show modal
-        overlay.classList.add('active');
+        heading('Roof zones');
+        table(
+            [['Zone', 18], ['Module', 38], ['Pitch / facing', 26], ['Area', 18, 'right'], ['Panels', 14, 'right'],
+                ['kWp', 14, 'right'], ['Yield', 22, 'right'], ['kWh/kWp', 16, 'right'], ['Shading', 14, 'right']],
+            [
+                ...data.zones.map(zone => [
+                    zone.name, zone.module, `${zone.tilt}° / ${this.formatAzimuth(zone.azimuth)}`, `${number(zone.area, 1)} m²`,
+                    zone.panels, number(zone.kWp, 2), `${number(zone.annual)} kWh`, number(zone.specificYield), `${number(zone.shadingLoss * 100, 1)}%`
+                ]),
+                ['Total', '', '', `${number(totals.area, 1)} m²`, totals.panels, number(totals.kWp, 2), `${number(totals.annual)} kWh`, number(totals.specificYield), '']
+            ],
+            true
+        );
+
+        heading('Monthly production (kWh)');
+        ensureSpace(48);
+        const monthNames = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+        const maxMonth = Math.max(...data.monthly, 1);
+        const slot = contentWidth / 12;
+        pdf.setFontSize(7);
+        monthNames.forEach((name, month) => {
+            const barHeight = (data.monthly[month] / maxMonth) * 34;
+            const x = margin + month * slot + slot * 0.2;
+            pdf.setFillColor(99, 102, 241);
+            pdf.rect(x, y + 38 - barHeight, slot * 0.6, barHeight, 'F');
+            pdf.setTextColor(71, 85, 105);
+            pdf.text(number(data.monthly[month]), x + slot * 0.3, y + 36 - barHeight, { align: 'center' });
+            pdf.text(name, x + slot * 0.3, y + 42, { align: 'center' });
+        });
+        y += 48;
+
+        heading('Financial summary');
+        table(
+            [['', 60], ['', 30, 'right'], ['', 60], ['', 30, 'right']],
+            [
+                ['Installed price', this.formatCurrency(financials.systemCost), 'Internal rate of return',
+                    financials.irr !== null ? `${(financials.irr * 100).toFixed(1)}%` : 'N/A'],
+                ['First-year savings', this.formatCurrency(financials.firstYearSavings), 'Levelised cost of energy',
+                    financials.lcoe !== null ? `€${financials.lcoe.toFixed(3)}/kWh` : 'N/A'],
+                ['Payback period', financials.paybackPeriod !== null ? `${financials.paybackPeriod.toFixed(1)} years` : 'Not within lifetime',
+                    'Self-consumed', `${number(financials.selfConsumed)} kWh/yr`],
+                ['Net present value', this.formatCurrency(financials.npv), 'Exported', `${number(financials.exported)} kWh/yr`]
+            ]
+        );
+
+        heading('Cash flow');
+        table(
+            [['Year', 20], ['Production (kWh)', 34, 'right'], ['Savings', 30, 'right'], ['O&M', 30, 'right'],
+                ['Net', 33, 'right'], ['Cumulative', 33, 'right']],
+            financials.cashFlows.map(flow => [
+                flow.year, number(flow.production), this.formatCurrency(flow.savings), this.formatCurrency(flow.omCost),
+                this.formatCurrency(flow.netCashFlow), this.formatCurrency(flow.cumulative)
+            ])
+        );
+
+        heading('Equipment');
+        table(
+            [['Item', 105], ['Qty', 20, 'right'], ['Unit price', 27, 'right'], ['Total', 28, 'right']],
+            data.equipment.map(entry => [
+                entry.item, entry.quantity,
+                entry.unitPrice !== null ? this.formatCurrency(entry.unitPrice) : '–',
+                entry.unitPrice !== null ? this.formatCurrency(entry.unitPrice * entry.quantity) : '–'
+            ])
+        );
+
+        heading('Assumptions');
+        table([['', 60], ['', 120]], data.assumptions);
+
+        ensureSpace(10);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(7.5);
+        pdf.setTextColor(148, 163, 184);
+        pdf.text(pdf.splitTextToSize('Estimates are based on simulated weather and the assumptions above; actual production and savings will vary. ' +
+            `Generated with SolarVision AI on ${data.date}.`, contentWidth), margin, y + 4);
+
+        return pdf;
     }
 
     // Modal Management
@@ -1850,58 +9666,29 @@ class SolarVisionAI {
         }
     }
 
-    downloadReport() {
-        if (!this.optimizationResults) return;
-
-        // Create AI analysis report
-        const report = `
-SOLARVISION AI - SMART ANALYSIS REPORT
-======================================
-
-Location: ${this.currentLocation?.address || 'Unknown'}
-Analysis Date: ${new Date().toLocaleDateString()}
-AI Confidence: ${this.roofData?.confidence || 'N/A'}%
-
-SYSTEM SPECIFICATIONS
---------------------
-Optimal Panel Count: ${this.optimizationResults.panelCount}
-System Size: ${this.optimizationResults.systemSize} kW
-Annual Production: ${this.optimizationResults.annualProduction.toLocaleString()} kWh
-
-FINANCIAL PROJECTIONS
----------------------
-System Cost: $${this.optimizationResults.systemCost.toLocaleString()}
-Monthly Savings: $${this.optimizationResults.monthlySavings.toLocaleString()}
-Payback Period: ${this.optimizationResults.paybackPeriod} years
-
-ENVIRONMENTAL IMPACT
---------------------
-Annual CO2 Reduction: ${this.optimizationResults.co2Reduction.toLocaleString()} lbs
+    scheduleConsultation() {
+        // In a real application, this would integrate with a scheduling system
+        this.showMessage('AI consultation scheduling coming soon!', 'info');
+        this.hideModal();
+    }
 
-Generated by SolarVision AI Smart Analysis
-        `.trim();
+    // Utility Functions
+    escapeHtml(text) {
+        return String(text ?? '').replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+    }
 
-        // Create and download file
-        const blob = new Blob([report], { type: 'text/plain' });
+    downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'solarvision-ai-analysis-report.txt';
+        a.download = fileName;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
-
-        this.showMessage('AI analysis report downloaded successfully!', 'success');
-    }
-
-    scheduleConsultation() {
-        // In a real application, this would integrate with a scheduling system
-        this.showMessage('AI consultation scheduling coming soon!', 'info');
-        this.hideModal();
     }
 
-    // Utility Functions
     showMessage(message, type = 'info') {
         // Create message element
         const messageEl = document.createElement('div');
@@ -2044,29 +9831,29 @@ Generated by SolarVision AI Smart Analysis
         // Calculate combined optimization results
         let totalPanels = 0;
         let totalPower = 0;
-        let totalAnnualOutput = 0;
-        let totalMonthlySavings = 0;
-        let totalSystemCost = 0;
 
         this.drawingZones.forEach(zone => {
             totalPanels += zone.panelCount;
             totalPower += (zone.panelCount * zone.panelWattage) / 1000;
-
-            const energyOutput = this.calculateEnergyOutput(zone);
-            totalAnnualOutput += energyOutput;
-            totalMonthlySavings += this.calculateMonthlySavings(energyOutput);
-            totalSystemCost += (zone.panelCount * zone.panelWattage * 3); // €3/watt
         });
 
+        const simulation = this.runSimulation();
+        const financials = this.calculateFinancials(simulation);
+        const batterySizing = this.sizeBattery(simulation.hourly);
+
         // Store results for modal
         this.optimizationResults = {
             panelCount: totalPanels,
             systemSize: totalPower.toFixed(1),
-            annualProduction: Math.round(totalAnnualOutput),
-            monthlySavings: Math.round(totalMonthlySavings),
-            systemCost: Math.round(totalSystemCost),
-            paybackPeriod: (totalSystemCost / (totalMonthlySavings * 12)).toFixed(1),
-            zones: this.drawingZones.length
+            annualProduction: Math.round(simulation.annual),
+            monthlySavings: Math.round(financials.firstYearSavings / 12),
+            systemCost: Math.round(financials.systemCost),
+            paybackPeriod: financials.paybackPeriod !== null ? financials.paybackPeriod.toFixed(1) : 'N/A',
+            co2Reduction: Math.round(simulation.annual * 0.0004 * 2204.62), // lbs CO2/year
+            zones: this.drawingZones.length,
+            simulation: simulation,
+            financials: financials,
+            batterySizing: batterySizing
         };
 
         // Show results modal